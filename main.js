@@ -0,0 +1,4 @@
+import { ThemePicker } from './shared/models/ThemePicker.js';
+
+// Color the gallery with the theme picked in either animation, or the system's
+new ThemePicker();
@@ -0,0 +1,183 @@
+import { Renderer } from './Renderer.js';
+
+/**
+ * Class that handles drawing onto a canvas.
+ */
+export class CanvasRenderer extends Renderer {
+
+    /**
+     * Constructs a new CanvasRenderer object.
+     * @param {HTMLCanvasElement} canvas the canvas object to draw on
+     */
+    constructor(canvas) {
+        super(canvas.width, canvas.height);
+        this._canvas = canvas;
+        this._context = canvas.getContext('2d');
+    } // constructor
+
+    /**
+     * Handles all necessary operations when the window is resized.
+     * This includes resizing the canvas and finding the canvas center.
+     *
+     * @param {number} [width=window.innerWidth]   the width of the canvas
+     * @param {number} [height=window.innerHeight] the height of the canvas
+     * @return {object} an object containing the canvas center's coordinates
+     */
+    resize(width=window.innerWidth, height=window.innerHeight) {
+        // canvas width
+        this._canvas.width = this.width = width;
+        this._canvas.height = this.height = height;
+        // canvas center
+        const canvasCenterX = this._canvas.width / 2;
+        const canvasCenterY = this._canvas.height / 2;
+
+        return { canvasCenterX, canvasCenterY };
+    } // resize
+
+    /**
+     * Clears the canvas.
+     */
+    clear() {
+        this._context.clearRect(0, 0, this._canvas.width, this._canvas.height);
+    } // clear
+
+    /**
+     * Sets how everything drawn after this call blends with what is under it.
+     * @param {string} mode one of the values of CanvasRenderingContext2D.globalCompositeOperation
+     */
+    setBlendMode(mode) {
+        this._context.globalCompositeOperation = mode;
+    } // setBlendMode
+
+    /**
+     * Draws a filled rectangle onto the canvas.
+     * @param {number} x         the x-coordinate of a corner
+     * @param {number} y         the y-coordinate of a corner
+     * @param {number} width     the width of the rectangle
+     * @param {number} height    the height of the rectangle
+     * @param {string} fillColor the color to fill the rectangle with
+     */
+    rect(x, y, width, height, fillColor) {
+        this._setFillColor(fillColor);
+        this._context.fillRect(x, y, width, height);
+    } // rect
+
+    /**
+     * Draws a filled circle onto the canvas.
+     * @param {number} x         the x-coordinate of the center
+     * @param {number} y         the y-coordinate of the center
+     * @param {number} radius    the radius of the circle
+     * @param {string} fillColor the color to fill the circle with
+     */
+    circle(x, y, radius, fillColor) {
+        this._context.beginPath();
+        this._context.arc(x, y, radius, 0, Math.PI * 2);
+        this._setFillColor(fillColor);
+        this._context.fill();
+    } // circle
+
+    /**
+     * Draws a straight line onto the canvas.
+     * @param {number} x1          the x-coordinate to start at
+     * @param {number} y1          the y-coordinate to start at
+     * @param {number} x2          the x-coordinate to end at
+     * @param {number} y2          the y-coordinate to end at
+     * @param {string} strokeColor the color of the line
+     * @param {number} lineWidth   the thickness of the line
+     */
+    line(x1, y1, x2, y2, strokeColor, lineWidth) {
+        Object.assign(this._context, { strokeStyle: strokeColor, lineWidth });
+        this._context.beginPath();
+        this._context.moveTo(x1, y1);
+        this._context.lineTo(x2, y2);
+        this._context.stroke();
+    } // line
+
+    /**
+     * Draws straight lines joining a list of points onto the canvas.
+     * @param {{ x: number, y: number }[]} points          the points to join, in order
+     * @param {string}                     strokeColor     the color of the lines
+     * @param {number}                     lineWidth       the thickness of the lines
+     * @param {boolean}                    [closed=false]  whether to join the last point back to the first
+     */
+    polyline(points, strokeColor, lineWidth, closed=false) {
+        Object.assign(this._context, { strokeStyle: strokeColor, lineWidth, lineJoin: 'round' });
+        this._tracePath(points);
+        if (closed) {
+            this._context.closePath();
+        } // if
+        this._context.stroke();
+    } // polyline
+
+    /**
+     * Draws a filled shape with a list of points as its corners onto the canvas.
+     * @param {{ x: number, y: number }[]} points    the corners of the shape, in order
+     * @param {string}                     fillColor the color to fill the shape with
+     */
+    polygon(points, fillColor) {
+        this._tracePath(points);
+        this._context.closePath();
+        this._setFillColor(fillColor);
+        this._context.fill();
+    } // polygon
+
+    /**
+     * Draws the outline of a circle onto the canvas.
+     * @param {number} x           the x-coordinate of the center
+     * @param {number} y           the y-coordinate of the center
+     * @param {number} radius      the radius of the circle
+     * @param {string} strokeColor the color of the outline
+     * @param {number} lineWidth   the thickness of the outline
+     */
+    strokeCircle(x, y, radius, strokeColor, lineWidth) {
+        Object.assign(this._context, { strokeStyle: strokeColor, lineWidth });
+        this._context.beginPath();
+        this._context.arc(x, y, radius, 0, Math.PI * 2);
+        this._context.stroke();
+    } // strokeCircle
+
+    /**
+     * Draws a line of text onto the canvas.
+     * @param {string} content              the text to draw
+     * @param {number} x                    the x-coordinate to align the text to
+     * @param {number} y                    the y-coordinate to align the text to
+     * @param {string} fillColor            the color of the text
+     * @param {string} font                 the font, in CSS shorthand such as '12px monospace'
+     * @param {string} [align='left']       'left', 'center' or 'right' of x
+     * @param {string} [baseline='middle']  'top', 'middle' or 'bottom' of y
+     */
+    text(content, x, y, fillColor, font, align='left', baseline='middle') {
+        Object.assign(this._context, { font, textAlign: align, textBaseline: baseline });
+        this._setFillColor(fillColor);
+        this._context.fillText(content, x, y);
+    } // text
+
+    /**
+     * Starts a new path through a list of points.
+     * @private
+     * @param {{ x: number, y: number }[]} points the points to go through, in order
+     */
+    _tracePath(points) {
+        this._context.beginPath();
+        points.forEach(({ x, y }, i) => {
+            if (i === 0) {
+                this._context.moveTo(x, y);
+            } else {
+                this._context.lineTo(x, y);
+            } // if
+        });
+    } // _tracePath
+
+    /**
+     * Sets the fill color of the context.
+     * @private
+     * @param {string} fillColor the color to use for the fill
+     */
+    _setFillColor(fillColor) {
+        // Only change the color if it's not already that color
+        if (this._context.fillStyle.toLowerCase() !== fillColor.toLowerCase()) {
+            this._context.fillStyle = fillColor;
+        } // if
+    } // _setFillColor
+
+} // CanvasRenderer
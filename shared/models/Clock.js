@@ -0,0 +1,66 @@
+import { FRAME_DURATION, MAX_ELAPSED } from '../src/constants.js';
+
+/**
+ * Keeps track of the time between animation frames
+ * so that models move by time rather than by frame.
+ */
+export class Clock {
+
+    /**
+     * Constructs a new Clock object.
+     * @param {number} [speed=1] the value to multiply the elapsed time by
+     */
+    constructor(speed=1) {
+        Object.assign(this, {
+            speed,
+            paused: false,
+            _lastTimestamp: undefined,
+            _stepRequested: false
+        });
+    } // constructor
+
+    /**
+     * Advances this Clock to the timestamp of the current animation frame.
+     * Should be called exactly once per frame.
+     *
+     * @param {number} timestamp the timestamp passed to the requestAnimationFrame callback
+     * @return the time in milliseconds that the models should move by
+     */
+    tick(timestamp) {
+        // The first frame has nothing to measure against
+        const elapsed = this._lastTimestamp === undefined ? 0 : timestamp - this._lastTimestamp;
+        this._lastTimestamp = timestamp;
+
+        if (this._stepRequested) {
+            this._stepRequested = false;
+            return FRAME_DURATION;
+        } else if (this.paused) {
+            return 0;
+        } // if
+
+        return Math.min(elapsed, MAX_ELAPSED) * this.speed;
+    } // tick
+
+    /**
+     * Stops time from passing until resume is called.
+     */
+    pause() {
+        this.paused = true;
+    } // pause
+
+    /**
+     * Lets time pass again after pause was called.
+     */
+    resume() {
+        this.paused = false;
+    } // resume
+
+    /**
+     * Pauses this Clock and moves it forward by a single frame on the next tick.
+     */
+    step() {
+        this.pause();
+        this._stepRequested = true;
+    } // step
+
+} // Clock
@@ -0,0 +1,289 @@
+/**
+ * The number of colors taken from the first frame for the palette.
+ * The rest of the palette is an even spread of colors so that
+ * colors missing from the first frame still have a close match.
+ * @constant {!number}
+ */
+const POPULAR_COLORS = 192;
+
+/**
+ * The number of levels of each of red, green and blue in the even spread of colors.
+ * 4 * 4 * 4 leaves exactly 256 - POPULAR_COLORS colors.
+ * @constant {!number}
+ */
+const SPREAD_LEVELS = 4;
+
+/**
+ * The largest code an LZW code table in a GIF can hold.
+ * @constant {!number}
+ */
+const MAX_CODE = 4095;
+
+/**
+ * Class that encodes frames into an animated GIF without any libraries.
+ *
+ * Frames are converted to palette indices and compressed as soon as they
+ * are added so that a long recording only keeps the compressed data.
+ * Every frame shares one palette of 256 colors, made from the most
+ * common colors of the first frame.
+ */
+export class GifEncoder {
+
+    /**
+     * Constructs a new GifEncoder object.
+     * @param {number} width  the width of every frame in pixels
+     * @param {number} height the height of every frame in pixels
+     * @param {number} delay  the time to show each frame for in hundredths of a second
+     */
+    constructor(width, height, delay) {
+        Object.assign(this, {
+            _width: width,
+            _height: height,
+            _delay: delay,
+            _palette: null,
+            _nearestColors: new Map(),
+            _frames: []
+        });
+    } // constructor
+
+    /**
+     * Adds a frame to the end of the animation.
+     * @param {{ data: Uint8ClampedArray }} imageData the pixels of the frame, such as from
+     *                                                CanvasRenderingContext2D.getImageData,
+     *                                                in the size given to the constructor
+     * @throws {Error} if the frame is not the expected size
+     */
+    addFrame({ data }) {
+        if (data.length !== this._width * this._height * 4) {
+            throw new Error('Frame does not match the size of the GIF.');
+        } // if
+        if (!this._palette) {
+            this._palette = this._makePalette(data);
+        } // if
+        this._frames.push(this._compress(this._toIndices(data)));
+    } // addFrame
+
+    /**
+     * Returns the finished GIF file.
+     * @return {Uint8Array} the bytes of the GIF file
+     */
+    finish() {
+        const bytes = [];
+        const writeShort = (value) => bytes.push(value & 0xff, (value >> 8) & 0xff);
+        const writeString = (text) => bytes.push(...Array.from(text, (character) => character.charCodeAt(0)));
+
+        // Header and logical screen descriptor with a global color table of 256 colors
+        writeString('GIF89a');
+        writeShort(this._width);
+        writeShort(this._height);
+        bytes.push(0xf7, 0, 0);
+        (this._palette || new Uint8Array(256 * 3)).forEach((byte) => bytes.push(byte));
+
+        // Loop forever
+        bytes.push(0x21, 0xff, 0x0b);
+        writeString('NETSCAPE2.0');
+        bytes.push(0x03, 0x01);
+        writeShort(0);
+        bytes.push(0);
+
+        const parts = [Uint8Array.from(bytes)];
+        this._frames.forEach((compressed) => {
+            const frameBytes = [];
+            // Graphic control extension with the frame delay
+            frameBytes.push(0x21, 0xf9, 0x04, 0, this._delay & 0xff, (this._delay >> 8) & 0xff, 0, 0);
+            // Image descriptor covering the whole screen
+            frameBytes.push(0x2c, 0, 0, 0, 0,
+                this._width & 0xff, (this._width >> 8) & 0xff,
+                this._height & 0xff, (this._height >> 8) & 0xff, 0);
+            parts.push(Uint8Array.from(frameBytes), compressed);
+        });
+        parts.push(Uint8Array.of(0x3b));
+
+        // Join every part into a single array
+        const length = parts.reduce((sum, part) => sum + part.length, 0);
+        const gif = new Uint8Array(length);
+        let offset = 0;
+        parts.forEach((part) => {
+            gif.set(part, offset);
+            offset += part.length;
+        });
+        return gif;
+    } // finish
+
+    /**
+     * Makes a palette of 256 colors from the most common colors in a frame.
+     * @private
+     * @param {Uint8ClampedArray} data the RGBA pixels of a frame
+     * @return {Uint8Array} the palette with red, green and blue bytes for each color
+     */
+    _makePalette(data) {
+        // Count colors with their lowest bits dropped so that anti-aliased
+        // shades of the same color are grouped together, and keep totals
+        // of each channel so the group can be represented by its average
+        const groups = new Map();
+        for (let i = 0; i < data.length; i += 4) {
+            const key = this._colorKey(data[i], data[i + 1], data[i + 2]);
+            const group = groups.get(key) || { count: 0, r: 0, g: 0, b: 0 };
+            group.count++;
+            group.r += data[i];
+            group.g += data[i + 1];
+            group.b += data[i + 2];
+            groups.set(key, group);
+        } // for
+
+        const popular = [...groups.values()]
+            .sort((a, b) => b.count - a.count)
+            .slice(0, POPULAR_COLORS)
+            .map(({ count, r, g, b }) => [r / count, g / count, b / count].map(Math.round));
+
+        const palette = new Uint8Array(256 * 3);
+        popular.forEach((color, i) => palette.set(color, i * 3));
+        let index = POPULAR_COLORS;
+        const step = 255 / (SPREAD_LEVELS - 1);
+        for (let r = 0; r < SPREAD_LEVELS; r++) {
+            for (let g = 0; g < SPREAD_LEVELS; g++) {
+                for (let b = 0; b < SPREAD_LEVELS; b++) {
+                    palette.set([r * step, g * step, b * step], index++ * 3);
+                } // for
+            } // for
+        } // for
+        return palette;
+    } // _makePalette
+
+    /**
+     * Returns a key for a color with only the top 5 bits of each channel.
+     * @private
+     * @param {number} r the red byte
+     * @param {number} g the green byte
+     * @param {number} b the blue byte
+     * @return the key of the color
+     */
+    _colorKey(r, g, b) {
+        return ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+    } // _colorKey
+
+    /**
+     * Converts a frame to the index of the closest palette color for each pixel.
+     * @private
+     * @param {Uint8ClampedArray} data the RGBA pixels of a frame
+     * @return {Uint8Array} a palette index for every pixel
+     */
+    _toIndices(data) {
+        const indices = new Uint8Array(data.length / 4);
+        for (let i = 0; i < indices.length; i++) {
+            const offset = i * 4;
+            indices[i] = this._nearestColor(data[offset], data[offset + 1], data[offset + 2]);
+        } // for
+        return indices;
+    } // _toIndices
+
+    /**
+     * Returns the index of the palette color closest to a color.
+     * Answers are cached since frames of an animation share most colors.
+     * @private
+     * @param {number} r the red byte
+     * @param {number} g the green byte
+     * @param {number} b the blue byte
+     * @return the index of the closest palette color
+     */
+    _nearestColor(r, g, b) {
+        const key = this._colorKey(r, g, b);
+        const cached = this._nearestColors.get(key);
+        if (cached !== undefined) {
+            return cached;
+        } // if
+
+        const palette = this._palette;
+        let nearest = 0;
+        let nearestDistance = Infinity;
+        for (let i = 0; i < 256; i++) {
+            const dr = palette[i * 3] - r;
+            const dg = palette[i * 3 + 1] - g;
+            const db = palette[i * 3 + 2] - b;
+            const distance = dr * dr + dg * dg + db * db;
+            if (distance < nearestDistance) {
+                nearest = i;
+                nearestDistance = distance;
+            } // if
+        } // for
+        this._nearestColors.set(key, nearest);
+        return nearest;
+    } // _nearestColor
+
+    /**
+     * Compresses palette indices with the variable length LZW used by GIF
+     * and splits the result into sub-blocks of at most 255 bytes.
+     * @private
+     * @param {Uint8Array} indices a palette index for every pixel
+     * @return {Uint8Array} the minimum code size, the sub-blocks and the block terminator
+     */
+    _compress(indices) {
+        const minCodeSize = 8;
+        const clearCode = 1 << minCodeSize;
+        const endCode = clearCode + 1;
+
+        const bytes = [];
+        let buffer = 0;
+        let bufferLength = 0;
+        let codeSize = minCodeSize + 1;
+        const writeCode = (code) => {
+            buffer |= code << bufferLength;
+            bufferLength += codeSize;
+            while (bufferLength >= 8) {
+                bytes.push(buffer & 0xff);
+                buffer >>= 8;
+                bufferLength -= 8;
+            } // while
+        };
+
+        let table = new Map();
+        let nextCode = endCode + 1;
+        writeCode(clearCode);
+
+        let current = indices[0];
+        for (let i = 1; i < indices.length; i++) {
+            const index = indices[i];
+            const key = (current << 8) | index;
+            const existing = table.get(key);
+            if (existing !== undefined) {
+                current = existing;
+                continue;
+            } // if
+
+            writeCode(current);
+            if (nextCode > MAX_CODE) {
+                // The table is full, so start over
+                writeCode(clearCode);
+                table = new Map();
+                nextCode = endCode + 1;
+                codeSize = minCodeSize + 1;
+            } else {
+                if (nextCode >= (1 << codeSize)) {
+                    codeSize++;
+                } // if
+                table.set(key, nextCode++);
+            } // if
+            current = index;
+        } // for
+        writeCode(current);
+        writeCode(endCode);
+        if (bufferLength > 0) {
+            bytes.push(buffer & 0xff);
+        } // if
+
+        // Minimum code size, then sub-blocks each starting with their length
+        const blockCount = Math.ceil(bytes.length / 255);
+        const compressed = new Uint8Array(1 + bytes.length + blockCount + 1);
+        compressed[0] = minCodeSize;
+        let offset = 1;
+        for (let start = 0; start < bytes.length; start += 255) {
+            const block = bytes.slice(start, start + 255);
+            compressed[offset++] = block.length;
+            compressed.set(block, offset);
+            offset += block.length;
+        } // for
+        compressed[offset] = 0;
+        return compressed;
+    } // _compress
+
+} // GifEncoder
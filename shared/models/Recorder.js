@@ -0,0 +1,235 @@
+import { GifEncoder } from './GifEncoder.js';
+import { makeZip } from '../src/zip.js';
+import { download } from '../src/download.js';
+import { RECORDING_MAX_WIDTH, RECORDING_FRAME_DELAY } from '../src/constants.js';
+
+/**
+ * Object that represents an enum of the formats a Recorder can save.
+ * Because this is really an object, the keys and values are equal.
+ *
+ * @namespace
+ * @const {!Object.<string, string>}
+ * @readonly
+ *
+ * @property {string} RecordingFormat.gif  an animated GIF encoded in JavaScript
+ * @property {string} RecordingFormat.png  a ZIP file of numbered PNG images
+ * @property {string} RecordingFormat.webm a WebM video made by MediaRecorder
+ */
+export const RecordingFormat = Object.freeze({
+    gif: 'gif',
+    png: 'png',
+    webm: 'webm'
+});
+
+/**
+ * Class that records the frames drawn onto a canvas and downloads them.
+ *
+ * Frames are copied onto a second canvas, over the first canvas' CSS
+ * background color, so recordings look the same as the page does.
+ */
+export class Recorder {
+
+    /**
+     * Constructs a new Recorder object.
+     * @param {HTMLCanvasElement} canvas   the canvas to record
+     * @param {string}            filename the name, without an extension, to save recordings as
+     */
+    constructor(canvas, filename) {
+        const frameCanvas = document.createElement('canvas');
+        Object.assign(this, {
+            _canvas: canvas,
+            _filename: filename,
+            _frameCanvas: frameCanvas,
+            _frameContext: frameCanvas.getContext('2d'),
+            _format: null,
+            _framesLeft: 0,
+            _sinceLastFrame: 0
+        });
+    } // constructor
+
+    /**
+     * Checks if a format can be recorded in this browser.
+     * @param {RecordingFormat} format the format to check
+     * @return true if the format can be recorded, false otherwise
+     */
+    static isSupported(format) {
+        if (format === RecordingFormat.webm) {
+            return typeof MediaRecorder !== 'undefined' && MediaRecorder.isTypeSupported('video/webm');
+        } // if
+        return Boolean(RecordingFormat[format]);
+    } // isSupported
+
+    /**
+     * Checks if this Recorder is currently recording.
+     * @return true if recording, false otherwise
+     */
+    isRecording() {
+        return this._format !== null;
+    } // isRecording
+
+    /**
+     * Starts recording the canvas. Frames are only recorded when capture is called.
+     * @param {RecordingFormat} format          the format to save the recording as
+     * @param {number}          [frames=Infinity] the number of frames to record before
+     *                                            stopping on its own
+     * @throws {Error} if already recording or the format is not supported
+     */
+    start(format, frames=Infinity) {
+        if (this.isRecording()) {
+            throw new Error('Already recording.');
+        } else if (!Recorder.isSupported(format)) {
+            throw new Error(`Recording as ${format} is not supported.`);
+        } // if
+
+        // Scale the recording down if the canvas is too wide
+        const scale = Math.min(1, RECORDING_MAX_WIDTH / this._canvas.width);
+        this._frameCanvas.width = Math.round(this._canvas.width * scale);
+        this._frameCanvas.height = Math.round(this._canvas.height * scale);
+
+        switch (format) {
+        case RecordingFormat.gif:
+            this._gif = new GifEncoder(this._frameCanvas.width, this._frameCanvas.height, RECORDING_FRAME_DELAY / 10);
+            break;
+        case RecordingFormat.png:
+            this._pngFrames = [];
+            break;
+        case RecordingFormat.webm:
+            this._drawFrame();
+            this._chunks = [];
+            this._mediaRecorder = new MediaRecorder(this._frameCanvas.captureStream(), { mimeType: 'video/webm' });
+            this._mediaRecorder.addEventListener('dataavailable', ({ data }) => this._chunks.push(data));
+            this._mediaRecorder.start();
+            break;
+        } // switch
+
+        Object.assign(this, {
+            _format: format,
+            _framesLeft: frames,
+            // Record the very first frame straight away
+            _sinceLastFrame: RECORDING_FRAME_DELAY
+        });
+    } // start
+
+    /**
+     * Records the canvas as it is now, if enough time has passed since
+     * the last recorded frame. Should be called once per animation frame,
+     * after drawing, with the same elapsed time the models moved by.
+     *
+     * @param {number} elapsed the time in milliseconds since the last call
+     */
+    capture(elapsed) {
+        if (!this.isRecording()) {
+            return;
+        } // if
+
+        this._sinceLastFrame += elapsed;
+        if (this._sinceLastFrame < RECORDING_FRAME_DELAY) {
+            return;
+        } // if
+        // Keep the leftover time, but never record more than one frame per call
+        this._sinceLastFrame = Math.min(this._sinceLastFrame - RECORDING_FRAME_DELAY, RECORDING_FRAME_DELAY);
+
+        this._drawFrame();
+        switch (this._format) {
+        case RecordingFormat.gif: {
+            const { width, height } = this._frameCanvas;
+            this._gif.addFrame(this._frameContext.getImageData(0, 0, width, height));
+            break;
+        }
+        case RecordingFormat.png:
+            this._pngFrames.push(this._toPng(this._frameCanvas));
+            break;
+        // WebM frames are picked up from the canvas stream by MediaRecorder
+        } // switch
+
+        if (--this._framesLeft <= 0) {
+            this.stop();
+        } // if
+    } // capture
+
+    /**
+     * Stops recording and downloads what was recorded.
+     * @return {Promise} resolves once the recording has been downloaded
+     */
+    async stop() {
+        if (!this.isRecording()) {
+            return;
+        } // if
+
+        const format = this._format;
+        this._format = null;
+
+        let blob = null;
+        switch (format) {
+        case RecordingFormat.gif:
+            blob = new Blob([this._gif.finish()], { type: 'image/gif' });
+            this._gif = null;
+            break;
+        case RecordingFormat.png: {
+            const pngs = await Promise.all(this._pngFrames);
+            this._pngFrames = null;
+            const files = await Promise.all(pngs.map(async (png, i) => ({
+                name: `${this._filename}-${String(i + 1).padStart(4, '0')}.png`,
+                data: new Uint8Array(await png.arrayBuffer())
+            })));
+            blob = new Blob([makeZip(files)], { type: 'application/zip' });
+            break;
+        }
+        case RecordingFormat.webm:
+            blob = await new Promise((resolve) => {
+                this._mediaRecorder.addEventListener('stop', () => {
+                    resolve(new Blob(this._chunks, { type: 'video/webm' }));
+                });
+                this._mediaRecorder.stop();
+            });
+            this._mediaRecorder = this._chunks = null;
+            break;
+        } // switch
+
+        download(blob, `${this._filename}.${format === RecordingFormat.png ? 'zip' : format}`);
+    } // stop
+
+    /**
+     * Downloads the canvas as it is now as a single PNG image at full size.
+     * @return {Promise} resolves once the image has been downloaded
+     */
+    async snapshot() {
+        const snapshotCanvas = document.createElement('canvas');
+        snapshotCanvas.width = this._canvas.width;
+        snapshotCanvas.height = this._canvas.height;
+        this._drawOnto(snapshotCanvas.getContext('2d'), snapshotCanvas);
+        download(await this._toPng(snapshotCanvas), `${this._filename}.png`);
+    } // snapshot
+
+    /**
+     * Copies the canvas onto the canvas used for recording.
+     * @private
+     */
+    _drawFrame() {
+        this._drawOnto(this._frameContext, this._frameCanvas);
+    } // _drawFrame
+
+    /**
+     * Fills a canvas with the recorded canvas' background color
+     * and then draws the recorded canvas over it, scaled to fit.
+     * @private
+     * @param {CanvasRenderingContext2D} context the context of the canvas to draw onto
+     * @param {HTMLCanvasElement}        target  the canvas to draw onto
+     */
+    _drawOnto(context, target) {
+        context.fillStyle = getComputedStyle(this._canvas).backgroundColor;
+        context.fillRect(0, 0, target.width, target.height);
+        context.drawImage(this._canvas, 0, 0, target.width, target.height);
+    } // _drawOnto
+
+    /**
+     * Encodes a canvas as a PNG image.
+     * @private
+     * @param {HTMLCanvasElement} canvas the canvas to encode
+     * @return {Promise<Blob>} resolves with the PNG image
+     */
+    _toPng(canvas) {
+        return new Promise((resolve) => canvas.toBlob(resolve, 'image/png'));
+    } // _toPng
+
+} // Recorder
@@ -0,0 +1,118 @@
+/**
+ * Class describing what every renderer can draw. Drawing code is written
+ * against these methods so the same frame can be drawn onto a canvas
+ * every animation frame or into an SVG image for a vector snapshot.
+ *
+ * Subclasses must implement every method that throws here,
+ * taking the parameters documented on it.
+ */
+export class Renderer {
+
+    /**
+     * Constructs a new Renderer object.
+     * @param {number} width  the width of the drawing in pixels
+     * @param {number} height the height of the drawing in pixels
+     */
+    constructor(width, height) {
+        Object.assign(this, { width, height });
+    } // constructor
+
+    /**
+     * Erases everything that has been drawn.
+     */
+    clear() {
+        throw new Error('clear is not implemented.');
+    } // clear
+
+    /**
+     * Sets how everything drawn after this call blends with what is under it.
+     * @param {string} mode one of the values of CanvasRenderingContext2D.globalCompositeOperation
+     */
+    setBlendMode() {
+        throw new Error('setBlendMode is not implemented.');
+    } // setBlendMode
+
+    /**
+     * Draws a filled rectangle. A negative width or height
+     * extends the rectangle left or up from (x, y).
+     * @param {number} x         the x-coordinate of a corner
+     * @param {number} y         the y-coordinate of a corner
+     * @param {number} width     the width of the rectangle
+     * @param {number} height    the height of the rectangle
+     * @param {string} fillColor the color to fill the rectangle with
+     */
+    rect() {
+        throw new Error('rect is not implemented.');
+    } // rect
+
+    /**
+     * Draws a filled circle.
+     * @param {number} x         the x-coordinate of the center
+     * @param {number} y         the y-coordinate of the center
+     * @param {number} radius    the radius of the circle
+     * @param {string} fillColor the color to fill the circle with
+     */
+    circle() {
+        throw new Error('circle is not implemented.');
+    } // circle
+
+    /**
+     * Draws a straight line.
+     * @param {number} x1          the x-coordinate to start at
+     * @param {number} y1          the y-coordinate to start at
+     * @param {number} x2          the x-coordinate to end at
+     * @param {number} y2          the y-coordinate to end at
+     * @param {string} strokeColor the color of the line
+     * @param {number} lineWidth   the thickness of the line
+     */
+    line() {
+        throw new Error('line is not implemented.');
+    } // line
+
+    /**
+     * Draws straight lines joining a list of points.
+     * @param {{ x: number, y: number }[]} points          the points to join, in order
+     * @param {string}                     strokeColor     the color of the lines
+     * @param {number}                     lineWidth       the thickness of the lines
+     * @param {boolean}                    [closed=false]  whether to join the last point back to the first
+     */
+    polyline() {
+        throw new Error('polyline is not implemented.');
+    } // polyline
+
+    /**
+     * Draws a filled shape with a list of points as its corners.
+     * @param {{ x: number, y: number }[]} points    the corners of the shape, in order
+     * @param {string}                     fillColor the color to fill the shape with
+     */
+    polygon() {
+        throw new Error('polygon is not implemented.');
+    } // polygon
+
+    /**
+     * Draws the outline of a circle.
+     * @param {number} x           the x-coordinate of the center
+     * @param {number} y           the y-coordinate of the center
+     * @param {number} radius      the radius of the circle
+     * @param {string} strokeColor the color of the outline
+     * @param {number} lineWidth   the thickness of the outline
+     */
+    strokeCircle() {
+        throw new Error('strokeCircle is not implemented.');
+    } // strokeCircle
+
+    /**
+     * Draws a line of text.
+     * @param {string} content              the text to draw
+     * @param {number} x                    the x-coordinate to align the text to
+     * @param {number} y                    the y-coordinate to align the text to
+     * @param {string} fillColor            the color of the text
+     * @param {string} font                 the font, in CSS shorthand such as '12px monospace'
+     * @param {string} [align='left']       'left', 'center' or 'right' of x
+     * @param {string} [baseline='middle']  'top', 'middle' or 'bottom' of y
+     */
+    text() {
+        throw new Error('text is not implemented.');
+    } // text
+
+} // Renderer
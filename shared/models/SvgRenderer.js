@@ -0,0 +1,222 @@
+import { Renderer } from './Renderer.js';
+
+/**
+ * Object mapping canvas composite operations to the closest CSS blend mode.
+ * Operations missing from here are drawn normally.
+ * @constant {!Object.<string, string>}
+ * @readonly
+ */
+const BLEND_MODES = Object.freeze({
+    'lighter': 'plus-lighter',
+    'multiply': 'multiply',
+    'screen': 'screen',
+    'overlay': 'overlay',
+    'darken': 'darken',
+    'lighten': 'lighten',
+    'difference': 'difference',
+    'exclusion': 'exclusion'
+});
+
+/**
+ * Object mapping canvas text alignments to SVG's text-anchor.
+ * @constant {!Object.<string, string>}
+ * @readonly
+ */
+const TEXT_ANCHORS = Object.freeze({ left: 'start', center: 'middle', right: 'end' });
+
+/**
+ * Object mapping canvas text baselines to SVG's dominant-baseline.
+ * @constant {!Object.<string, string>}
+ * @readonly
+ */
+const TEXT_BASELINES = Object.freeze({ top: 'hanging', middle: 'central', bottom: 'text-after-edge' });
+
+/**
+ * Rounds a number to two decimal places to keep the SVG small.
+ * @param {number} value the number to round
+ * @return the rounded number
+ */
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Formats points for the points attribute of a polyline or polygon.
+ * @param {{ x: number, y: number }[]} points the points to format
+ * @return the formatted points
+ */
+const formatPoints = (points) => points.map(({ x, y }) => `${round(x)},${round(y)}`).join(' ');
+
+/**
+ * Escapes text so it can be used inside an XML attribute.
+ * @param {string} text the text to escape
+ * @return the escaped text
+ */
+const escape = (text) => String(text).replace(/[&<>"]/g, (character) => `&#${character.charCodeAt(0)};`);
+
+/**
+ * Class that draws into an SVG image instead of onto a canvas,
+ * so a frame can be saved as a crisp vector image.
+ */
+export class SvgRenderer extends Renderer {
+
+    /**
+     * Constructs a new SvgRenderer object.
+     * @param {number} width        the width of the image in pixels
+     * @param {number} height       the height of the image in pixels
+     * @param {string} [background] the color to fill the image with before anything is drawn
+     */
+    constructor(width, height, background) {
+        super(width, height);
+        Object.assign(this, {
+            _background: background,
+            _blendMode: '',
+            _elements: []
+        });
+    } // constructor
+
+    /**
+     * Removes everything that has been drawn.
+     */
+    clear() {
+        this._elements = [];
+    } // clear
+
+    /**
+     * Sets how everything drawn after this call blends with what is under it.
+     * @param {string} mode one of the values of CanvasRenderingContext2D.globalCompositeOperation
+     */
+    setBlendMode(mode) {
+        this._blendMode = BLEND_MODES[mode] || '';
+    } // setBlendMode
+
+    /**
+     * Adds a filled rectangle to the image.
+     * @param {number} x         the x-coordinate of a corner
+     * @param {number} y         the y-coordinate of a corner
+     * @param {number} width     the width of the rectangle
+     * @param {number} height    the height of the rectangle
+     * @param {string} fillColor the color to fill the rectangle with
+     */
+    rect(x, y, width, height, fillColor) {
+        // SVG does not allow negative sizes, so move the corner instead
+        const left = Math.min(x, x + width);
+        const top = Math.min(y, y + height);
+        this._elements.push(`<rect x="${round(left)}" y="${round(top)}" ` +
+            `width="${round(Math.abs(width))}" height="${round(Math.abs(height))}" ` +
+            `fill="${escape(fillColor)}"${this._style()}/>`);
+    } // rect
+
+    /**
+     * Adds a filled circle to the image.
+     * @param {number} x         the x-coordinate of the center
+     * @param {number} y         the y-coordinate of the center
+     * @param {number} radius    the radius of the circle
+     * @param {string} fillColor the color to fill the circle with
+     */
+    circle(x, y, radius, fillColor) {
+        this._elements.push(`<circle cx="${round(x)}" cy="${round(y)}" r="${round(radius)}" ` +
+            `fill="${escape(fillColor)}"${this._style()}/>`);
+    } // circle
+
+    /**
+     * Adds a straight line to the image.
+     * @param {number} x1          the x-coordinate to start at
+     * @param {number} y1          the y-coordinate to start at
+     * @param {number} x2          the x-coordinate to end at
+     * @param {number} y2          the y-coordinate to end at
+     * @param {string} strokeColor the color of the line
+     * @param {number} lineWidth   the thickness of the line
+     */
+    line(x1, y1, x2, y2, strokeColor, lineWidth) {
+        this._elements.push(`<line x1="${round(x1)}" y1="${round(y1)}" x2="${round(x2)}" y2="${round(y2)}" ` +
+            `stroke="${escape(strokeColor)}" stroke-width="${round(lineWidth)}"${this._style()}/>`);
+    } // line
+
+    /**
+     * Adds straight lines joining a list of points to the image.
+     * @param {{ x: number, y: number }[]} points          the points to join, in order
+     * @param {string}                     strokeColor     the color of the lines
+     * @param {number}                     lineWidth       the thickness of the lines
+     * @param {boolean}                    [closed=false]  whether to join the last point back to the first
+     */
+    polyline(points, strokeColor, lineWidth, closed=false) {
+        const element = closed ? 'polygon' : 'polyline';
+        this._elements.push(`<${element} points="${formatPoints(points)}" fill="none" ` +
+            `stroke="${escape(strokeColor)}" stroke-width="${round(lineWidth)}" stroke-linejoin="round"${this._style()}/>`);
+    } // polyline
+
+    /**
+     * Adds a filled shape with a list of points as its corners to the image.
+     * @param {{ x: number, y: number }[]} points    the corners of the shape, in order
+     * @param {string}                     fillColor the color to fill the shape with
+     */
+    polygon(points, fillColor) {
+        this._elements.push(`<polygon points="${formatPoints(points)}" fill="${escape(fillColor)}"${this._style()}/>`);
+    } // polygon
+
+    /**
+     * Adds the outline of a circle to the image.
+     * @param {number} x           the x-coordinate of the center
+     * @param {number} y           the y-coordinate of the center
+     * @param {number} radius      the radius of the circle
+     * @param {string} strokeColor the color of the outline
+     * @param {number} lineWidth   the thickness of the outline
+     */
+    strokeCircle(x, y, radius, strokeColor, lineWidth) {
+        this._elements.push(`<circle cx="${round(x)}" cy="${round(y)}" r="${round(radius)}" fill="none" ` +
+            `stroke="${escape(strokeColor)}" stroke-width="${round(lineWidth)}"${this._style()}/>`);
+    } // strokeCircle
+
+    /**
+     * Adds a line of text to the image.
+     * @param {string} content              the text to draw
+     * @param {number} x                    the x-coordinate to align the text to
+     * @param {number} y                    the y-coordinate to align the text to
+     * @param {string} fillColor            the color of the text
+     * @param {string} font                 the font, in CSS shorthand such as '12px monospace'
+     * @param {string} [align='left']       'left', 'center' or 'right' of x
+     * @param {string} [baseline='middle']  'top', 'middle' or 'bottom' of y
+     */
+    text(content, x, y, fillColor, font, align='left', baseline='middle') {
+        const anchor = TEXT_ANCHORS[align] || TEXT_ANCHORS.left;
+        const dominantBaseline = TEXT_BASELINES[baseline] || TEXT_BASELINES.middle;
+        this._elements.push(`<text x="${round(x)}" y="${round(y)}" fill="${escape(fillColor)}" ` +
+            `text-anchor="${anchor}" dominant-baseline="${dominantBaseline}"` +
+            `${this._style(`font: ${font}`)}>` +
+            `${escape(content)}</text>`);
+    } // text
+
+    /**
+     * Returns the style attribute for an element, including the current blend mode.
+     * @private
+     * @param {...string} declarations CSS declarations to include
+     * @return the attribute with a leading space, or an empty string if there is no style
+     */
+    _style(...declarations) {
+        if (this._blendMode) {
+            declarations.push(`mix-blend-mode: ${this._blendMode}`);
+        } // if
+        return declarations.length ? ` style="${escape(declarations.join('; '))}"` : '';
+    } // _style
+
+    /**
+     * Returns the image as the text of an SVG file.
+     * @return the SVG markup
+     */
+    toString() {
+        const { width, height } = this;
+        const background = this._background
+            ? `<rect width="100%" height="100%" fill="${escape(this._background)}"/>`
+            : '';
+        return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" ` +
+            `viewBox="0 0 ${width} ${height}">${background}${this._elements.join('')}</svg>`;
+    } // toString
+
+    /**
+     * Returns the image as an SVG file.
+     * @return {Blob} the SVG file
+     */
+    toBlob() {
+        return new Blob([this.toString()], { type: 'image/svg+xml' });
+    } // toBlob
+
+} // SvgRenderer
@@ -0,0 +1,162 @@
+import { AUTO_THEME, THEME_STORAGE_KEY, THEMES, PREFERENCE_QUERIES, isPalette, preferredTheme, applyPalette } from '../src/themes.js';
+
+/**
+ * Keeps track of the picked theme and the custom palettes saved
+ * alongside the built-in ones, and colors the page with the picked one.
+ *
+ * The picked theme and custom palettes are kept in localStorage so
+ * they carry over between pages. The auto theme follows the system's
+ * preferences, even when they change while the page is open.
+ */
+export class ThemePicker {
+
+    /**
+     * Constructs a ThemePicker object and colors the page with
+     * the theme that was picked last, or the auto theme.
+     *
+     * @param {object}      [options]
+     * @param {Storage}     [options.storage=window.localStorage]  where the theme is kept
+     * @param {function}    [options.matchMedia=window.matchMedia] checks a media query
+     * @param {HTMLElement} [options.root=document.documentElement] the element given the CSS custom properties
+     */
+    constructor({ storage, matchMedia=(query) => window.matchMedia(query), root=document.documentElement }={}) {
+        Object.assign(this, {
+            theme: AUTO_THEME,
+            palette: THEMES.dark,
+            // without a prototype, so names like 'constructor' are only ever custom themes
+            custom: Object.create(null),
+            _storage: storage,
+            _matchMedia: matchMedia,
+            _root: root,
+            _listeners: []
+        });
+
+        const saved = this._read();
+        Object.keys(saved.custom || {})
+            .filter((name) => isPalette(saved.custom[name]) && !this._isBuiltIn(name))
+            .forEach((name) => {
+                this.custom[name] = saved.custom[name];
+            });
+        this.select(this.names().includes(saved.theme) ? saved.theme : AUTO_THEME);
+
+        // Follow the system while the auto theme is picked
+        Object.values(PREFERENCE_QUERIES).forEach((query) => {
+            const list = this._matchMedia(query);
+            if (list && list.addEventListener) {
+                list.addEventListener('change', () => {
+                    if (this.theme === AUTO_THEME) {
+                        this.select(AUTO_THEME);
+                    } // if
+                });
+            } // if
+        });
+    } // constructor
+
+    /**
+     * Returns the name of every theme that can be picked.
+     * @return {string[]} the auto theme, then the built-in themes, then the custom ones
+     */
+    names() {
+        return [AUTO_THEME, ...Object.keys(THEMES), ...Object.keys(this.custom)];
+    } // names
+
+    /**
+     * Adds a function to call with the palette whenever a theme is picked.
+     * @param {function} listener called with the new palette and the name of its theme
+     */
+    onChange(listener) {
+        this._listeners.push(listener);
+    } // onChange
+
+    /**
+     * Picks a theme, colors the page with it and saves it as the last picked.
+     * @param {string} name the name of a theme from names()
+     * @throws {Error} if there is no theme with the name
+     * @return {object} the theme's palette
+     */
+    select(name) {
+        if (!this.names().includes(name)) {
+            throw new Error(`Unknown theme '${name}'.`);
+        } // if
+
+        let source = this.custom[name];
+        if (name === AUTO_THEME) {
+            source = THEMES[preferredTheme(this._matchMedia)];
+        } else if (this._isBuiltIn(name)) {
+            source = THEMES[name];
+        } // if
+        Object.assign(this, { theme: name, palette: { ...source, series: [...source.series] } });
+        applyPalette(this._root, this.palette);
+        this._write();
+        this._listeners.forEach((listener) => listener(this.palette, name));
+        return this.palette;
+    } // select
+
+    /**
+     * Changes colors of the picked palette for now, without saving them
+     * or telling the listeners. Used while a custom palette is being made.
+     * @param {object} colors the palette keys to change and their new colors
+     */
+    customize(colors) {
+        Object.assign(this.palette, colors);
+        applyPalette(this._root, this.palette);
+    } // customize
+
+    /**
+     * Saves a custom palette, replacing any saved with the same name, and picks it.
+     * @param {string} name    the name to save the palette as
+     * @param {object} palette the palette, with every key a built-in palette has
+     * @throws {Error} if the name is empty or belongs to a built-in theme, or the palette is missing a color
+     * @return {object} the saved palette
+     */
+    save(name, palette) {
+        const trimmed = String(name).trim();
+        if (!trimmed) {
+            throw new Error('A custom theme needs a name.');
+        } else if (this._isBuiltIn(trimmed)) {
+            throw new Error(`'${trimmed}' is the name of a built-in theme.`);
+        } else if (!isPalette(palette)) {
+            throw new Error('A custom theme needs every color of a palette.');
+        } // if
+
+        this.custom[trimmed] = { ...palette, series: [...palette.series] };
+        return this.select(trimmed);
+    } // save
+
+    /**
+     * Checks if a name belongs to the auto theme or a built-in theme.
+     * @private
+     * @param {string} name the name to check
+     * @return true if the name cannot be used for a custom theme, false otherwise
+     */
+    _isBuiltIn(name) {
+        return name === AUTO_THEME || Object.prototype.hasOwnProperty.call(THEMES, name);
+    } // _isBuiltIn
+
+    /**
+     * Reads the last picked theme and the custom palettes.
+     * @private
+     * @return {{ theme: string, custom: object }} what was saved, or an empty object if it cannot be read
+     */
+    _read() {
+        try {
+            const saved = JSON.parse((this._storage || window.localStorage).getItem(THEME_STORAGE_KEY));
+            return saved && typeof saved === 'object' ? saved : {};
+        } catch (error) {
+            return {};
+        } // try
+    } // _read
+
+    /**
+     * Saves the picked theme and the custom palettes.
+     * @private
+     */
+    _write() {
+        try {
+            (this._storage || window.localStorage).setItem(THEME_STORAGE_KEY, JSON.stringify({ theme: this.theme, custom: this.custom }));
+        } catch (error) {
+            // Storage is full or disabled, so the theme only lasts until the page is closed
+        } // try
+    } // _write
+
+} // ThemePicker
@@ -0,0 +1,80 @@
+import { ANNOUNCE_DELAY } from './constants.js';
+
+/**
+ * The media query that matches when the system asks for less motion.
+ * @constant {!string}
+ */
+export const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+
+/**
+ * The parts of a dat.GUI object that act on clicks but cannot be
+ * focused: folder titles, buttons, the presets row's buttons and
+ * the button that opens and closes the whole GUI.
+ * @constant {!string}
+ */
+const CLICKABLE_SELECTOR = 'li.title, li.cr.function, .save-row .button, .close-button';
+
+/**
+ * Makes a function that describes something in an ARIA live region.
+ *
+ * Descriptions are only written once they have stayed the same for the delay,
+ * and only if they differ from the last one written, so the function can be
+ * called every animation frame without screen readers repeating themselves.
+ *
+ * @param {HTMLElement} region             the element with the aria-live attribute
+ * @param {number}      [delay=ANNOUNCE_DELAY] the time in milliseconds to wait for the description to settle
+ * @return {function} called with the current description
+ */
+export const makeAnnouncer = (region, delay=ANNOUNCE_DELAY) => {
+    let pending = region.textContent;
+    let timeout = null;
+    return (description) => {
+        if (description === pending) {
+            return;
+        } // if
+
+        pending = description;
+        clearTimeout(timeout);
+        timeout = setTimeout(() => {
+            region.textContent = pending;
+        }, delay);
+    };
+};
+
+/**
+ * Lets the parts of a dat.GUI object that only respond to clicks be
+ * reached with Tab and used with Enter or Space, and tells screen
+ * readers whether each folder is open. Folders and buttons added
+ * later, such as new waves, are covered too.
+ *
+ * @param {dat.GUI} gui the GUI to make accessible
+ */
+export const makeGuiAccessible = (gui) => {
+    const updateExpanded = (title) => {
+        title.setAttribute('aria-expanded', String(!title.parentElement.classList.contains('closed')));
+    };
+    const enhance = (element) => {
+        if (element.hasAttribute('tabindex')) {
+            return;
+        } // if
+
+        element.setAttribute('tabindex', '0');
+        element.setAttribute('role', 'button');
+        element.addEventListener('keydown', (event) => {
+            // Keys pressed in a control inside a folder also reach its title
+            if (event.target === element && (event.key === 'Enter' || event.key === ' ')) {
+                event.preventDefault();
+                element.click();
+            } // if
+        });
+        if (element.matches('li.title')) {
+            updateExpanded(element);
+            // dat.GUI opens and closes the folder in its own click listener, which runs first
+            element.addEventListener('click', () => updateExpanded(element));
+        } // if
+    };
+
+    const enhanceAll = () => gui.domElement.querySelectorAll(CLICKABLE_SELECTOR).forEach(enhance);
+    enhanceAll();
+    new MutationObserver(enhanceAll).observe(gui.domElement, { childList: true, subtree: true });
+};
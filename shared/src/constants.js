@@ -0,0 +1,51 @@
+/**
+ * The length in milliseconds of one frame at 60 frames per second.
+ * Frame counts used for easing, such as GROW_FRAMES, are measured
+ * in frames of this length so they look the same at any frame rate.
+ * @constant {!number}
+ */
+export const FRAME_DURATION = 1000 / 60;
+
+/**
+ * The most time in milliseconds that a single tick of a Clock
+ * can report. Keeps animations from jumping when a background
+ * tab starts getting animation frames again.
+ * @constant {!number}
+ */
+export const MAX_ELAPSED = 100;
+
+/**
+ * A constant object representing the min and
+ * max playback speeds selectable from the GUI.
+ * @constant {!Object.<string, number>}
+ * @readonly
+ */
+export const SPEED_BOUNDS = Object.freeze({ min: 0.1, max: 4 });
+
+/**
+ * The widest, in pixels, that a recording is allowed to be.
+ * Wider canvases are scaled down to keep recordings small.
+ * @constant {!number}
+ */
+export const RECORDING_MAX_WIDTH = 640;
+
+/**
+ * The time in milliseconds between recorded frames. GIF delays are
+ * measured in hundredths of a second, so this is a multiple of 10.
+ * @constant {!number}
+ */
+export const RECORDING_FRAME_DELAY = 30;
+
+/**
+ * The number of frames to record when not recording a full cycle.
+ * @constant {!number}
+ */
+export const RECORDING_FRAMES = 120;
+
+/**
+ * The time in milliseconds that a description has to stay the same
+ * before it is read out by screen readers, so dragging a slider
+ * is read out once it stops rather than at every step.
+ * @constant {!number}
+ */
+export const ANNOUNCE_DELAY = 750;
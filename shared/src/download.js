@@ -0,0 +1,13 @@
+/**
+ * Makes the browser download a Blob as a file.
+ * @param {Blob}   blob     the contents of the file
+ * @param {string} filename the name to save the file as
+ */
+export const download = (blob, filename) => {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    link.click();
+    // Give the download a chance to start before letting go of the contents
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+};
@@ -0,0 +1,100 @@
+/**
+ * Returns the value of a damped spring that starts at 0 and settles at 1.
+ * The spring has a mass of 1 and progress is used as its time, so
+ * stiffness and damping are measured against the length of the motion.
+ *
+ * @param {number} t                      the progress of the motion in [0, 1]
+ * @param {object} [options]              the properties of the spring
+ * @param {number} [options.stiffness=100] how strongly the spring pulls toward 1
+ * @param {number} [options.damping=10]    how quickly the spring stops oscillating
+ * @return the position of the spring
+ */
+const spring = (t, { stiffness=100, damping=10 }={}) => {
+    const naturalFrequency = Math.sqrt(stiffness);
+    const dampingRatio = damping / (2 * naturalFrequency);
+    const decay = Math.exp(-dampingRatio * naturalFrequency * t);
+
+    if (dampingRatio < 1) {
+        // Underdamped, so it overshoots and oscillates around 1
+        const dampedFrequency = naturalFrequency * Math.sqrt(1 - dampingRatio * dampingRatio);
+        return 1 - decay * (Math.cos(dampedFrequency * t) +
+            (dampingRatio * naturalFrequency / dampedFrequency) * Math.sin(dampedFrequency * t));
+    } else if (dampingRatio === 1) {
+        // Critically damped, so it reaches 1 as fast as possible without overshooting
+        return 1 - decay * (1 + naturalFrequency * t);
+    } // if
+
+    // Overdamped, so it creeps toward 1
+    const root = naturalFrequency * Math.sqrt(dampingRatio * dampingRatio - 1);
+    const fast = -dampingRatio * naturalFrequency - root;
+    const slow = -dampingRatio * naturalFrequency + root;
+    return 1 - (fast * Math.exp(slow * t) - slow * Math.exp(fast * t)) / (fast - slow);
+};
+
+/**
+ * Returns the value of an ease-out bounce, like a ball dropped onto the target.
+ * @param {number} t the progress of the motion in [0, 1]
+ * @return the eased value
+ */
+const bounce = (t) => {
+    const strength = 7.5625;
+    const width = 2.75;
+    if (t < 1 / width) {
+        return strength * t * t;
+    } else if (t < 2 / width) {
+        t -= 1.5 / width;
+        return strength * t * t + 0.75;
+    } else if (t < 2.5 / width) {
+        t -= 2.25 / width;
+        return strength * t * t + 0.9375;
+    } // if
+    t -= 2.625 / width;
+    return strength * t * t + 0.984375;
+};
+
+/**
+ * Object that maps the names of easing functions to their implementations.
+ *
+ * Every easing function takes the progress of a motion in [0, 1], and
+ * optionally an object of options, and returns how far along the motion
+ * should be drawn. They all return 0 at the start and 1 at the end, but
+ * some go past 1 in between.
+ *
+ * @namespace
+ * @const {!Object.<string, function>}
+ * @readonly
+ */
+export const EASINGS = Object.freeze({
+    linear: (t) => t,
+    // Covers most of the distance early on, like dividing the
+    // remaining distance every frame, but actually finishes.
+    exponential: (t) => (t >= 1 ? 1 : (1 - Math.pow(2, -10 * t)) / (1 - Math.pow(2, -10))),
+    easeInCubic: (t) => t * t * t,
+    easeOutCubic: (t) => 1 - Math.pow(1 - t, 3),
+    easeInOutCubic: (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+    elastic: (t) => {
+        if (t <= 0 || t >= 1) {
+            return t <= 0 ? 0 : 1;
+        } // if
+        return Math.pow(2, -10 * t) * Math.sin((t * 10 - 0.75) * (2 * Math.PI / 3)) + 1;
+    },
+    bounce,
+    spring: (t, options) => (t >= 1 ? 1 : spring(t, options))
+});
+
+/**
+ * Applies a named easing function.
+ *
+ * @param {string} name      the name of a key in EASINGS
+ * @param {number} progress  the progress of the motion; clamped to [0, 1]
+ * @param {object} [options] options passed along to the easing function
+ * @throws {Error} if name is not one of EASINGS
+ * @return the eased value
+ */
+export const ease = (name, progress, options) => {
+    const easing = EASINGS[name];
+    if (!easing) {
+        throw new Error(`Unknown easing '${name}'.`);
+    } // if
+    return easing(Math.max(0, Math.min(1, progress)), options);
+};
@@ -0,0 +1,16 @@
+/**
+ * Asks for a file to open.
+ * @param {string}   accept the types of file to offer, as the accept attribute of a file input takes them
+ * @param {function} open   called with the chosen file
+ */
+export const chooseFile = (accept, open) => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = accept;
+    input.addEventListener('change', () => {
+        if (input.files.length > 0) {
+            open(input.files[0]);
+        } // if
+    });
+    input.click();
+};
@@ -0,0 +1,108 @@
+import { Recorder, RecordingFormat } from '../models/Recorder.js';
+import { SPEED_BOUNDS, RECORDING_FRAMES } from './constants.js';
+
+/**
+ * Adds a folder to a dat.GUI object for pausing,
+ * stepping and changing the speed of a Clock.
+ *
+ * @param {dat.GUI} gui   the GUI to add the folder to
+ * @param {Clock}   clock the clock to control
+ * @return the new folder
+ */
+export const addClockFolder = (gui, clock) => {
+    const folder = gui.addFolder('Clock');
+    folder.add(clock, 'paused').listen();
+    folder.add(clock, 'speed', SPEED_BOUNDS.min, SPEED_BOUNDS.max);
+    folder.add(clock, 'step');
+    return folder;
+};
+
+/**
+ * Adds a folder to a dat.GUI object for recording the animation
+ * and taking a PNG or SVG snapshot of the current frame.
+ *
+ * @param {dat.GUI}  gui                     the GUI to add the folder to
+ * @param {Recorder} recorder                the recorder to control
+ * @param {object}   [actions]               optional extra buttons
+ * @param {function} [actions.recordCycle]   if provided, adds a button that calls it with the
+ *                                           selected format to record one full cycle
+ * @param {function} [actions.svgSnapshot]   if provided, adds a button that calls it to
+ *                                           save the current frame as an SVG image
+ * @return the new folder
+ */
+export const addRecordingFolder = (gui, recorder, { recordCycle, svgSnapshot }={}) => {
+    const options = {
+        format: RecordingFormat.gif,
+        frames: RECORDING_FRAMES,
+        record: () => {
+            if (!recorder.isRecording()) {
+                recorder.start(options.format, options.frames);
+            } // if
+        },
+        recordCycle: () => recordCycle(options.format),
+        stop: () => recorder.stop(),
+        snapshot: () => recorder.snapshot(),
+        svgSnapshot
+    };
+
+    const folder = gui.addFolder('Recording');
+    folder.add(options, 'format', Object.keys(RecordingFormat).filter(Recorder.isSupported));
+    folder.add(options, 'frames', 1, 1000, 1);
+    folder.add(options, 'record');
+    if (recordCycle) {
+        folder.add(options, 'recordCycle');
+    } // if
+    folder.add(options, 'stop');
+    folder.add(options, 'snapshot');
+    if (svgSnapshot) {
+        folder.add(options, 'svgSnapshot');
+    } // if
+    return folder;
+};
+
+/**
+ * Adds a folder to a dat.GUI object for picking a theme, changing
+ * the background and saving the current colors as a custom theme.
+ *
+ * @param {dat.GUI}     gui               the GUI to add the folder to
+ * @param {ThemePicker} picker            the picker to control
+ * @param {object}      [options]
+ * @param {function}    [options.capture] called with the picked palette when a custom theme is
+ *                                        saved; returns the palette keys the app's own controls
+ *                                        have changed, along with their colors
+ * @param {function}    [options.onError] called with the error if a custom theme cannot be saved
+ * @return the new folder
+ */
+export const addThemeFolder = (gui, picker, { capture=() => ({}), onError=(error) => window.alert(error.message) }={}) => {
+    const options = {
+        theme: picker.theme,
+        background: picker.palette.background,
+        name: '',
+        save: () => {
+            try {
+                picker.save(options.name, { ...picker.palette, ...capture(picker.palette), background: options.background });
+            } catch (error) {
+                onError(error);
+            } // try
+        }
+    };
+
+    const folder = gui.addFolder('Theme');
+    const pick = (name) => picker.select(name);
+    let names = picker.names();
+    let themeController = folder.add(options, 'theme', names).onChange(pick);
+    folder.addColor(options, 'background').onChange((background) => picker.customize({ background }));
+    folder.add(options, 'name');
+    folder.add(options, 'save');
+
+    picker.onChange((palette, name) => {
+        Object.assign(options, { theme: name, background: palette.background });
+        // A newly saved theme has to be added to the dropdown
+        if (!names.includes(name)) {
+            names = picker.names();
+            themeController = themeController.options(names).onChange(pick);
+        } // if
+        folder.__controllers.forEach((controller) => controller.updateDisplay());
+    });
+    return folder;
+};
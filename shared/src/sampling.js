@@ -0,0 +1,53 @@
+/**
+ * Tables that have already been made, keyed by their options,
+ * so that objects sharing a resolution share a table.
+ */
+const alreadyCalculated = new Map();
+
+/**
+ * Makes immutable angle, sine and cosine tables that
+ * split one period into evenly spaced samples.
+ *
+ * The angle table holds the x-values of each sample in [0, period).
+ * The sine and cosine tables hold amplitude * sin(2π * x / period + phase),
+ * and the same for cosine, so a period of 2π gives the usual unit circle.
+ *
+ * @param {object} [options]                  the options for the tables
+ * @param {number} [options.samples=16]       the number of samples per period
+ * @param {number} [options.period=2 * PI]    the length of one period
+ * @param {number} [options.amplitude=1]      the value to multiply sine and cosine by
+ * @param {number} [options.phase=0]          the angle in radians to offset sine and cosine by
+ * @throws {Error} if samples is not a positive integer or period is not positive
+ * @return {{ angles: number[], sin: number[], cos: number[] }} the frozen tables
+ */
+export const makeSamples = ({ samples=16, period=Math.PI * 2, amplitude=1, phase=0 }={}) => {
+    if (!Number.isInteger(samples) || samples < 1) {
+        throw new Error('The number of samples must be a positive integer.');
+    } else if (!(period > 0)) {
+        throw new Error('The period must be a positive number.');
+    } // if
+
+    const key = `${samples}:${period}:${amplitude}:${phase}`;
+    if (alreadyCalculated.has(key)) {
+        return alreadyCalculated.get(key);
+    } // if
+
+    const angles = [];
+    const sin = [];
+    const cos = [];
+    for (let i = 0; i < samples; i++) {
+        const angle = period * i / samples;
+        const radian = Math.PI * 2 * i / samples + phase;
+        angles.push(angle);
+        sin.push(amplitude * Math.sin(radian));
+        cos.push(amplitude * Math.cos(radian));
+    } // for
+
+    const tables = Object.freeze({
+        angles: Object.freeze(angles),
+        sin: Object.freeze(sin),
+        cos: Object.freeze(cos)
+    });
+    alreadyCalculated.set(key, tables);
+    return tables;
+};
@@ -0,0 +1,181 @@
+/**
+ * Matches the colors that dat.GUI color controllers accept as text.
+ * @constant {!RegExp}
+ */
+const HEX_COLOR = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+/**
+ * The events after which the controls may have changed.
+ * dat.GUI has no change event of its own, so these are
+ * listened for on the window instead.
+ * @constant {!string[]}
+ */
+const CHANGE_EVENTS = Object.freeze(['change', 'click', 'keyup', 'mouseup', 'touchend']);
+
+/**
+ * Converts the text of a URL parameter to the type of a controller's
+ * current value, rejecting anything the controller could not hold.
+ *
+ * @param {dat.controllers.Controller} controller the controller the value is for
+ * @param {string}                     text       the text of the parameter
+ * @return the converted value, or undefined if the text is not valid
+ */
+const parseValue = (controller, text) => {
+    const current = controller.getValue();
+    // A select only accepts one of its options
+    if (controller.__select && !Array.from(controller.__select.options, (option) => option.value).includes(text)) {
+        return undefined;
+    } // if
+
+    switch (typeof current) {
+    case 'number': {
+        const value = Number(text);
+        return text.trim() !== '' && Number.isFinite(value) ? value : undefined;
+    }
+    case 'boolean':
+        return ['true', 'false'].includes(text) ? text === 'true' : undefined;
+    case 'string':
+        return !HEX_COLOR.test(current) || HEX_COLOR.test(text) ? text : undefined;
+    default:
+        // Buttons and anything else are not part of the state
+        return undefined;
+    } // switch
+};
+
+/**
+ * Calls a function with every controller in a dat.GUI object and its folders,
+ * along with the key the controller's value is stored under in the URL.
+ * Controllers at the top are keyed by their property, and those in folders
+ * are prefixed with the folder names, such as 'Clock.speed'.
+ *
+ * @param {dat.GUI}   gui               the GUI to walk through
+ * @param {function}  callback          called with each controller and its key
+ * @param {object}    [options]
+ * @param {string}    [options.prefix]  text to put in front of every key
+ * @param {dat.GUI[]} [options.skip]    folders to leave out
+ */
+const forEachController = (gui, callback, { prefix='', skip=[] }={}) => {
+    gui.__controllers.forEach((controller) => callback(controller, prefix + controller.property));
+    for (const name in gui.__folders) {
+        const folder = gui.__folders[name];
+        if (!skip.includes(folder)) {
+            forEachController(folder, callback, { prefix: `${prefix}${name}.`, skip });
+        } // if
+    } // for
+};
+
+/**
+ * Reads the parameters stored in the hash of the page's URL.
+ * @return {URLSearchParams} the parameters in the hash
+ */
+export const readHash = () => new URLSearchParams(window.location.hash.replace(/^#/, ''));
+
+/**
+ * Replaces the hash of the page's URL with parameters, without adding
+ * to the browser's history so the back button still leaves the page.
+ *
+ * @param {URLSearchParams} params the parameters to store in the hash
+ */
+export const writeHash = (params) => {
+    const hash = `#${params}`;
+    if (window.location.hash !== hash) {
+        window.history.replaceState(null, '', hash);
+    } // if
+};
+
+/**
+ * Adds the value of every controller in a dat.GUI object to URL parameters.
+ * Buttons are left out since they have no value.
+ *
+ * @param {dat.GUI}         gui       the GUI to read the values from
+ * @param {URLSearchParams} params    the parameters to add to
+ * @param {object}          [options] see forEachController
+ * @return {URLSearchParams} params
+ */
+export const collectParams = (gui, params, options) => {
+    forEachController(gui, (controller, key) => {
+        const value = controller.getValue();
+        if (typeof value !== 'function') {
+            params.set(key, String(value));
+        } // if
+    }, options);
+    return params;
+};
+
+/**
+ * Sets the controllers in a dat.GUI object from URL parameters.
+ *
+ * Values are set through the controllers so that they are kept within
+ * the controllers' bounds and the controllers' change handlers run.
+ * Parameters that do not match a controller, or that the controller
+ * could not hold, are ignored.
+ *
+ * @param {dat.GUI}         gui       the GUI to set the values of
+ * @param {URLSearchParams} params    the parameters to read from
+ * @param {object}          [options] see forEachController
+ */
+export const applyParams = (gui, params, options) => {
+    forEachController(gui, (controller, key) => {
+        const text = params.get(key);
+        const value = text === null ? undefined : parseValue(controller, text);
+        if (value === undefined) {
+            return;
+        } // if
+
+        controller.setValue(value);
+        // Text and number controllers only finish changing once they lose focus
+        if (controller.__onFinishChange) {
+            controller.__onFinishChange.call(controller, controller.getValue());
+        } // if
+    }, options);
+};
+
+/**
+ * Keeps the hash of the page's URL up to date with the controls.
+ * @param {function} collect returns the URLSearchParams for the current state
+ */
+export const watchState = (collect) => {
+    const update = () => writeHash(collect());
+    CHANGE_EVENTS.forEach((type) => window.addEventListener(type, update));
+};
+
+/**
+ * Reads the presets saved by savePresets, to be passed
+ * as the load option of the dat.GUI constructor.
+ *
+ * @param {string} key the localStorage key the presets are saved under
+ * @return {object} the saved presets, or undefined if there are none or they cannot be read
+ */
+export const loadPresets = (key) => {
+    try {
+        const saved = JSON.parse(window.localStorage.getItem(key));
+        return saved && typeof saved === 'object' ? saved : undefined;
+    } catch (error) {
+        return undefined;
+    } // try
+};
+
+/**
+ * Adds the presets dropdown to a dat.GUI object for the given objects
+ * and saves the presets to localStorage whenever one is saved.
+ * Must be called before any controllers are added for the objects.
+ *
+ * dat.GUI can store presets in localStorage itself, but it keys them
+ * by the whole URL, including the hash that the state is kept in.
+ *
+ * @param {dat.GUI}  gui     the GUI, constructed with the result of loadPresets
+ * @param {string}   key     the localStorage key to save the presets under
+ * @param {...object} objects the objects whose controllers make up a preset
+ */
+export const savePresets = (gui, key, ...objects) => {
+    gui.remember(...objects);
+    const saveToLocalStorageIfPossible = gui.saveToLocalStorageIfPossible;
+    gui.saveToLocalStorageIfPossible = () => {
+        saveToLocalStorageIfPossible.call(gui);
+        try {
+            window.localStorage.setItem(key, JSON.stringify(gui.getSaveObject()));
+        } catch (error) {
+            // Storage is full or disabled, so the presets only last until the page is closed
+        } // try
+    };
+};
@@ -0,0 +1,163 @@
+/**
+ * The name of the theme that follows the system's preferences.
+ * @constant {!string}
+ */
+export const AUTO_THEME = 'auto';
+
+/**
+ * The localStorage key that the picked theme and custom palettes
+ * are saved under. Every page shares it, so a theme picked in one
+ * animation is used by the others and the gallery.
+ * @constant {!string}
+ */
+export const THEME_STORAGE_KEY = 'canvas_collection.theme';
+
+/**
+ * Object mapping the names of the built-in themes to their palettes.
+ *
+ * scheme is 'dark' or 'light', for the browser's own controls.
+ * background, surface, foreground, muted, link, error and errorBackground
+ * color the page; accent, axis, subtle and highlight color the drawings,
+ * and series holds the colors handed out to waves and circles, in order.
+ * Every color but highlight is a hex color so dat.GUI can edit it.
+ *
+ * @namespace
+ * @const {!Object.<string, object>}
+ * @readonly
+ */
+export const THEMES = Object.freeze({
+    dark: Object.freeze({
+        scheme: 'dark',
+        background: '#1c1c20',
+        surface: '#2a2a30',
+        foreground: '#ffffff',
+        muted: '#9a9aa6',
+        link: '#bcacff',
+        error: '#ff8080',
+        errorBackground: '#2a0f0f',
+        accent: '#aa00aa',
+        axis: '#55555f',
+        subtle: '#4a4a5a',
+        highlight: 'rgba(255, 255, 255, 0.08)',
+        series: Object.freeze(['#cccccc', '#ff6f91', '#5fd3e6', '#ffc75f', '#9bde7e', '#c49bff'])
+    }),
+    light: Object.freeze({
+        scheme: 'light',
+        background: '#f5f5f7',
+        surface: '#e2e2e8',
+        foreground: '#1c1c20',
+        muted: '#5a5a66',
+        link: '#5b3cc4',
+        error: '#a61b1b',
+        errorBackground: '#fde2e2',
+        accent: '#8a008a',
+        axis: '#b4b4be',
+        subtle: '#d0d0da',
+        highlight: 'rgba(0, 0, 0, 0.06)',
+        series: Object.freeze(['#3a3a48', '#d6336c', '#1c7ed6', '#e8590c', '#2b8a3e', '#7048e8'])
+    }),
+    'high-contrast': Object.freeze({
+        scheme: 'dark',
+        background: '#000000',
+        surface: '#000000',
+        foreground: '#ffffff',
+        muted: '#ffffff',
+        link: '#ffff00',
+        error: '#ffffff',
+        errorBackground: '#c00000',
+        accent: '#ffff00',
+        axis: '#ffffff',
+        subtle: '#808080',
+        highlight: 'rgba(255, 255, 255, 0.3)',
+        series: Object.freeze(['#ffffff', '#ffff00', '#00ffff', '#ff00ff', '#00ff00', '#ff8000'])
+    }),
+    // The Okabe-Ito colors, which can be told apart with any color vision
+    colorblind: Object.freeze({
+        scheme: 'dark',
+        background: '#1c1c20',
+        surface: '#2a2a30',
+        foreground: '#ffffff',
+        muted: '#9a9aa6',
+        link: '#56b4e9',
+        error: '#e69f00',
+        errorBackground: '#2a1f0a',
+        accent: '#cc79a7',
+        axis: '#55555f',
+        subtle: '#4a4a5a',
+        highlight: 'rgba(255, 255, 255, 0.08)',
+        series: Object.freeze(['#e69f00', '#56b4e9', '#009e73', '#f0e442', '#0072b2', '#d55e00'])
+    }),
+    // Dark ink on white paper, with colors that still differ in grayscale
+    print: Object.freeze({
+        scheme: 'light',
+        background: '#ffffff',
+        surface: '#ffffff',
+        foreground: '#000000',
+        muted: '#333333',
+        link: '#000000',
+        error: '#000000',
+        errorBackground: '#ffffff',
+        accent: '#000000',
+        axis: '#999999',
+        subtle: '#dddddd',
+        highlight: 'rgba(0, 0, 0, 0.08)',
+        series: Object.freeze(['#000000', '#666666', '#0050a0', '#a00000', '#007000', '#7a4a00'])
+    })
+});
+
+/**
+ * The palette keys that are set on the page as CSS custom properties,
+ * such as --background and --error-background.
+ * @constant {!string[]}
+ */
+const CSS_KEYS = Object.freeze(['background', 'surface', 'foreground', 'muted', 'link', 'error', 'errorBackground']);
+
+/**
+ * Checks if an object holds every color a palette needs,
+ * such as a custom palette read back from localStorage.
+ *
+ * @param {*} palette the object to check
+ * @return true if it can be used as a palette, false otherwise
+ */
+export const isPalette = (palette) => Boolean(palette) && typeof palette === 'object'
+    && Object.keys(THEMES.dark).every((key) => key === 'series' || typeof palette[key] === 'string')
+    && Array.isArray(palette.series) && palette.series.length > 0
+    && palette.series.every((color) => typeof color === 'string');
+
+/**
+ * The media queries that decide which built-in theme the system prefers.
+ * @constant {!Object.<string, string>}
+ */
+export const PREFERENCE_QUERIES = Object.freeze({
+    contrast: '(prefers-contrast: more)',
+    light: '(prefers-color-scheme: light)'
+});
+
+/**
+ * Returns the built-in theme that suits the system's preferences:
+ * high-contrast if more contrast is asked for, otherwise light or dark.
+ *
+ * @param {function} [matchMedia=window.matchMedia] checks a media query, returning a MediaQueryList
+ * @return the name of a theme in THEMES
+ */
+export const preferredTheme = (matchMedia=(query) => window.matchMedia(query)) => {
+    if (matchMedia(PREFERENCE_QUERIES.contrast).matches) {
+        return 'high-contrast';
+    } // if
+    return matchMedia(PREFERENCE_QUERIES.light).matches ? 'light' : 'dark';
+};
+
+/**
+ * Sets a palette's page colors as CSS custom properties on an element,
+ * so stylesheets can use them with var(--background) and the like.
+ *
+ * @param {HTMLElement} root    the element to set the properties on, usually the <html> element
+ * @param {object}      palette the palette to use
+ */
+export const applyPalette = (root, palette) => {
+    CSS_KEYS.forEach((key) => {
+        const property = `--${key.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`)}`;
+        root.style.setProperty(property, palette[key]);
+    });
+    root.style.colorScheme = palette.scheme;
+};
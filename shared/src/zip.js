@@ -0,0 +1,90 @@
+/**
+ * Lookup table for calculating CRC-32 checksums one byte at a time.
+ */
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let crc = n;
+        for (let k = 0; k < 8; k++) {
+            crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+        } // for
+        table[n] = crc >>> 0;
+    } // for
+    return table;
+})();
+
+/**
+ * Calculates the CRC-32 checksum of some bytes, as used by ZIP files.
+ * @param {Uint8Array} bytes the bytes to calculate the checksum of
+ * @return the checksum as an unsigned 32-bit integer
+ */
+export const crc32 = (bytes) => {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    } // for
+    return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * Packs files into a ZIP archive without compressing them.
+ * Already compressed files, such as PNG images, gain little from
+ * compression anyway.
+ *
+ * @param {{ name: string, data: Uint8Array }[]} files the files to pack, named with ASCII characters
+ * @return {Uint8Array} the bytes of the ZIP file
+ */
+export const makeZip = (files) => {
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    files.forEach(({ name, data }) => {
+        const nameBytes = Uint8Array.from(name, (character) => character.charCodeAt(0));
+        const crc = crc32(data);
+
+        // Local file header followed by the file itself
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);
+        local.setUint16(4, 20, true); // version needed to extract
+        local.setUint16(10, 0, true); // modification time
+        local.setUint16(12, 0x21, true); // modification date of 1980-01-01
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true); // compressed size
+        local.setUint32(22, data.length, true); // uncompressed size
+        local.setUint16(26, nameBytes.length, true);
+        localParts.push(new Uint8Array(local.buffer), nameBytes, data);
+
+        // Central directory entry pointing back at the local header
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014b50, true);
+        central.setUint16(4, 20, true); // version made by
+        central.setUint16(6, 20, true); // version needed to extract
+        central.setUint16(14, 0x21, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, nameBytes.length, true);
+        central.setUint32(42, offset, true);
+        centralParts.push(new Uint8Array(central.buffer), nameBytes);
+
+        offset += 30 + nameBytes.length + data.length;
+    });
+
+    const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true); // entries on this disk
+    end.setUint16(10, files.length, true); // total entries
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+    const zip = new Uint8Array(offset + centralSize + 22);
+    let position = 0;
+    parts.forEach((part) => {
+        zip.set(part, position);
+        position += part.length;
+    });
+    return zip;
+};
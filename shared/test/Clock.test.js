@@ -0,0 +1,36 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Clock } from '../models/Clock.js';
+import { FRAME_DURATION, MAX_ELAPSED } from '../src/constants.js';
+
+describe('Clock', () => {
+    it('measures the time between ticks, scaled by its speed', () => {
+        const clock = new Clock(2);
+        assert.equal(clock.tick(1000), 0);
+        assert.equal(clock.tick(1016), 32);
+    });
+
+    it('caps the time that passes between ticks', () => {
+        const clock = new Clock();
+        clock.tick(0);
+        assert.equal(clock.tick(5000), MAX_ELAPSED);
+    });
+
+    it('stops time while paused', () => {
+        const clock = new Clock();
+        clock.tick(0);
+        clock.pause();
+        assert.equal(clock.tick(16), 0);
+        clock.resume();
+        assert.equal(clock.tick(32), 16);
+    });
+
+    it('steps forward a single frame and stays paused', () => {
+        const clock = new Clock(3);
+        clock.tick(0);
+        clock.step();
+        assert.equal(clock.paused, true);
+        assert.equal(clock.tick(50), FRAME_DURATION);
+        assert.equal(clock.tick(100), 0);
+    });
+});
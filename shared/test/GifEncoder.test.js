@@ -0,0 +1,139 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { GifEncoder } from '../models/GifEncoder.js';
+
+/**
+ * Undoes the variable length LZW compression of a GIF image.
+ */
+const decompress = (minCodeSize, data) => {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const initial = () => Array.from({ length: endCode + 1 }, (entry, i) => [i]);
+
+    let table = initial();
+    let codeSize = minCodeSize + 1;
+    let previous = null;
+    let position = 0;
+    const indices = [];
+    for (;;) {
+        let code = 0;
+        for (let bit = 0; bit < codeSize; bit++, position++) {
+            code |= ((data[position >> 3] >> (position & 7)) & 1) << bit;
+        } // for
+
+        if (code === clearCode) {
+            table = initial();
+            codeSize = minCodeSize + 1;
+            previous = null;
+            continue;
+        } else if (code === endCode) {
+            return indices;
+        } // if
+
+        const entry = code < table.length ? table[code] : previous.concat(previous[0]);
+        indices.push(...entry);
+        if (previous && table.length < 4096) {
+            table.push(previous.concat(entry[0]));
+            if (table.length === 1 << codeSize && codeSize < 12) {
+                codeSize++;
+            } // if
+        } // if
+        previous = entry;
+    } // for
+};
+
+/**
+ * Reads the size and the RGB pixels of every frame back out of a GIF file
+ * made by GifEncoder, with its global color table and its delays.
+ */
+const readGif = (gif) => {
+    assert.equal(String.fromCharCode(...gif.subarray(0, 6)), 'GIF89a');
+    const short = (offset) => gif[offset] | (gif[offset + 1] << 8);
+    const width = short(6);
+    const height = short(8);
+    const palette = gif.subarray(13, 13 + 256 * 3);
+
+    const frames = [];
+    let offset = 13 + 256 * 3;
+    while (gif[offset] !== 0x3b) {
+        if (gif[offset] === 0x21) {
+            // Extensions are made of sub-blocks after their label
+            const label = gif[offset + 1];
+            if (label === 0xf9) {
+                frames.push({ delay: short(offset + 4) });
+            } // if
+            offset += 2;
+            while (gif[offset] !== 0) {
+                offset += gif[offset] + 1;
+            } // while
+            offset++;
+        } else {
+            assert.equal(gif[offset], 0x2c);
+            const minCodeSize = gif[offset + 10];
+            offset += 11;
+            const data = [];
+            while (gif[offset] !== 0) {
+                data.push(...gif.subarray(offset + 1, offset + 1 + gif[offset]));
+                offset += gif[offset] + 1;
+            } // while
+            offset++;
+            const indices = decompress(minCodeSize, data);
+            assert.equal(indices.length, width * height);
+            frames[frames.length - 1].pixels = indices.map((index) => Array.from(palette.subarray(index * 3, index * 3 + 3)));
+        } // if
+    } // while
+    return { width, height, frames };
+};
+
+const COLORS = [[255, 0, 0], [0, 0, 255], [255, 255, 255], [24, 24, 32]];
+
+/**
+ * Makes the RGBA pixels of a frame from a color index for each pixel.
+ */
+const makeFrame = (width, height, colorAt) => {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0; i < width * height; i++) {
+        data.set([...COLORS[colorAt(i)], 255], i * 4);
+    } // for
+    return { data };
+};
+
+describe('GifEncoder', () => {
+    it('encodes frames that decode back to the same pixels', () => {
+        const encoder = new GifEncoder(6, 4, 5);
+        const frames = [(i) => i % 4, (i) => Math.floor(i / 6) % 2, () => 3];
+        frames.forEach((colorAt) => encoder.addFrame(makeFrame(6, 4, colorAt)));
+
+        const gif = readGif(encoder.finish());
+        assert.equal(gif.width, 6);
+        assert.equal(gif.height, 4);
+        assert.equal(gif.frames.length, 3);
+        gif.frames.forEach(({ delay, pixels }, f) => {
+            assert.equal(delay, 5);
+            assert.deepEqual(pixels, Array.from({ length: 24 }, (pixel, i) => COLORS[frames[f](i)]));
+        });
+    });
+
+    it('starts the code table over once it is full', () => {
+        // Pseudo-random pixels make new codes quickly, filling the table many times
+        let seed = 7;
+        const colorAt = () => {
+            seed = (seed * 1103515245 + 12345) % 2147483648;
+            return Math.floor(seed / 65536) % 4;
+        };
+        const frame = makeFrame(200, 150, colorAt);
+        const encoder = new GifEncoder(200, 150, 2);
+        encoder.addFrame(frame);
+
+        const { frames } = readGif(encoder.finish());
+        const expected = [];
+        for (let i = 0; i < frame.data.length; i += 4) {
+            expected.push(Array.from(frame.data.subarray(i, i + 3)));
+        } // for
+        assert.deepEqual(frames[0].pixels, expected);
+    });
+
+    it('throws for a frame of the wrong size', () => {
+        assert.throws(() => new GifEncoder(2, 2, 1).addFrame({ data: new Uint8ClampedArray(4) }), /size of the GIF/);
+    });
+});
@@ -0,0 +1,34 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { makeAnnouncer } from '../src/a11y.js';
+
+const wait = (milliseconds) => new Promise((resolve) => setTimeout(resolve, milliseconds));
+
+describe('makeAnnouncer', () => {
+    it('only writes a description once it has settled', async () => {
+        const region = { textContent: '' };
+        const announce = makeAnnouncer(region, 20);
+        announce('Playing');
+        announce('Paused');
+        assert.equal(region.textContent, '');
+
+        await wait(40);
+        assert.equal(region.textContent, 'Paused');
+    });
+
+    it('does not repeat the description already written', async () => {
+        let writes = 0;
+        const region = {
+            get textContent() {
+                return 'Paused';
+            },
+            set textContent(value) {
+                writes++;
+            }
+        };
+        makeAnnouncer(region, 0)('Paused');
+
+        await wait(20);
+        assert.equal(writes, 0);
+    });
+});
@@ -0,0 +1,23 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { EASINGS, ease } from '../src/easings.js';
+
+describe('EASINGS', () => {
+    for (const name in EASINGS) {
+        it(`${name} starts at 0 and ends at 1`, () => {
+            assert.ok(Math.abs(EASINGS[name](0, { stiffness: 100, damping: 10 })) < 1e-9);
+            assert.equal(EASINGS[name](1, { stiffness: 100, damping: 10 }), 1);
+        });
+    } // for
+});
+
+describe('ease', () => {
+    it('clamps the progress', () => {
+        assert.equal(ease('linear', -1), 0);
+        assert.equal(ease('linear', 2), 1);
+    });
+
+    it('throws for an unknown easing', () => {
+        assert.throws(() => ease('wobble', 0.5), /Unknown easing 'wobble'/);
+    });
+});
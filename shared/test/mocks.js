@@ -0,0 +1,105 @@
+/**
+ * Makes a stand-in for a canvas element that tests can draw on in Node.
+ *
+ * Its 2D context records every method called on it, in order, as
+ * [name, ...args]. fillText stamps the pattern that glyphs returns for
+ * the text into opaque pixels that getImageData reads back, the way a
+ * browser would rasterize a font. They are white, or red, green or blue for
+ * 'r', 'g' or 'b' in the pattern, the way color emoji are drawn, and '+'
+ * is a white pixel a quarter covered, like those on the edges of a character. The pattern is centered on the point
+ * when textAlign and textBaseline are 'center' and 'middle'; otherwise
+ * it starts the columns that overhang gives for the text left of the point
+ * and sits on it as its baseline, with the rows that descent gives for
+ * the text below it. measureText measures the
+ * same pattern, with kerning added between each pair of characters.
+ *
+ * @param {object}   [options]
+ * @param {number}   [options.width=800]  the width of the canvas
+ * @param {number}   [options.height=600] the height of the canvas
+ * @param {function} [options.glyphs]     returns the rows of the pattern drawn for some text,
+ *                                        with '#', 'r', 'g', 'b' or '+' for a pixel that is present
+ * @param {function} [options.descent]    returns the number of rows of the text's pattern below its baseline
+ * @param {function} [options.kerning]    returns the kerning between two characters
+ * @param {function} [options.overhang]   returns the number of columns of the text's pattern left of where it is drawn
+ * @return {object} the canvas, with the context's calls as canvas.calls
+ */
+export const makeMockCanvas = ({ width=800, height=600, glyphs=() => [], descent=() => 0, kerning=() => 0, overhang=() => 0 }={}) => {
+    const calls = [];
+    const colors = {
+        '#': [255, 255, 255, 255], '+': [255, 255, 255, 64],
+        r: [255, 0, 0, 255], g: [0, 255, 0, 255], b: [0, 0, 255, 255]
+    };
+    let pixels = new Uint8ClampedArray(width * height * 4);
+    const canvas = { calls };
+    // Resizing a canvas clears it
+    ['width', 'height'].forEach((dimension) => {
+        let size = dimension === 'width' ? width : height;
+        Object.defineProperty(canvas, dimension, {
+            get: () => size,
+            set: (value) => {
+                size = value;
+                pixels = new Uint8ClampedArray(canvas.width * canvas.height * 4);
+            }
+        });
+    });
+
+    const record = (name) => (...args) => calls.push([name, ...args]);
+    const context = {
+        canvas,
+        fillStyle: '#000000',
+        strokeStyle: '#000000',
+        lineWidth: 1,
+        font: '10px sans-serif',
+        textAlign: 'start',
+        textBaseline: 'alphabetic',
+        globalCompositeOperation: 'source-over',
+        fillText(text, x, y) {
+            calls.push(['fillText', text, x, y]);
+            const rows = glyphs(text);
+            const top = context.textBaseline === 'middle' ? Math.round(y - rows.length / 2) : y - rows.length + descent(text);
+            rows.forEach((row, r) => {
+                const left = context.textAlign === 'center' ? Math.round(x - row.length / 2) : x - overhang(text);
+                Array.from(row).forEach((cell, c) => {
+                    const px = left + c;
+                    const py = top + r;
+                    if (cell in colors && px >= 0 && px < canvas.width && py >= 0 && py < canvas.height) {
+                        pixels.set(colors[cell], (py * canvas.width + px) * 4);
+                    } // if
+                });
+            });
+        },
+        getImageData(x, y, w, h) {
+            calls.push(['getImageData', x, y, w, h]);
+            const data = new Uint8ClampedArray(w * h * 4);
+            for (let row = 0; row < h; row++) {
+                const start = ((y + row) * canvas.width + x) * 4;
+                data.set(pixels.subarray(start, start + w * 4), row * w * 4);
+            } // for
+            return { data, width: w, height: h };
+        },
+        clearRect(...args) {
+            calls.push(['clearRect', ...args]);
+            pixels.fill(0);
+        },
+        measureText(text) {
+            const characters = Array.from(text);
+            const columns = (character) => Math.max(0, ...glyphs(character).map((row) => row.length));
+            const pairs = characters.slice(1).map((character, i) => kerning(characters[i], character));
+            const rows = glyphs(text).length;
+            return {
+                width: characters.reduce((total, character) => total + columns(character), 0)
+                    + pairs.reduce((total, kern) => total + kern, 0),
+                actualBoundingBoxLeft: overhang(text),
+                actualBoundingBoxRight: columns(text) - overhang(text),
+                actualBoundingBoxAscent: rows - descent(text),
+                actualBoundingBoxDescent: descent(text)
+            };
+        }
+    };
+    ['fillRect', 'strokeRect', 'beginPath', 'closePath', 'moveTo', 'lineTo', 'arc',
+        'fill', 'stroke', 'save', 'restore', 'setLineDash'].forEach((name) => {
+        context[name] = record(name);
+    });
+    canvas.getContext = () => context;
+    return canvas;
+};
@@ -0,0 +1,50 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { CanvasRenderer } from '../models/CanvasRenderer.js';
+import { SvgRenderer } from '../models/SvgRenderer.js';
+import { makeMockCanvas } from './mocks.js';
+
+describe('CanvasRenderer', () => {
+    it('takes its size from the canvas', () => {
+        const renderer = new CanvasRenderer(makeMockCanvas({ width: 300, height: 200 }));
+        assert.equal(renderer.width, 300);
+        assert.equal(renderer.height, 200);
+    });
+
+    it('resizes the canvas and returns its center', () => {
+        const canvas = makeMockCanvas();
+        const renderer = new CanvasRenderer(canvas);
+        assert.deepEqual(renderer.resize(640, 480), { canvasCenterX: 320, canvasCenterY: 240 });
+        assert.equal(canvas.width, 640);
+        assert.equal(renderer.height, 480);
+    });
+
+    it('only changes the fill color when it differs', () => {
+        const canvas = makeMockCanvas();
+        const renderer = new CanvasRenderer(canvas);
+        renderer.rect(1, 2, 3, 4, '#FF0000');
+        renderer.rect(5, 6, 7, 8, '#ff0000');
+        assert.equal(canvas.getContext('2d').fillStyle, '#FF0000');
+        assert.deepEqual(canvas.calls.filter(([name]) => name === 'fillRect'), [
+            ['fillRect', 1, 2, 3, 4],
+            ['fillRect', 5, 6, 7, 8]
+        ]);
+    });
+});
+
+describe('SvgRenderer', () => {
+    it('turns negative sizes into a moved corner', () => {
+        const renderer = new SvgRenderer(100, 50);
+        renderer.rect(10, 20, 5, -15, 'red');
+        assert.match(renderer.toString(), /<rect x="10" y="5" width="5" height="15" fill="red"\/>/);
+    });
+
+    it('escapes text and drops everything on clear', () => {
+        const renderer = new SvgRenderer(100, 50, '#000');
+        renderer.text('a < b', 0, 0, 'white', '12px serif');
+        assert.match(renderer.toString(), /a &#60; b/);
+        renderer.clear();
+        assert.doesNotMatch(renderer.toString(), /<text/);
+        assert.match(renderer.toString(), /fill="#000"/);
+    });
+});
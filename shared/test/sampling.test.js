@@ -0,0 +1,31 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { makeSamples } from '../src/sampling.js';
+
+const assertClose = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+
+describe('makeSamples', () => {
+    it('splits one period into evenly spaced samples', () => {
+        const { angles, sin, cos } = makeSamples({ samples: 4, period: 8, amplitude: 2 });
+        assert.deepEqual(angles, [0, 2, 4, 6]);
+        [0, 2, 0, -2].forEach((value, i) => assertClose(sin[i], value));
+        [2, 0, -2, 0].forEach((value, i) => assertClose(cos[i], value));
+    });
+
+    it('offsets sine and cosine by the phase', () => {
+        const { sin } = makeSamples({ samples: 4, phase: Math.PI / 2 });
+        assertClose(sin[0], 1);
+    });
+
+    it('shares frozen tables between calls with the same options', () => {
+        const tables = makeSamples({ samples: 8 });
+        assert.equal(makeSamples({ samples: 8 }), tables);
+        assert.ok(Object.isFrozen(tables) && Object.isFrozen(tables.sin));
+    });
+
+    it('throws for samples that are not a positive integer or a period that is not positive', () => {
+        assert.throws(() => makeSamples({ samples: 0 }), /positive integer/);
+        assert.throws(() => makeSamples({ samples: 2.5 }), /positive integer/);
+        assert.throws(() => makeSamples({ period: 0 }), /positive number/);
+    });
+});
@@ -0,0 +1,112 @@
+/* global globalThis */
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readHash, writeHash, collectParams, applyParams, loadPresets } from '../src/state.js';
+
+/**
+ * Makes a stand-in for a dat.GUI controller of a property of an object.
+ * Options make it a select, and finished changes are recorded.
+ */
+const makeController = (object, property, options) => {
+    const controller = {
+        object,
+        property,
+        finished: [],
+        getValue: () => object[property],
+        setValue(value) {
+            object[property] = value;
+            return controller;
+        },
+        __onFinishChange: (value) => controller.finished.push(value)
+    };
+    if (options) {
+        controller.__select = { options: options.map((value) => ({ value })) };
+    } // if
+    return controller;
+};
+
+/**
+ * Makes a stand-in for a dat.GUI with controllers for every property
+ * of the controls, and a Clock folder with controllers for the clock.
+ */
+const makeGui = (controls, clock) => ({
+    __controllers: [
+        makeController(controls, 'mode', ['bars', 'polar']),
+        makeController(controls, 'samples'),
+        makeController(controls, 'playing'),
+        makeController(controls, 'color'),
+        makeController(controls, 'formula'),
+        makeController(controls, 'reset')
+    ],
+    __folders: {
+        Clock: { __controllers: [makeController(clock, 'speed')], __folders: {} }
+    }
+});
+
+const makeControls = () => ({ mode: 'bars', samples: 16, playing: true, color: '#ff0000', formula: 'sin(x)', reset: () => {} });
+
+describe('collectParams and applyParams', () => {
+    it('carry every control over to another page', () => {
+        const controls = { mode: 'polar', samples: 32, playing: false, color: '#00ff00', formula: 'cos(x) & 2', reset: () => {} };
+        const params = collectParams(makeGui(controls, { speed: 0.5 }), new URLSearchParams());
+        assert.equal(params.has('reset'), false);
+        assert.equal(params.get('Clock.speed'), '0.5');
+
+        const restored = makeControls();
+        const clock = { speed: 1 };
+        const gui = makeGui(restored, clock);
+        applyParams(gui, new URLSearchParams(String(params)));
+        assert.deepEqual({ ...restored, reset: undefined }, { ...controls, reset: undefined });
+        assert.equal(clock.speed, 0.5);
+        assert.deepEqual(gui.__controllers[1].finished, [32]);
+    });
+
+    it('ignores values the controls could not hold', () => {
+        const controls = makeControls();
+        const gui = makeGui(controls, { speed: 1 });
+        applyParams(gui, new URLSearchParams('mode=spiral&samples=Infinity&playing=yes&color=red&reset=1&Clock.speed='));
+        assert.deepEqual({ ...controls, reset: undefined }, { ...makeControls(), reset: undefined });
+        assert.ok(gui.__controllers.every(({ finished }) => finished.length === 0));
+    });
+
+    it('leaves out folders that are skipped', () => {
+        const gui = makeGui(makeControls(), { speed: 2 });
+        const params = collectParams(gui, new URLSearchParams(), { skip: [gui.__folders.Clock] });
+        assert.equal(params.has('Clock.speed'), false);
+        assert.equal(params.get('samples'), '16');
+    });
+});
+
+describe('readHash and writeHash', () => {
+    it('keep the parameters in the hash without adding to the history', () => {
+        const replaced = [];
+        globalThis.window = {
+            location: { hash: '' },
+            history: {
+                replaceState: (state, title, hash) => {
+                    replaced.push(hash);
+                    globalThis.window.location.hash = hash;
+                }
+            }
+        };
+        writeHash(new URLSearchParams({ text: 'a b&c', samples: '8' }));
+        writeHash(new URLSearchParams({ text: 'a b&c', samples: '8' }));
+        assert.equal(replaced.length, 1);
+        assert.equal(readHash().get('text'), 'a b&c');
+        assert.equal(readHash().get('samples'), '8');
+    });
+});
+
+describe('loadPresets', () => {
+    it('reads saved presets and ignores anything else', () => {
+        const stored = {};
+        globalThis.window = { localStorage: { getItem: (key) => (key in stored ? stored[key] : null) } };
+        stored.good = JSON.stringify({ preset: 'Default' });
+        stored.broken = '{';
+        stored.number = '3';
+        assert.deepEqual(loadPresets('good'), { preset: 'Default' });
+        assert.equal(loadPresets('broken'), undefined);
+        assert.equal(loadPresets('number'), undefined);
+        assert.equal(loadPresets('missing'), undefined);
+    });
+});
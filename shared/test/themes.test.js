@@ -0,0 +1,140 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { AUTO_THEME, THEMES, THEME_STORAGE_KEY, isPalette, preferredTheme } from '../src/themes.js';
+import { ThemePicker } from '../models/ThemePicker.js';
+
+/**
+ * Makes a matchMedia that matches the listed queries, whose
+ * matches can be changed later with set(query, matches).
+ */
+const makeMatchMedia = (...matching) => {
+    const lists = {};
+    const matchMedia = (query) => {
+        lists[query] = lists[query] || {
+            matches: matching.includes(query),
+            listeners: [],
+            addEventListener(type, listener) {
+                this.listeners.push(listener);
+            }
+        };
+        return lists[query];
+    };
+    matchMedia.set = (query, matches) => {
+        matchMedia(query).matches = matches;
+        lists[query].listeners.forEach((listener) => listener());
+    };
+    return matchMedia;
+};
+
+const makeStorage = (items={}) => ({
+    items,
+    getItem: (key) => (key in items ? items[key] : null),
+    setItem: (key, value) => {
+        items[key] = value;
+    }
+});
+
+const makeRoot = () => ({ style: { setProperty(property, value) {
+    this[property] = value;
+} } });
+
+const makePicker = (options={}) => new ThemePicker({
+    storage: makeStorage(),
+    matchMedia: makeMatchMedia(),
+    root: makeRoot(),
+    ...options
+});
+
+describe('THEMES', () => {
+    for (const name in THEMES) {
+        it(`${name} is a complete palette of editable colors`, () => {
+            assert.ok(isPalette(THEMES[name]));
+            Object.entries(THEMES[name])
+                .filter(([key]) => !['scheme', 'highlight', 'series'].includes(key))
+                .forEach(([, color]) => assert.match(color, /^#[0-9a-f]{6}$/));
+            THEMES[name].series.forEach((color) => assert.match(color, /^#[0-9a-f]{6}$/));
+        });
+    } // for
+});
+
+describe('preferredTheme', () => {
+    it('follows the color scheme and contrast preferences', () => {
+        assert.equal(preferredTheme(makeMatchMedia()), 'dark');
+        assert.equal(preferredTheme(makeMatchMedia('(prefers-color-scheme: light)')), 'light');
+        assert.equal(preferredTheme(makeMatchMedia('(prefers-color-scheme: light)', '(prefers-contrast: more)')), 'high-contrast');
+    });
+});
+
+describe('ThemePicker', () => {
+    it('starts with the auto theme and sets the CSS custom properties', () => {
+        const root = makeRoot();
+        const picker = makePicker({ root, matchMedia: makeMatchMedia('(prefers-color-scheme: light)') });
+        assert.equal(picker.theme, AUTO_THEME);
+        assert.equal(picker.palette.background, THEMES.light.background);
+        assert.equal(root.style['--error-background'], THEMES.light.errorBackground);
+        assert.equal(root.style.colorScheme, 'light');
+    });
+
+    it('follows the system while the auto theme is picked', () => {
+        const matchMedia = makeMatchMedia();
+        const picker = makePicker({ matchMedia });
+        const picked = [];
+        picker.onChange((palette, name) => picked.push([palette.background, name]));
+        matchMedia.set('(prefers-color-scheme: light)', true);
+        assert.deepEqual(picked, [[THEMES.light.background, AUTO_THEME]]);
+
+        picker.select('print');
+        matchMedia.set('(prefers-color-scheme: light)', false);
+        assert.equal(picker.palette.background, THEMES.print.background);
+    });
+
+    it('saves custom palettes and remembers the picked theme', () => {
+        const storage = makeStorage();
+        const picker = makePicker({ storage });
+        picker.save(' mine ', { ...THEMES.dark, background: '#123456' });
+        assert.deepEqual(picker.names().slice(-1), ['mine']);
+
+        const reloaded = makePicker({ storage });
+        assert.equal(reloaded.theme, 'mine');
+        assert.equal(reloaded.palette.background, '#123456');
+    });
+
+    it('keeps custom palettes named like the properties of objects', () => {
+        const storage = makeStorage();
+        const picker = makePicker({ storage });
+        ['constructor', 'toString', '__proto__'].forEach((name) => {
+            assert.equal(picker.save(name, { ...THEMES.dark, background: '#123456' }).background, '#123456');
+        });
+        assert.deepEqual(picker.names().slice(-3), ['constructor', 'toString', '__proto__']);
+
+        const reloaded = makePicker({ storage });
+        assert.equal(reloaded.theme, '__proto__');
+        assert.equal(reloaded.select('constructor').background, '#123456');
+    });
+
+    it('does not change the saved palette when the picked one is customized', () => {
+        const picker = makePicker();
+        picker.select('dark');
+        picker.customize({ background: '#000001' });
+        assert.equal(THEMES.dark.background, '#1c1c20');
+        assert.equal(picker.select('dark').background, '#1c1c20');
+    });
+
+    it('rejects names of built-in themes and incomplete palettes', () => {
+        const picker = makePicker();
+        assert.throws(() => picker.save('light', THEMES.dark), /built-in/);
+        assert.throws(() => picker.save(AUTO_THEME, THEMES.dark), /built-in/);
+        assert.throws(() => picker.save('  ', THEMES.dark), /needs a name/);
+        assert.throws(() => picker.save('mine', { background: '#000000' }), /every color/);
+        assert.throws(() => picker.select('missing'), /Unknown theme/);
+    });
+
+    it('ignores saved themes it cannot use', () => {
+        const storage = makeStorage({
+            [THEME_STORAGE_KEY]: JSON.stringify({ theme: 'broken', custom: { broken: { background: 1 }, dark: THEMES.light } })
+        });
+        const picker = makePicker({ storage });
+        assert.equal(picker.theme, AUTO_THEME);
+        assert.deepEqual(Object.keys(picker.custom), []);
+    });
+});
@@ -0,0 +1,60 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { crc32, makeZip } from '../src/zip.js';
+
+const bytesOf = (text) => Uint8Array.from(text, (character) => character.charCodeAt(0));
+
+/**
+ * Reads the files back out of a ZIP archive through its central directory,
+ * checking that each local header agrees with it.
+ */
+const readZip = (zip) => {
+    const view = new DataView(zip.buffer, zip.byteOffset, zip.byteLength);
+    const end = zip.length - 22;
+    assert.equal(view.getUint32(end, true), 0x06054b50);
+    const count = view.getUint16(end + 10, true);
+    let entry = view.getUint32(end + 16, true);
+
+    const files = [];
+    for (let i = 0; i < count; i++) {
+        assert.equal(view.getUint32(entry, true), 0x02014b50);
+        const crc = view.getUint32(entry + 16, true);
+        const size = view.getUint32(entry + 24, true);
+        const nameLength = view.getUint16(entry + 28, true);
+        const name = String.fromCharCode(...zip.subarray(entry + 46, entry + 46 + nameLength));
+        const local = view.getUint32(entry + 42, true);
+
+        assert.equal(view.getUint32(local, true), 0x04034b50);
+        assert.equal(view.getUint32(local + 14, true), crc);
+        const start = local + 30 + view.getUint16(local + 26, true);
+        const data = zip.slice(start, start + size);
+        assert.equal(crc32(data), crc);
+        files.push({ name, data });
+        entry += 46 + nameLength;
+    } // for
+    return files;
+};
+
+describe('crc32', () => {
+    it('matches the standard check value', () => {
+        assert.equal(crc32(bytesOf('123456789')), 0xcbf43926);
+        assert.equal(crc32(new Uint8Array(0)), 0);
+    });
+});
+
+describe('makeZip', () => {
+    it('packs files that can be read back', () => {
+        const files = [
+            { name: 'frame-0001.png', data: Uint8Array.of(137, 80, 78, 71, 0, 255) },
+            { name: 'empty.txt', data: new Uint8Array(0) },
+            { name: 'notes.txt', data: bytesOf('sine') }
+        ];
+        assert.deepEqual(readZip(makeZip(files)), files);
+    });
+
+    it('makes an empty archive of no files', () => {
+        const zip = makeZip([]);
+        assert.equal(zip.length, 22);
+        assert.deepEqual(readZip(zip), []);
+    });
+});
@@ -1,3 +1,6 @@
+import { EASINGS } from '../../shared/src/easings.js';
+import { FRAME_DURATION } from '../../shared/src/constants.js';
+
 /**
  * Represents a single bar like those used in bar graphs.
  */
@@ -10,27 +13,71 @@ export class Bar {
      */
     constructor(height, nextHeight=0) {
         Object.assign(this, {
-            height, nextHeight
+            height,
+            _startHeight: height,
+            _nextHeight: nextHeight,
+            _progress: 0
         });
     } // constructor
 
     /**
-     * Grows the height property of this Bar object.
-     * @param {number} framesToGrowIn the number of frames to reach nextHeight by
+     * The height for the bar to gradually move to.
+     * @type {number}
+     */
+    get nextHeight() {
+        return this._nextHeight;
+    } // nextHeight
+
+    /**
+     * Setting nextHeight starts a new motion from the current height.
+     * @param {number} nextHeight the height for the bar to gradually move to
+     */
+    set nextHeight(nextHeight) {
+        Object.assign(this, {
+            _startHeight: this.height,
+            _nextHeight: nextHeight,
+            _progress: 0
+        });
+    } // nextHeight
+
+    /**
+     * How far the bar is through its motion toward nextHeight, from 0 to 1.
+     * @type {number}
+     */
+    get progress() {
+        return this._progress;
+    } // progress
+
+    /**
+     * Grows the height property of this Bar object
+     * along the easing toward nextHeight.
+     *
+     * @param {number}   framesToGrowIn                 the number of frames, at 60 frames per
+     *                                                  second, to reach nextHeight by
+     * @param {number}   [elapsed=FRAME_DURATION]       the time in milliseconds since the last call
+     * @param {function} [easing=EASINGS.exponential]   the easing function to move along
      */
-    grow(framesToGrowIn) {
-        const growAmount = (this.nextHeight - this.height) / framesToGrowIn;
-        this.height += growAmount;
+    grow(framesToGrowIn, elapsed=FRAME_DURATION, easing=EASINGS.exponential) {
+        const duration = framesToGrowIn * FRAME_DURATION;
+        this._progress = Math.min(1, this._progress + elapsed / duration);
+        const { _startHeight: start, _nextHeight: next } = this;
+        this.height = start + (next - start) * easing(this._progress);
     } // grow
 
     /**
-     * Checks if the difference between height
-     * and nextHeight are within the threshold.
-     * @param {number} threshold the maximum difference allowed
-     * @return true if the difference is within the threshold, false otherwise
+     * Moves this Bar object straight to nextHeight, finishing
+     * its motion, for when motion should be kept to a minimum.
+     */
+    snap() {
+        Object.assign(this, { height: this._nextHeight, _progress: 1 });
+    } // snap
+
+    /**
+     * Checks if this Bar object has finished moving to nextHeight.
+     * @return true if the easing is complete, false otherwise
      */
-    isNextHeight(threshold) {
-        return Math.abs(this.height - this.nextHeight) < threshold;
+    isNextHeight() {
+        return this._progress >= 1;
     } // isNextHeight
 
-} // Bar
\ No newline at end of file
+} // Bar
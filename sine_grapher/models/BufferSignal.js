@@ -0,0 +1,81 @@
+import { SignalSource } from './SignalSource.js';
+
+/**
+ * The sample rate that audio files are decoded at.
+ */
+const DECODE_SAMPLE_RATE = 44100;
+
+/**
+ * A signal held in memory, such as a decoded audio file,
+ * that plays through on repeat as time passes.
+ */
+export class BufferSignal extends SignalSource {
+
+    /**
+     * Constructs a new BufferSignal object.
+     * @param {string}       name       a name for the signal to show on the page
+     * @param {Float32Array} samples    every sample of the signal, from -1 to 1
+     * @param {number}       sampleRate the number of samples per second
+     * @throws {Error} if there are no samples
+     */
+    constructor(name, samples, sampleRate) {
+        if (samples.length === 0) {
+            throw new Error('The signal has no samples.');
+        } // if
+        super(name, sampleRate);
+        Object.assign(this, {
+            _samples: samples,
+            _position: 0
+        });
+    } // constructor
+
+    /**
+     * Decodes an audio file, such as a WAV or MP3 file, mixing its channels into one.
+     * @param {File} file the file to decode
+     * @throws {Error} if the file cannot be decoded
+     * @return {Promise<BufferSignal>} the decoded signal
+     */
+    static async fromFile(file) {
+        // An offline context can decode without the page having been clicked
+        const context = new OfflineAudioContext(1, 1, DECODE_SAMPLE_RATE);
+        let buffer;
+        try {
+            buffer = await context.decodeAudioData(await file.arrayBuffer());
+        } catch (error) {
+            throw new Error(`${file.name} could not be decoded as audio.`);
+        } // try
+
+        const samples = new Float32Array(buffer.length);
+        for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+            buffer.getChannelData(channel).forEach((sample, i) => {
+                samples[i] += sample / buffer.numberOfChannels;
+            });
+        } // for
+        return new BufferSignal(file.name, samples, buffer.sampleRate);
+    } // fromFile
+
+    /**
+     * Returns the samples that have just played, wrapping
+     * around to the end of the signal before its start.
+     * @param {number} count the number of samples to return
+     * @return {Float32Array} the samples, oldest first
+     */
+    read(count) {
+        const { length } = this._samples;
+        const latest = new Float32Array(count);
+        for (let i = 0; i < count; i++) {
+            const index = Math.floor(this._position) - count + i;
+            latest[i] = this._samples[(index % length + length) % length];
+        } // for
+        return latest;
+    } // read
+
+    /**
+     * Plays the signal on by some time, going back to the start after the end.
+     * @param {number} elapsed the time in milliseconds to play on by
+     */
+    advance(elapsed) {
+        this._position = (this._position + elapsed / 1000 * this.sampleRate) % this._samples.length;
+    } // advance
+
+} // BufferSignal
@@ -0,0 +1,347 @@
+/**
+ * Error thrown when a formula cannot be parsed or evaluated.
+ * Keeps track of where in the formula the problem was found.
+ */
+export class ExpressionError extends Error {
+
+    /**
+     * Constructs an ExpressionError object.
+     * @param {string} message  what went wrong
+     * @param {string} source   the formula that was being parsed
+     * @param {number} position the index in source where the problem starts
+     */
+    constructor(message, source, position) {
+        // Point at the problem with a caret underneath the formula
+        super(`${message} at position ${position + 1}\n${source}\n${' '.repeat(position)}^`);
+        this.name = 'ExpressionError';
+        Object.assign(this, { source, position });
+    } // constructor
+
+} // ExpressionError
+
+/**
+ * Object mapping the names of constants usable in a formula to their values.
+ * @constant {!Object.<string, number>}
+ * @readonly
+ */
+const CONSTANTS = Object.freeze({
+    pi: Math.PI,
+    e: Math.E,
+    tau: Math.PI * 2
+});
+
+/**
+ * Object mapping the names of functions usable in a formula to their
+ * implementations. Each of them takes a single argument.
+ * @constant {!Object.<string, function>}
+ * @readonly
+ */
+const FUNCTIONS = Object.freeze({
+    sin: Math.sin,
+    cos: Math.cos,
+    tan: Math.tan,
+    asin: Math.asin,
+    acos: Math.acos,
+    atan: Math.atan,
+    abs: Math.abs,
+    sqrt: Math.sqrt,
+    exp: Math.exp,
+    log: Math.log,
+    floor: Math.floor,
+    ceil: Math.ceil,
+    round: Math.round,
+    sign: Math.sign,
+    // Periodic shapes with a period of 2π and a range of [-1, 1]
+    square: (x) => (Math.sin(x) < 0 ? -1 : 1),
+    sawtooth: (x) => {
+        const cycle = x / (Math.PI * 2);
+        return 2 * (cycle - Math.floor(cycle + 0.5));
+    },
+    triangle: (x) => (2 / Math.PI) * Math.asin(Math.sin(x))
+});
+
+/**
+ * Object mapping binary operators to their precedence and implementation.
+ * A higher precedence binds tighter.
+ * @constant {!Object.<string, object>}
+ * @readonly
+ */
+const OPERATORS = Object.freeze({
+    '+': { precedence: 1, apply: (a, b) => a + b },
+    '-': { precedence: 1, apply: (a, b) => a - b },
+    '*': { precedence: 2, apply: (a, b) => a * b },
+    '/': { precedence: 2, apply: (a, b) => a / b },
+    '%': { precedence: 2, apply: (a, b) => a % b },
+    '^': { precedence: 4, apply: Math.pow, rightAssociative: true }
+});
+
+/**
+ * The precedence of a unary minus or plus. It binds tighter than
+ * multiplication but looser than exponentiation so that -x^2 === -(x^2).
+ * @constant {!number}
+ */
+const UNARY_PRECEDENCE = 3;
+
+/**
+ * Represents a formula of x, such as `2*sin(3x)+cos(x)`,
+ * that can be evaluated without using eval.
+ */
+export class Expression {
+
+    /**
+     * Constructs an Expression object by parsing the formula.
+     * @param {string} source the formula to parse
+     * @throws {ExpressionError} if the formula is not valid
+     */
+    constructor(source) {
+        if (typeof source !== 'string') {
+            throw new Error('Formula must be a string.');
+        } // if
+
+        Object.assign(this, {
+            source,
+            _tokens: this._tokenize(source),
+            _index: 0
+        });
+
+        if (this._tokens.length === 0) {
+            throw new ExpressionError('Formula is empty', source, 0);
+        } // if
+
+        this._evaluate = this._parseExpression(0);
+
+        // Anything left over was not part of a valid expression
+        if (this._index < this._tokens.length) {
+            const token = this._peek();
+            throw new ExpressionError(`Unexpected '${token.text}'`, source, token.position);
+        } // if
+    } // constructor
+
+    /**
+     * Evaluates the formula for the provided value of x.
+     * @param {number} x the value to substitute for x
+     * @return the result of the formula
+     */
+    evaluate(x) {
+        return this._evaluate(x);
+    } // evaluate
+
+    /**
+     * Splits the formula into number, name, operator and parenthesis tokens.
+     * @private
+     * @param {string} source the formula to split
+     * @throws {ExpressionError} if an unknown character is found
+     * @return an array of tokens with type, text, and position properties
+     */
+    _tokenize(source) {
+        const tokens = [];
+        let i = 0;
+        while (i < source.length) {
+            const character = source[i];
+            if (/\s/.test(character)) {
+                i++;
+                continue;
+            } // if
+
+            // Numbers like 3, 0.5, .5 and 1e-3
+            const number = /^(\d+\.?\d*|\.\d+)(e[+-]?\d+)?/i.exec(source.slice(i));
+            if (number) {
+                tokens.push({ type: 'number', text: number[0], position: i });
+                i += number[0].length;
+                continue;
+            } // if
+
+            // Names are kept separate from following digits so 3x and x2 behave sensibly
+            const name = /^[a-z_]+/i.exec(source.slice(i));
+            if (name) {
+                tokens.push({ type: 'name', text: name[0], position: i });
+                i += name[0].length;
+                continue;
+            } // if
+
+            if (OPERATORS[character] || character === '(' || character === ')') {
+                tokens.push({ type: character, text: character, position: i });
+                i++;
+                continue;
+            } // if
+
+            throw new ExpressionError(`Unknown character '${character}'`, source, i);
+        } // while
+        return tokens;
+    } // _tokenize
+
+    /**
+     * Returns the current token without consuming it.
+     * @private
+     * @return the current token, or undefined if there are none left
+     */
+    _peek() {
+        return this._tokens[this._index];
+    } // _peek
+
+    /**
+     * Builds an error pointing at the current token, or the end of the formula.
+     * @private
+     * @param {string} message what went wrong
+     * @return a new ExpressionError
+     */
+    _errorAtCurrent(message) {
+        const token = this._peek();
+        const position = token ? token.position : this.source.length;
+        return new ExpressionError(message, this.source, position);
+    } // _errorAtCurrent
+
+    /**
+     * Parses binary operations using precedence climbing.
+     * @private
+     * @param {number} minPrecedence the lowest precedence this call may consume
+     * @return a function of x that evaluates the parsed expression
+     */
+    _parseExpression(minPrecedence) {
+        let left = this._parseImplicitProduct();
+
+        let token = this._peek();
+        while (token && OPERATORS[token.type] && OPERATORS[token.type].precedence >= minPrecedence) {
+            const operator = OPERATORS[token.type];
+            this._index++;
+            const nextPrecedence = operator.rightAssociative ? operator.precedence : operator.precedence + 1;
+            const right = this._parseExpression(nextPrecedence);
+            const leftOperand = left;
+            left = (x) => operator.apply(leftOperand(x), right(x));
+            token = this._peek();
+        } // while
+
+        return left;
+    } // _parseExpression
+
+    /**
+     * Parses terms written next to each other, such as 3x or 2sin(x),
+     * as a multiplication.
+     * @private
+     * @return a function of x that evaluates the parsed product
+     */
+    _parseImplicitProduct() {
+        let left = this._parseUnary();
+
+        let token = this._peek();
+        while (token && (token.type === 'name' || token.type === 'number' || token.type === '(')) {
+            const right = this._parseUnary();
+            const leftOperand = left;
+            left = (x) => leftOperand(x) * right(x);
+            token = this._peek();
+        } // while
+
+        return left;
+    } // _parseImplicitProduct
+
+    /**
+     * Parses a unary minus or plus followed by its operand.
+     * @private
+     * @return a function of x that evaluates the parsed operand
+     */
+    _parseUnary() {
+        const token = this._peek();
+        if (token && (token.type === '-' || token.type === '+')) {
+            this._index++;
+            const operand = this._parseExpression(UNARY_PRECEDENCE);
+            return token.type === '-' ? (x) => -operand(x) : operand;
+        } // if
+        return this._parsePower();
+    } // _parseUnary
+
+    /**
+     * Parses a primary value and an exponent, if there is one, so
+     * that implicit products like 2x^2 square only the x.
+     * @private
+     * @return a function of x that evaluates the parsed power
+     */
+    _parsePower() {
+        const base = this._parsePrimary();
+        const token = this._peek();
+        if (token && token.type === '^') {
+            this._index++;
+            const exponent = this._parseExpression(OPERATORS['^'].precedence);
+            return (x) => Math.pow(base(x), exponent(x));
+        } // if
+        return base;
+    } // _parsePower
+
+    /**
+     * Parses a number, variable, constant, function call or parenthesized expression.
+     * @private
+     * @throws {ExpressionError} if none of those are found
+     * @return a function of x that evaluates the parsed value
+     */
+    _parsePrimary() {
+        const token = this._peek();
+        if (!token) {
+            throw this._errorAtCurrent('Unexpected end of formula');
+        } // if
+
+        switch (token.type) {
+        case 'number': {
+            this._index++;
+            const value = Number(token.text);
+            return () => value;
+        }
+        case '(': {
+            this._index++;
+            const inner = this._parseExpression(0);
+            this._expectClosingParenthesis(token);
+            return inner;
+        }
+        case 'name':
+            return this._parseName();
+        default:
+            throw this._errorAtCurrent(`Unexpected '${token.text}'`);
+        } // switch
+    } // _parsePrimary
+
+    /**
+     * Parses the variable x, a constant, or a function call.
+     * @private
+     * @throws {ExpressionError} if the name is unknown or a function is missing its argument
+     * @return a function of x that evaluates the parsed name
+     */
+    _parseName() {
+        const token = this._peek();
+        const name = token.text.toLowerCase();
+        this._index++;
+
+        if (name === 'x') {
+            return (x) => x;
+        } else if (Object.prototype.hasOwnProperty.call(CONSTANTS, name)) {
+            const value = CONSTANTS[name];
+            return () => value;
+        } else if (Object.prototype.hasOwnProperty.call(FUNCTIONS, name)) {
+            const method = FUNCTIONS[name];
+            const opening = this._peek();
+            if (!opening || opening.type !== '(') {
+                throw this._errorAtCurrent(`Expected '(' after ${name}`);
+            } // if
+            this._index++;
+            const argument = this._parseExpression(0);
+            this._expectClosingParenthesis(opening);
+            return (x) => method(argument(x));
+        } // if
+
+        throw new ExpressionError(`Unknown name '${token.text}'`, this.source, token.position);
+    } // _parseName
+
+    /**
+     * Consumes a closing parenthesis.
+     * @private
+     * @param {object} opening the token of the matching opening parenthesis
+     * @throws {ExpressionError} if the next token is not a closing parenthesis
+     */
+    _expectClosingParenthesis(opening) {
+        const token = this._peek();
+        if (!token) {
+            throw new ExpressionError('Unclosed parenthesis', this.source, opening.position);
+        } else if (token.type !== ')') {
+            throw this._errorAtCurrent(`Expected ')' but found '${token.text}'`);
+        } // if
+        this._index++;
+    } // _expectClosingParenthesis
+
+} // Expression
@@ -0,0 +1,54 @@
+import { fourierCoefficients, partialSum } from '../src/fourier.js';
+import { makeSamples } from '../../shared/src/sampling.js';
+import { FOURIER_RESOLUTION } from '../src/initial.js';
+
+/**
+ * Builds up the Fourier series of a target wave one harmonic at a time.
+ */
+export class FourierBuilder {
+
+    /**
+     * Constructs a FourierBuilder object, calculating the
+     * coefficients of the target wave. Only harmonic 0,
+     * the average of the target, is included at first.
+     *
+     * @param {function} target    a function returning the value of the
+     *                             target wave at an angle in [0, 2π)
+     * @param {number}   harmonics the number of harmonics to build up to
+     */
+    constructor(target, harmonics) {
+        const samples = makeSamples({ samples: FOURIER_RESOLUTION }).angles.map(target);
+        Object.assign(this, {
+            target,
+            coefficients: fourierCoefficients(samples, harmonics),
+            step: 0
+        });
+    } // constructor
+
+    /**
+     * Checks if every harmonic has been included.
+     * @return true if there are no more harmonics to add, false otherwise
+     */
+    isComplete() {
+        return this.step >= this.coefficients.length - 1;
+    } // isComplete
+
+    /**
+     * Includes the next harmonic, if there is one.
+     */
+    addHarmonic() {
+        if (!this.isComplete()) {
+            this.step++;
+        } // if
+    } // addHarmonic
+
+    /**
+     * Calculates the value of the series built so far for every angle.
+     * @param {number[]} angles the angles, in radians, to calculate values for
+     * @return an array of values in the same order as angles
+     */
+    calculateValues(angles) {
+        return angles.map((angle) => partialSum(this.coefficients, angle, this.step));
+    } // calculateValues
+
+} // FourierBuilder
@@ -0,0 +1,78 @@
+import { SignalSource } from './SignalSource.js';
+
+/**
+ * The number of samples the microphone's analyser keeps.
+ * The most samples that can be read at once.
+ */
+const ANALYSER_SIZE = 32768;
+
+/**
+ * The signal from the microphone, read as it is heard.
+ */
+export class MicrophoneSignal extends SignalSource {
+
+    /**
+     * Constructs a new MicrophoneSignal object. Use open instead,
+     * which asks for the microphone first.
+     * @param {MediaStream} stream the stream from the microphone
+     */
+    constructor(stream) {
+        const context = new AudioContext();
+        super('microphone', context.sampleRate);
+        const analyser = context.createAnalyser();
+        analyser.fftSize = ANALYSER_SIZE;
+        context.createMediaStreamSource(stream).connect(analyser);
+        Object.assign(this, {
+            _stream: stream,
+            _context: context,
+            _analyser: analyser,
+            _buffer: new Float32Array(ANALYSER_SIZE)
+        });
+    } // constructor
+
+    /**
+     * Checks if the microphone can be used in this browser.
+     * @return true if the microphone and the Web Audio API are available, false otherwise
+     */
+    static isSupported() {
+        return typeof AudioContext !== 'undefined' && Boolean(navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
+    } // isSupported
+
+    /**
+     * Asks for the microphone and starts listening to it.
+     * @throws {Error} if the microphone is not available or permission is denied
+     * @return {Promise<MicrophoneSignal>} the signal from the microphone
+     */
+    static async open() {
+        if (!MicrophoneSignal.isSupported()) {
+            throw new Error('The microphone is not supported in this browser.');
+        } // if
+
+        let stream;
+        try {
+            stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+        } catch (error) {
+            throw new Error(`The microphone could not be used (${error.message}).`);
+        } // try
+        return new MicrophoneSignal(stream);
+    } // open
+
+    /**
+     * Returns the samples that were just heard.
+     * @param {number} count the number of samples to return, up to ANALYSER_SIZE
+     * @return {Float32Array} the samples, oldest first
+     */
+    read(count) {
+        this._analyser.getFloatTimeDomainData(this._buffer);
+        return this._buffer.slice(Math.max(0, ANALYSER_SIZE - count));
+    } // read
+
+    /**
+     * Stops listening to the microphone.
+     */
+    close() {
+        this._stream.getTracks().forEach((track) => track.stop());
+        this._context.close();
+    } // close
+
+} // MicrophoneSignal
@@ -0,0 +1,45 @@
+/**
+ * Class describing where a real signal, such as a sound, comes from.
+ * The bars read windows of samples from a source in place of a wave.
+ *
+ * Subclasses must implement every method that throws here,
+ * taking the parameters documented on it.
+ */
+export class SignalSource {
+
+    /**
+     * Constructs a new SignalSource object.
+     * @param {string} name       a name for the source to show on the page
+     * @param {number} sampleRate the number of samples per second
+     */
+    constructor(name, sampleRate) {
+        Object.assign(this, { name, sampleRate });
+    } // constructor
+
+    /**
+     * Returns the latest samples of the signal.
+     * @param {number} count the number of samples to return
+     * @return {Float32Array} the samples, oldest first, from -1 to 1
+     */
+    read() {
+        throw new Error('read is not implemented.');
+    } // read
+
+    /**
+     * Moves the signal on by some time. Live signals move on by themselves,
+     * so this does nothing unless a subclass overrides it.
+     * @param {number} elapsed the time in milliseconds to move on by
+     */
+    advance() {
+        // live signals move on by themselves
+    } // advance
+
+    /**
+     * Lets go of anything the source holds, such as the microphone.
+     * Does nothing unless a subclass overrides it.
+     */
+    close() {
+        // nothing to let go of
+    } // close
+
+} // SignalSource
@@ -0,0 +1,119 @@
+import { makePeriodicWave } from '../src/sonify.js';
+
+/**
+ * The time constant in seconds that the pitch and loudness glide to new
+ * values with, so changing them does not click.
+ */
+const GLIDE_TIME = 0.05;
+
+/**
+ * Plays one period of a wave on repeat through the Web Audio API.
+ * The sound itself is made by sonify.js; this only plays it.
+ */
+export class Sonifier {
+
+    /**
+     * Constructs a Sonifier object. Nothing is played until start is called.
+     */
+    constructor() {
+        Object.assign(this, {
+            _context: null,
+            _oscillator: null,
+            _gain: null,
+            _values: [],
+            _frequency: null,
+            _loudness: null
+        });
+    } // constructor
+
+    /**
+     * Checks if sound can be played in this browser.
+     * @return true if the Web Audio API is available, false otherwise
+     */
+    static isSupported() {
+        return typeof AudioContext !== 'undefined';
+    } // isSupported
+
+    /**
+     * Checks if this Sonifier is currently playing.
+     * @return true if playing, false otherwise
+     */
+    isPlaying() {
+        return this._oscillator !== null;
+    } // isPlaying
+
+    /**
+     * Starts playing silence until update is called. Browsers keep sound
+     * suspended until the page has been clicked, so calling this again
+     * from a click resumes it.
+     *
+     * @throws {Error} if the Web Audio API is not available
+     */
+    start() {
+        if (!Sonifier.isSupported()) {
+            throw new Error('Sound is not supported in this browser.');
+        } // if
+
+        if (!this._context) {
+            this._context = new AudioContext();
+        } // if
+        if (this._context.state === 'suspended') {
+            this._context.resume();
+        } // if
+        if (this.isPlaying()) {
+            return;
+        } // if
+
+        const gain = this._context.createGain();
+        gain.gain.value = 0;
+        gain.connect(this._context.destination);
+        const oscillator = this._context.createOscillator();
+        oscillator.connect(gain);
+        oscillator.start();
+        Object.assign(this, { _oscillator: oscillator, _gain: gain, _values: [], _frequency: null, _loudness: null });
+    } // start
+
+    /**
+     * Stops playing. The audio context is kept so starting again is quick.
+     */
+    stop() {
+        if (!this.isPlaying()) {
+            return;
+        } // if
+
+        this._oscillator.stop();
+        this._oscillator.disconnect();
+        this._gain.disconnect();
+        Object.assign(this, { _oscillator: null, _gain: null });
+    } // stop
+
+    /**
+     * Changes the wave being played. Can be called every animation frame,
+     * since the wave and the glides are only changed when the values do,
+     * so the values should be the heights the bars are moving to.
+     *
+     * @param {number[]} values    the values of one period of the wave, evenly spaced
+     * @param {number}   frequency the pitch in hertz
+     * @param {number}   loudness  the gain to play the wave with, from 0 to 1
+     */
+    update(values, frequency, loudness) {
+        if (!this.isPlaying()) {
+            return;
+        } // if
+
+        if (values.length !== this._values.length || values.some((value, i) => value !== this._values[i])) {
+            this._oscillator.setPeriodicWave(makePeriodicWave(this._context, values));
+            this._values = [...values];
+        } // if
+        const now = this._context.currentTime;
+        if (frequency !== this._frequency) {
+            this._oscillator.frequency.setTargetAtTime(frequency, now, GLIDE_TIME);
+            this._frequency = frequency;
+        } // if
+        if (loudness !== this._loudness) {
+            this._gain.gain.setTargetAtTime(loudness, now, GLIDE_TIME);
+            this._loudness = loudness;
+        } // if
+    } // update
+
+} // Sonifier
@@ -0,0 +1,59 @@
+import { Expression } from './Expression.js';
+import { VALUE_LIMIT } from '../src/initial.js';
+
+/**
+ * Represents a single wave drawn as a series of bars. Its shape comes from
+ * a formula of x, which is stretched, scaled and offset by the frequency,
+ * amplitude and phase: amplitude * f(frequency * x + phase).
+ */
+export class Wave {
+
+    /**
+     * Constructs a Wave object.
+     *
+     * @param {object}  config                        object containing the properties for this Wave
+     * @param {string}  [config.formula='sin(x)']     the formula of x that gives the shape of this Wave
+     * @param {number}  [config.frequency=1]          the number of times this Wave repeats per period
+     * @param {number}  [config.amplitude=1]          the value to multiply this Wave's values by
+     * @param {number}  [config.phase=0]              the angle in radians to offset this Wave by
+     * @param {string}  config.color                  the fill color to draw this Wave's bars with
+     * @param {string}  [config.blend='source-over']  the composite operation used to draw this Wave
+     * @param {boolean} [config.visible=true]         whether or not to draw this Wave
+     * @throws {ExpressionError} if the formula is not valid
+     */
+    constructor({ formula='sin(x)', frequency=1, amplitude=1, phase=0, color, blend='source-over', visible=true }) {
+        Object.assign(this, {
+            formula, frequency, amplitude, phase, color, blend, visible,
+            _expression: new Expression(formula)
+        });
+    } // constructor
+
+    /**
+     * Parses this.formula so it is used from now on. The formula that was
+     * used before is kept if the new one is not valid.
+     * @throws {ExpressionError} if this.formula is not valid
+     */
+    parseFormula() {
+        this._expression = new Expression(this.formula);
+    } // parseFormula
+
+    /**
+     * Calculates the value of this Wave for every angle. Values that are
+     * not finite are drawn as empty bars and the rest are clamped so they
+     * stay on the canvas.
+     *
+     * @param {number[]} angles the angles, in radians, to calculate values for
+     * @return an array of values in the same order as angles
+     */
+    calculateValues(angles) {
+        const { frequency, amplitude, phase, _expression: expression } = this;
+        return angles.map((angle) => {
+            const value = amplitude * expression.evaluate(frequency * angle + phase);
+            if (!Number.isFinite(value)) {
+                return 0;
+            } // if
+            return Math.max(-VALUE_LIMIT, Math.min(VALUE_LIMIT, value));
+        });
+    } // calculateValues
+
+} // Wave
@@ -0,0 +1,790 @@
+import { Sonifier } from '../models/Sonifier.js';
+import { BufferSignal } from '../models/BufferSignal.js';
+import { MicrophoneSignal } from '../models/MicrophoneSignal.js';
+import { Clock } from '../../shared/models/Clock.js';
+import { Recorder } from '../../shared/models/Recorder.js';
+import { CanvasRenderer } from '../../shared/models/CanvasRenderer.js';
+import { SvgRenderer } from '../../shared/models/SvgRenderer.js';
+import { download } from '../../shared/src/download.js';
+import { chooseFile } from '../../shared/src/files.js';
+import { readHash, collectParams, applyParams, watchState, savePresets } from '../../shared/src/state.js';
+import { ease } from '../../shared/src/easings.js';
+import { makeAnnouncer } from '../../shared/src/a11y.js';
+import { makeSamples } from '../../shared/src/sampling.js';
+import { shift, barAngle } from './bars.js';
+import { drawXTicks, drawYGrid, drawUnitCircle } from './axes.js';
+import { makeLayout } from './layout.js';
+import { pitchFor, loudnessFor } from './sonify.js';
+import { parseDataset } from './dataset.js';
+import { isPeriodic, barAt, drawHighlights, updateTooltip } from './inspect.js';
+import { describeState } from './describe.js';
+import { buildGui } from './gui.js';
+import {
+    initWaves, waveBarSeries, growWaves, drawWaves, addWave as addWaveSeries, removeWave
+} from './modes/waves.js';
+import { initFourier, updateFourierPanel, growFourier, drawFourier } from './modes/fourier.js';
+import { readSignal, initSignal, setSignal, growSignal, drawSignal } from './modes/signal.js';
+import {
+    isDataFile, dataErrorMessage, showColumn, stepColumn, initData, growData, drawData
+} from './modes/data.js';
+import {
+    FORMULA, SAMPLES, BAR_WIDTH, BAR_HEIGHT_SCALAR, BAR_GAP_SCALAR, GROW_FRAMES,
+    PLAYING, REVERSE, REDUCED_MOTION, SHIFT_RATE, MUTED, VOLUME, EASING, SPRING_STIFFNESS, SPRING_DAMPING,
+    LINE_COLOR, WAVES, MAX_WAVES, BLEND_MODES, SHOW_SUM, SUM_COLOR,
+    MODE, PLOT_STYLE, POLAR_RADIUS_SCALAR, TARGET_SHAPE, CUSTOM_SAMPLES, HARMONICS,
+    SHOW_TARGET, TARGET_COLOR, FOURIER_COLOR, SIGNAL_VIEW, SIGNAL_COLOR,
+    AUTOSCALE, CYCLE_COLUMNS, DATA_COLOR,
+    SHOW_X_TICKS, SHOW_Y_GRID, SHOW_UNIT_CIRCLE, AXIS_COLOR, LABEL_COLOR, LABEL_FONT, UNIT_CIRCLE_RADIUS
+} from './initial.js';
+
+/**
+ * All values that the user can affect.
+ * @namespace
+ */
+const CONTROLS = {
+    MODE, PLOT_STYLE, SAMPLES, BAR_WIDTH, BAR_HEIGHT_SCALAR, GROW_FRAMES,
+    PLAYING, REVERSE, REDUCED_MOTION, SHIFT_RATE, MUTED, VOLUME,
+    EASING, SPRING_STIFFNESS, SPRING_DAMPING,
+    BAR_GAP_SCALAR, LINE_COLOR, SHOW_SUM, SUM_COLOR,
+    SUM_BLEND: BLEND_MODES[0],
+    TARGET_SHAPE, CUSTOM_SAMPLES, HARMONICS,
+    SHOW_TARGET, TARGET_COLOR, FOURIER_COLOR,
+    SIGNAL_VIEW, SIGNAL_COLOR,
+    DATA_COLUMN: '', AUTOSCALE, CYCLE_COLUMNS, DATA_COLOR,
+    SHOW_X_TICKS, SHOW_Y_GRID, SHOW_UNIT_CIRCLE, AXIS_COLOR, LABEL_COLOR,
+    BAR_GAP: function() {
+        // The space between the left side of bars.
+        // I.e., the bar's width and then some
+        return this.BAR_WIDTH * this.BAR_GAP_SCALAR;
+    },
+    EASE: function(progress) {
+        // The selected easing function with the spring options applied
+        return ease(this.EASING, progress, {
+            stiffness: this.SPRING_STIFFNESS,
+            damping: this.SPRING_DAMPING
+        });
+    },
+    ADD_WAVE: () => addWave({ formula: FORMULA }),
+    TOGGLE_PLAYING: function() {
+        this.PLAYING = !this.PLAYING;
+    },
+    STEP_FORWARD: () => shiftAll(false),
+    STEP_BACKWARD: () => shiftAll(true),
+    OPEN_AUDIO_FILE: () => chooseFile('audio/*', openAudioFile),
+    USE_MICROPHONE: () => useMicrophone(),
+    OPEN_DATA_FILE: () => chooseFile('.csv,.tsv,.txt,.json', openDataFile)
+};
+
+/**
+ * The localStorage key that the GUI's presets are saved under.
+ */
+export const PRESETS_KEY = 'sine_grapher.presets';
+
+// Initial setup/globals; the page's elements are handed over by startApp
+let canvas = null;
+let renderer = null;
+let formulaError = null;
+let barTooltip = null;
+let fourierPanel = null;
+let recorder = null;
+let themePicker = null;
+let announce = () => {};
+const clock = new Clock();
+const sonifier = new Sonifier();
+
+/**
+ * The GUI and the controllers and folders that are changed after it is built.
+ * @type {dat.GUI}
+ */
+let GUI = null;
+let modeController = null;
+let columnController = null;
+let waveControls = null;
+
+let canvasCenterX = undefined;
+let canvasCenterY = undefined;
+
+/**
+ * Everything that is drawn and animated. The modules for each mode,
+ * the tooltip and the GUI are handed it rather than keeping their own.
+ */
+const state = {
+    controls: CONTROLS,
+    // the renderer for the page's canvas
+    renderer: null,
+    // the number of bars in every series, a multiple of CONTROLS.SAMPLES
+    barAmount: 0,
+    // every wave, the bars drawn for it and the GUI folder that controls it,
+    // in the order they are drawn, as { wave, bars, folder, name }
+    series: [],
+    // the number of waves added so far, used to give each wave's folder a unique name
+    wavesAdded: 0,
+    // the bars drawn for the sum of all visible waves
+    sumBars: null,
+    // the number of times the bars have shifted right since they were made, less the
+    // number of times they have shifted left; bar i is moving to the sample
+    // (i - shiftCount) modulo CONTROLS.SAMPLES
+    shiftCount: 0,
+    // 1 if the bars last shifted right, -1 if they last shifted left,
+    // or 0 if they have not shifted since they were made
+    lastShiftDirection: 0,
+    // the time in milliseconds since the bars last shifted
+    sinceShift: 0,
+    // the index of the bar under the pointer, or -1 if there is none
+    hoveredBar: -1,
+    // the index of the bar that was clicked or selected with the arrow keys, or -1 if
+    // there is none; every bar with the same phase, one period apart, is highlighted along with it
+    pinnedBar: -1,
+    // the FourierBuilder for the Fourier series being built while CONTROLS.MODE is 'fourier'
+    fourier: null,
+    // the bars drawn for the target shape and its Fourier series
+    fourierBars: { target: null, series: null },
+    // where the signal shown while CONTROLS.MODE is 'signal' comes from,
+    // or null if no audio file or microphone has been chosen
+    signal: null,
+    // the bars drawn for the signal
+    signalBars: null,
+    // the data shown while CONTROLS.MODE is 'data', as parseDataset reads it,
+    // or null if no file has been opened
+    dataset: null,
+    // the bars drawn for the selected column of the data
+    dataBars: null,
+    // the value the selected column of the data is multiplied by to draw it
+    dataScale: 1
+};
+
+/**
+ * The format and number of shifts left while recording one full cycle.
+ * The recording starts at the next shift and stops once every bar
+ * has moved through every sample, so the recording loops seamlessly.
+ * @type {{ format: RecordingFormat, shiftsLeft: number }}
+ */
+let cycleRecording = null;
+
+/**
+ * Shows an error on the page, or hides it if there is no error.
+ * @param {string} [message] the error message to show
+ */
+const showError = (message) => {
+    formulaError.textContent = message || '';
+    formulaError.hidden = !message;
+};
+
+/**
+ * Shows a signal in place of the waves, letting go of the previous one.
+ * @param {SignalSource} source where the signal comes from
+ */
+const useSignal = (source) => {
+    setSignal(state, source);
+    showError();
+    // Switching the mode remakes the bars
+    modeController.setValue('signal');
+};
+
+/**
+ * Decodes an audio file and shows it.
+ * @param {File} file the file to decode
+ */
+const openAudioFile = async (file) => {
+    try {
+        useSignal(await BufferSignal.fromFile(file));
+    } catch (error) {
+        showError(`Signal: ${error.message}`);
+    } // try
+};
+
+/**
+ * Asks for the microphone and shows what it hears.
+ */
+const useMicrophone = async () => {
+    try {
+        useSignal(await MicrophoneSignal.open());
+    } catch (error) {
+        showError(`Signal: ${error.message}`);
+    } // try
+};
+
+/**
+ * Reads a CSV or JSON file and shows its first column. Rows that
+ * cannot be read are listed on the page and the rest are shown.
+ * @param {File} file the file to read
+ */
+const openDataFile = async (file) => {
+    let loaded;
+    try {
+        loaded = parseDataset(file.name, await file.text());
+    } catch (error) {
+        showError(`Data: ${file.name} could not be read.`);
+        return;
+    } // try
+    if (loaded.rows.length === 0) {
+        showError(dataErrorMessage(file.name, loaded.errors.length > 0 ? loaded.errors : ['There are no rows of numbers.']));
+        return;
+    } // if
+
+    state.dataset = loaded;
+    CONTROLS.DATA_COLUMN = loaded.columns[0];
+    // The dropdown is remade with the new columns
+    columnController = columnController.options(loaded.columns).onChange(() => showColumn(state));
+    modeController.setValue('data');
+    showError(dataErrorMessage(file.name, loaded.errors));
+};
+
+/**
+ * Handles all necessary operations when the window is resized.
+ * This includes resizing the canvas, finding the canvas center,
+ * calculating the number of cycles that can fit, abd setting
+ * the styles of the canvas.
+ */
+const init = () => {
+    // canvas size and center
+    ({ canvasCenterX, canvasCenterY } = renderer.resize());
+    // bar cycles
+    const cycleWidth = CONTROLS.BAR_GAP() * CONTROLS.SAMPLES;
+    let cyclesThatCanFit = Math.floor(renderer.width / cycleWidth) || 1;
+    state.barAmount = CONTROLS.SAMPLES * cyclesThatCanFit;
+    // Data gets one bar per row instead
+    if (CONTROLS.MODE === 'data' && state.dataset) {
+        state.barAmount = state.dataset.rows.length;
+    } // if
+    // Every series gets the same amount of bars so they share the base line
+    const { angles } = makeSamples({ samples: CONTROLS.SAMPLES });
+    if (CONTROLS.MODE === 'fourier') {
+        try {
+            initFourier(state, angles);
+            showError();
+        } catch (error) {
+            showError(`Fourier: ${error.message}`);
+        } // try
+    } // if
+    initSignal(state);
+    if (CONTROLS.MODE === 'signal' && !state.signal) {
+        showError('Signal: open or drop an audio file, or use the microphone.');
+    } // if
+    initData(state);
+    if (CONTROLS.MODE === 'data' && !state.dataset) {
+        showError('Data: open or drop a CSV or JSON file.');
+    } // if
+    updateFourierPanel(fourierPanel, state);
+    initWaves(state, angles);
+    Object.assign(state, { shiftCount: 0, lastShiftDirection: 0, sinceShift: 0 });
+    // The bars may have been remade with fewer of them
+    if (state.pinnedBar >= state.barAmount) {
+        state.pinnedBar = -1;
+    } // if
+};
+
+/**
+ * Shifts every series of bars in the current mode by one
+ * sample at once, keeping count of the shifts. In the signal
+ * mode, the next window of the signal is read instead, and in
+ * the data mode the next or previous column is shown.
+ * @param {boolean} [reverse=false] whether to shift left instead of right
+ */
+const shiftAll = (reverse=false) => {
+    // A signal is read afresh and data moves to another column rather than shifting
+    if (CONTROLS.MODE === 'signal' || CONTROLS.MODE === 'data') {
+        if (CONTROLS.MODE === 'signal') {
+            readSignal(state);
+        } else if (state.dataset) {
+            columnController.setValue(stepColumn(state, reverse));
+        } // if
+        state.sinceShift = 0;
+        return;
+    } // if
+
+    const { fourierBars } = state;
+    const barSeries = CONTROLS.MODE === 'fourier'
+        ? [fourierBars.target, fourierBars.series]
+        : waveBarSeries(state);
+    if (barSeries.some((bars) => !bars)) {
+        return; // the Fourier series could not be built
+    } // if
+
+    barSeries.forEach((bars) => shift(bars, reverse));
+    state.lastShiftDirection = reverse ? -1 : 1;
+    state.shiftCount += state.lastShiftDirection;
+    state.sinceShift = 0;
+    countShift();
+};
+
+/**
+ * Shifts the bars if the wave is playing, its bars have settled and
+ * enough time has passed since the last shift for CONTROLS.SHIFT_RATE.
+ *
+ * @param {boolean} allReachedNextHeight whether every bar has reached its next height
+ * @param {number}  elapsed              the time in milliseconds since the last frame
+ */
+const advancePlayback = (allReachedNextHeight, elapsed) => {
+    state.sinceShift += elapsed;
+    if (CONTROLS.PLAYING && allReachedNextHeight && state.sinceShift >= 1000 / CONTROLS.SHIFT_RATE) {
+        shiftAll(CONTROLS.REVERSE);
+    } // if
+};
+
+/**
+ * Waits for the next shift and then records until the wave has
+ * shifted through one full period.
+ * @param {RecordingFormat} format the format to save the recording as
+ */
+const recordCycle = (format) => {
+    if (!recorder.isRecording()) {
+        cycleRecording = { format, shiftsLeft: CONTROLS.SAMPLES + 1 };
+    } // if
+};
+
+/**
+ * Starts or stops a recording of one full cycle, if one was asked
+ * for. Should be called every time the bars are shifted.
+ */
+const countShift = () => {
+    if (!cycleRecording) {
+        return;
+    } // if
+
+    cycleRecording.shiftsLeft--;
+    if (!recorder.isRecording()) {
+        recorder.start(cycleRecording.format);
+    } else if (cycleRecording.shiftsLeft === 0) {
+        recorder.stop();
+        cycleRecording = null;
+    } // if
+};
+
+/**
+ * Draws the center x-axis that scales with the amount of bars,
+ * or the base circle that the polar style is drawn around.
+ *
+ * @param {Renderer} renderer what to draw with
+ * @param {object}   layout   the layout made by makeLayout
+ */
+const drawBaseLine = (renderer, layout) => {
+    if (CONTROLS.PLOT_STYLE === 'polar') {
+        renderer.strokeCircle(layout.centerX, layout.centerY, layout.polarRadius, CONTROLS.LINE_COLOR, 8);
+        return;
+    } // if
+    renderer.line(layout.start, layout.centerY, layout.end, layout.centerY, CONTROLS.LINE_COLOR, 8);
+};
+
+/**
+ * Draws every visible series for the current mode.
+ * @param {Renderer} renderer what to draw with
+ * @param {object}   layout   the layout made by makeLayout
+ */
+const drawBars = (renderer, layout) => {
+    switch (CONTROLS.MODE) {
+    case 'signal':
+        if (state.signalBars) {
+            drawSignal(renderer, layout, state);
+        } // if
+        break;
+    case 'data':
+        if (state.dataBars) {
+            drawData(renderer, layout, state);
+        } // if
+        break;
+    case 'fourier':
+        if (state.fourier) {
+            drawFourier(renderer, layout, state);
+        } // if
+        break;
+    default:
+        drawWaves(renderer, layout, state);
+    } // switch
+};
+
+/**
+ * Returns the angle of the leftmost bar, moving smoothly
+ * from one sample to the next as the bars shift.
+ * @return the angle in radians
+ */
+const leftmostAngle = () => {
+    const { fourierBars, shiftCount, lastShiftDirection } = state;
+    const bar = CONTROLS.MODE === 'fourier' ? fourierBars.series && fourierBars.series[0] : state.sumBars[0];
+    if (!bar) {
+        return barAngle(0, CONTROLS.SAMPLES, shiftCount);
+    } // if
+    // The leftmost bar moves back one sample every shift right,
+    // so turn from the sample before the last shift toward its current one
+    return -(Math.PI * 2 / CONTROLS.SAMPLES) * (shiftCount - lastShiftDirection * (1 - bar.progress));
+};
+
+/**
+ * Returns where the bars are currently drawn.
+ * @return {object} the layout made by makeLayout
+ */
+const getLayout = () => {
+    const { barAmount } = state;
+    // Data can have any number of rows, so narrow the bars until every one fits
+    const fit = CONTROLS.MODE === 'data' && barAmount > 0
+        ? Math.min(1, renderer.width / (barAmount * CONTROLS.BAR_GAP()))
+        : 1;
+    return makeLayout({
+        centerX: canvasCenterX,
+        centerY: canvasCenterY,
+        barAmount,
+        gap: CONTROLS.BAR_GAP() * fit,
+        barWidth: CONTROLS.BAR_WIDTH * fit,
+        polarRadius: Math.min(renderer.width, renderer.height) * POLAR_RADIUS_SCALAR
+    });
+};
+
+/**
+ * Draws the axes, the bars and the unit circle, whichever are turned on.
+ * @param {Renderer} renderer what to draw with
+ */
+const render = (renderer) => {
+    renderer.clear();
+    const layout = getLayout();
+    const style = { color: CONTROLS.AXIS_COLOR, labelColor: CONTROLS.LABEL_COLOR, font: LABEL_FONT };
+
+    // Highlights and gridlines go behind the bars and ticks go in front of them.
+    // The axes follow the base line, so the polar style has none
+    // Only repeating modes have angles, so only they have ticks and the unit circle
+    const polar = CONTROLS.PLOT_STYLE === 'polar';
+    const angular = isPeriodic(CONTROLS.MODE);
+    drawHighlights(renderer, layout, state, themePicker.palette.highlight);
+    if (CONTROLS.SHOW_Y_GRID && !polar) {
+        // Autoscaled data is labelled with its own values
+        const scalar = CONTROLS.MODE === 'data' ? CONTROLS.BAR_HEIGHT_SCALAR * state.dataScale : CONTROLS.BAR_HEIGHT_SCALAR;
+        drawYGrid(renderer, layout, scalar, style);
+    } // if
+    drawBaseLine(renderer, layout);
+    drawBars(renderer, layout);
+    if (CONTROLS.SHOW_X_TICKS && !polar && angular) {
+        const angles = Array.from({ length: state.barAmount }, (_, i) => barAngle(i, CONTROLS.SAMPLES, state.shiftCount));
+        drawXTicks(renderer, layout, angles, style);
+    } // if
+    if (CONTROLS.SHOW_UNIT_CIRCLE && angular) {
+        const firstVisible = state.series.find(({ wave }) => wave.visible);
+        const pointColor = CONTROLS.MODE === 'fourier' || !firstVisible ? CONTROLS.FOURIER_COLOR : firstVisible.wave.color;
+        // The polar style fills the middle of the canvas, so move to the corner
+        const x = polar ? UNIT_CIRCLE_RADIUS + 24 : canvasCenterX;
+        const position = { x, y: UNIT_CIRCLE_RADIUS + 24, radius: UNIT_CIRCLE_RADIUS };
+        drawUnitCircle(renderer, leftmostAngle(), position, { ...style, pointColor });
+    } // if
+};
+
+/**
+ * Draws the current frame into an SVG image and downloads it.
+ */
+const svgSnapshot = () => {
+    const background = window.getComputedStyle(canvas).backgroundColor;
+    const svgRenderer = new SvgRenderer(renderer.width, renderer.height, background);
+    render(svgRenderer);
+    download(svgRenderer.toBlob(), 'sine_grapher.svg');
+};
+
+/**
+ * Moves the bars of the current mode for the next frame, and shifts them
+ * once they have settled. The Fourier series adds a harmonic each time its
+ * bars settle until it has every one, and data only moves through its
+ * columns if CONTROLS.CYCLE_COLUMNS is on.
+ *
+ * @param {number} elapsed the time in milliseconds since the last frame
+ */
+const animate = (elapsed) => {
+    switch (CONTROLS.MODE) {
+    case 'fourier':
+        if (state.fourier) {
+            const { settled, added } = growFourier(state, elapsed);
+            if (added) {
+                updateFourierPanel(fourierPanel, state);
+            } else if (state.fourier.isComplete()) {
+                advancePlayback(settled, elapsed);
+            } // if
+        } // if
+        break;
+    case 'signal':
+        if (state.signalBars) {
+            advancePlayback(growSignal(state, elapsed), elapsed);
+        } // if
+        break;
+    case 'data':
+        if (state.dataBars) {
+            const settled = growData(state, elapsed);
+            if (CONTROLS.CYCLE_COLUMNS) {
+                advancePlayback(settled, elapsed);
+            } // if
+        } // if
+        break;
+    default:
+        advancePlayback(growWaves(state, elapsed), elapsed);
+    } // switch
+};
+
+/**
+ * Starts or stops the sound of the wave to match CONTROLS.MUTED.
+ * Unmuting in a browser without sound is undone and reported on the page.
+ */
+const updateMuted = () => {
+    if (CONTROLS.MUTED) {
+        sonifier.stop();
+        return;
+    } // if
+
+    try {
+        sonifier.start();
+    } catch (error) {
+        showError(error.message);
+        CONTROLS.MUTED = true;
+    } // try
+};
+
+/**
+ * Plays one period of the bars being drawn: the Fourier series, or the
+ * sum of the visible waves. The sound is silent while the wave is paused,
+ * while a signal is shown since it is already a sound, and while data is shown.
+ * It plays the heights the bars are moving to, so the wave only changes
+ * when they shift rather than every frame while they grow.
+ */
+const updateSound = () => {
+    const bars = { waves: state.sumBars, fourier: state.fourierBars.series, signal: null, data: null }[CONTROLS.MODE];
+    if (!bars) {
+        sonifier.update([0, 0], pitchFor(CONTROLS.SHIFT_RATE), 0);
+        return;
+    } // if
+
+    const values = bars.slice(0, CONTROLS.SAMPLES).map(({ nextHeight }) => nextHeight);
+    const loudness = CONTROLS.PLAYING ? loudnessFor(CONTROLS.BAR_HEIGHT_SCALAR, CONTROLS.VOLUME) : 0;
+    sonifier.update(values, pitchFor(CONTROLS.SHIFT_RATE), loudness);
+};
+
+/**
+ * Pauses the wave when reduced motion is turned on. It can still
+ * be played, but its bars jump rather than grow.
+ */
+const updateReducedMotion = () => {
+    if (CONTROLS.REDUCED_MOTION) {
+        CONTROLS.PLAYING = false;
+    } // if
+};
+
+/**
+ * Draws and animates elements onto the canvas.
+ * @param {number} timestamp the time passed in by requestAnimationFrame
+ */
+const update = (timestamp) => {
+    const elapsed = clock.tick(timestamp);
+
+    // Draw the bars where they are, then move them for the next frame
+    render(renderer);
+    animate(elapsed);
+    updateTooltip(barTooltip, getLayout(), state);
+    updateSound();
+    announce(describeState(state));
+
+    recorder.capture(elapsed);
+    requestAnimationFrame(update);
+};
+
+/**
+ * Adds a wave and a GUI folder to control it with, then rebuilds the bars.
+ * @param {object} config the configuration passed to the Wave constructor
+ */
+const addWave = (config) => {
+    const colors = themePicker.palette.series;
+    const color = colors[state.series.length % colors.length];
+    addWaveSeries(state, waveControls, { color, ...config }, { init, showError });
+    if (canvasCenterX !== undefined) {
+        init();
+    } // if
+};
+
+/**
+ * Colors the bars, lines and axes with a theme's palette. Waves are
+ * given the palette's series colors in the order they are drawn.
+ * @param {object} palette the palette of the picked theme
+ */
+const applyTheme = (palette) => {
+    const { series: colors } = palette;
+    Object.assign(CONTROLS, {
+        LINE_COLOR: palette.accent,
+        SUM_COLOR: palette.foreground,
+        TARGET_COLOR: palette.subtle,
+        FOURIER_COLOR: colors[2 % colors.length],
+        DATA_COLOR: colors[3 % colors.length],
+        SIGNAL_COLOR: colors[4 % colors.length],
+        AXIS_COLOR: palette.axis,
+        LABEL_COLOR: palette.muted
+    });
+    state.series.forEach(({ wave }, i) => {
+        wave.color = colors[i % colors.length];
+    });
+    GUI.updateDisplay();
+};
+
+/**
+ * Returns the colors that have been changed from the picked palette
+ * in the GUI, to be saved along with it as a custom theme.
+ * The waves' colors replace the series colors they were given.
+ *
+ * @param {object} palette the palette of the picked theme
+ * @return {object} the palette keys and their current colors
+ */
+const captureTheme = (palette) => {
+    const colors = [...palette.series];
+    [[2, CONTROLS.FOURIER_COLOR], [3, CONTROLS.DATA_COLOR], [4, CONTROLS.SIGNAL_COLOR]]
+        .filter(([i]) => i < colors.length)
+        .forEach(([i, color]) => {
+            colors[i] = color;
+        });
+    state.series.slice(0, colors.length).forEach(({ wave }, i) => {
+        colors[i] = wave.color;
+    });
+    return {
+        accent: CONTROLS.LINE_COLOR,
+        foreground: CONTROLS.SUM_COLOR,
+        subtle: CONTROLS.TARGET_COLOR,
+        axis: CONTROLS.AXIS_COLOR,
+        muted: CONTROLS.LABEL_COLOR,
+        series: colors
+    };
+};
+
+/**
+ * Returns the value of every control, with each wave's
+ * controls numbered by the order the waves are drawn in.
+ * @return {URLSearchParams} the state of every control
+ */
+const collectState = () => {
+    const params = collectParams(GUI, new URLSearchParams(), { skip: [waveControls] });
+    state.series.forEach(({ folder }, i) => collectParams(folder, params, { prefix: `wave${i + 1}.` }));
+    return params;
+};
+
+/**
+ * Sets the controls from the URL's hash, replacing the starting
+ * waves if any are listed, and keeps the hash up to date from then on.
+ */
+const restoreState = () => {
+    const params = readHash();
+    const waveNumbers = [...params.keys()]
+        .map((key) => /^wave(\d+)\./.exec(key))
+        .filter(Boolean)
+        .map((match) => Number(match[1]));
+    const waveAmount = Math.min(MAX_WAVES, Math.max(0, ...waveNumbers));
+    if (waveAmount > 0) {
+        [...state.series].forEach((waveSeries) => removeWave(state, waveControls, waveSeries));
+        for (let i = 0; i < waveAmount; i++) {
+            addWave(WAVES[i] || { formula: FORMULA });
+        } // for
+    } // if
+
+    applyParams(GUI, params, { skip: [waveControls] });
+    state.series.forEach(({ folder }, i) => applyParams(folder, params, { prefix: `wave${i + 1}.` }));
+    watchState(collectState);
+};
+
+/**
+ * Listens to the page for resizing, dropped files and the pointer and keys.
+ */
+const listen = () => {
+    window.addEventListener('resize', init);
+    // Sound unmuted by a shared link can only start once the page is used
+    ['pointerdown', 'keydown'].forEach((type) => window.addEventListener(type, () => {
+        if (!CONTROLS.MUTED) {
+            updateMuted();
+        } // if
+    }));
+    // Audio and data files can be dropped anywhere on the page
+    window.addEventListener('dragover', (event) => event.preventDefault());
+    window.addEventListener('drop', (event) => {
+        event.preventDefault();
+        const [file] = event.dataTransfer.files;
+        if (file) {
+            (isDataFile(file) ? openDataFile : openAudioFile)(file);
+        } // if
+    });
+    canvas.addEventListener('pointermove', ({ offsetX, offsetY }) => {
+        state.hoveredBar = barAt(CONTROLS, getLayout(), offsetX, offsetY);
+    });
+    canvas.addEventListener('pointerleave', () => {
+        state.hoveredBar = -1;
+    });
+    canvas.addEventListener('click', ({ offsetX, offsetY }) => {
+        // Clicking the pinned bar again unpins it
+        const i = barAt(CONTROLS, getLayout(), offsetX, offsetY);
+        state.pinnedBar = i === state.pinnedBar ? -1 : i;
+    });
+    window.addEventListener('keydown', (event) => {
+        // Leave keys alone while typing into the GUI, and leave
+        // the arrow keys to move between bars on the canvas
+        const target = event.target;
+        if (target instanceof HTMLInputElement || target instanceof HTMLSelectElement || target instanceof HTMLTextAreaElement) {
+            return;
+        } // if
+        const shortcuts = {
+            ' ': CONTROLS.TOGGLE_PLAYING.bind(CONTROLS),
+            ArrowRight: CONTROLS.STEP_FORWARD,
+            ArrowLeft: CONTROLS.STEP_BACKWARD
+        };
+        if (event.key in shortcuts && !(target === canvas && event.key !== ' ')) {
+            event.preventDefault();
+            shortcuts[event.key]();
+        } // if
+    });
+    canvas.addEventListener('keydown', (event) => {
+        const { pinnedBar, hoveredBar, barAmount } = state;
+        const current = pinnedBar >= 0 ? pinnedBar : hoveredBar;
+        const moves = {
+            ArrowLeft: current < 0 ? barAmount - 1 : Math.max(0, current - 1),
+            ArrowRight: current < 0 ? 0 : Math.min(barAmount - 1, current + 1),
+            Home: 0,
+            End: barAmount - 1,
+            Escape: -1
+        };
+        if (event.key in moves) {
+            event.preventDefault();
+            state.pinnedBar = moves[event.key];
+        } // if
+    });
+};
+
+/**
+ * Starts the grapher on the elements of a page.
+ *
+ * @param {object}            options
+ * @param {HTMLCanvasElement} options.canvas   the canvas to draw on
+ * @param {dat.GUI}           options.gui      the GUI to add the controls to, constructed
+ *                                             with the result of loadPresets(PRESETS_KEY)
+ * @param {ThemePicker}       options.theme    the picker that the page is colored by
+ * @param {MediaQueryList}    options.reducedMotion matches when the system asks for reduced motion
+ * @param {object}            options.elements the elements that show errors, bar tooltips,
+ *                                             Fourier coefficients and descriptions for screen
+ *                                             readers, as formulaError, barTooltip, fourierPanel
+ *                                             and liveRegion
+ */
+export const startApp = ({ canvas: appCanvas, gui, theme, reducedMotion, elements }) => {
+    canvas = appCanvas;
+    renderer = state.renderer = new CanvasRenderer(canvas);
+    recorder = new Recorder(canvas, 'sine_grapher');
+    themePicker = theme;
+    ({ formulaError, barTooltip, fourierPanel } = elements);
+    announce = makeAnnouncer(elements.liveRegion);
+    GUI = gui;
+    savePresets(GUI, PRESETS_KEY, CONTROLS);
+    ({ modeController, columnController, waveControls } = buildGui(GUI, CONTROLS, {
+        clock, recorder, themePicker, init, updateMuted, updateReducedMotion, recordCycle, svgSnapshot,
+        captureTheme, showError,
+        readSignal: () => readSignal(state),
+        showColumn: () => showColumn(state)
+    }));
+    listen();
+    themePicker.onChange(applyTheme);
+    // A shared link can still turn reduced motion off
+    const followReducedMotion = () => {
+        CONTROLS.REDUCED_MOTION = reducedMotion.matches;
+        updateReducedMotion();
+    };
+    followReducedMotion();
+    reducedMotion.addEventListener('change', followReducedMotion);
+
+    // get things started
+    const bootSequence = [
+        () => WAVES.forEach((config) => addWave(config)),
+        () => applyTheme(themePicker.palette),
+        restoreState, init, update
+    ];
+    bootSequence.forEach((method) => method());
+};
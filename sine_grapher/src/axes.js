@@ -0,0 +1,166 @@
+import { RADIANS, TICK_LABEL_SPACING, GRID_SPACING } from './initial.js';
+
+/**
+ * The denominators of the fractions of π that angles are labelled with.
+ * Smaller ones are tried first so that fractions come out reduced.
+ */
+const DENOMINATORS = Object.freeze([1, 2, 3, 4, 6]);
+
+/**
+ * The distances between gridlines to choose from, in bar values.
+ */
+const GRID_STEPS = Object.freeze([0.1, 0.25, 0.5, 1, 2, 5, 10]);
+
+/**
+ * The length in pixels of the ticks on either side of the base line.
+ */
+const TICK_LENGTH = 10;
+
+/**
+ * The space in pixels between the bottom of the canvas and the tick labels.
+ */
+const LABEL_MARGIN = 8;
+
+/**
+ * Returns an angle moved into [0, 2π).
+ * @param {number} angle the angle in radians
+ * @return the equivalent angle in [0, 2π)
+ */
+const normalize = (angle) => ((angle % (Math.PI * 2)) + Math.PI * 2) % (Math.PI * 2);
+
+/**
+ * Checks if two numbers are equal apart from floating point error.
+ * @param {number} a the first number
+ * @param {number} b the second number
+ * @return true if the numbers are close enough to be equal, false otherwise
+ */
+const isClose = (a, b) => Math.abs(a - b) < 1e-9;
+
+/**
+ * Formats an angle in π notation, such as 'π/6' or '5π/4'.
+ * Angles that are not a simple fraction of π are given to two decimal places.
+ *
+ * @param {number} angle the angle in radians; moved into [0, 2π) first
+ * @return the formatted angle
+ */
+export const formatRadians = (angle) => {
+    const turns = normalize(angle) / Math.PI;
+    const denominator = DENOMINATORS.find((candidate) => isClose(turns * candidate, Math.round(turns * candidate)));
+    if (denominator === undefined) {
+        return `${turns.toFixed(2)}π`;
+    } // if
+
+    const numerator = Math.round(turns * denominator) % (denominator * 2);
+    if (numerator === 0) {
+        return '0';
+    } // if
+    const multiple = numerator === 1 ? 'π' : `${numerator}π`;
+    return denominator === 1 ? multiple : `${multiple}/${denominator}`;
+};
+
+/**
+ * Checks if an angle is one of the angles listed on the unit circle.
+ * @param {number} angle the angle in radians
+ * @return true if the angle is one of RADIANS, false otherwise
+ */
+export const isUnitCircleAngle = (angle) => {
+    const normalized = normalize(angle);
+    return RADIANS.some((radian) => isClose(radian, normalized) || isClose(radian + Math.PI * 2, normalized));
+};
+
+/**
+ * Draws a tick across the base line at the center of every bar, and labels
+ * the ticks whose angles are on the unit circle along the bottom of the canvas.
+ *
+ * @param {Renderer} renderer         what to draw with
+ * @param {object}   layout           where the bars are
+ * @param {number}   layout.start     the x-coordinate of the left side of the first bar
+ * @param {number}   layout.centerY   the y-coordinate of the base line
+ * @param {number}   layout.gap       the space between the left sides of bars
+ * @param {number}   layout.barWidth  the width of each bar
+ * @param {number[]} angles           the angle of each bar, from left to right
+ * @param {object}   style            how to draw the ticks
+ * @param {string}   style.color      the color of the ticks
+ * @param {string}   style.labelColor the color of the labels
+ * @param {string}   style.font       the font of the labels
+ */
+export const drawXTicks = (renderer, { start, centerY, gap, barWidth }, angles, { color, labelColor, font }) => {
+    let lastLabelX = -Infinity;
+    angles.forEach((angle, i) => {
+        const x = start + i * gap + barWidth / 2;
+        renderer.line(x, centerY - TICK_LENGTH, x, centerY + TICK_LENGTH, color, 2);
+        if (isUnitCircleAngle(angle) && x - lastLabelX >= TICK_LABEL_SPACING) {
+            renderer.text(formatRadians(angle), x, renderer.height - LABEL_MARGIN, labelColor, font, 'center', 'bottom');
+            lastLabelX = x;
+        } // if
+    });
+};
+
+/**
+ * Draws a gridline for evenly spaced bar values above and below the base line,
+ * and labels each with its value. Bars with positive values extend down, so
+ * the values increase down the canvas.
+ *
+ * @param {Renderer} renderer         what to draw with
+ * @param {object}   layout           where the bars are
+ * @param {number}   layout.start     the x-coordinate of the left side of the first bar
+ * @param {number}   layout.end       the x-coordinate of the right side of the base line
+ * @param {number}   layout.centerY   the y-coordinate of the base line
+ * @param {number}   scalar           the number of pixels a bar value of 1 is drawn as
+ * @param {object}   style            how to draw the gridlines
+ * @param {string}   style.color      the color of the gridlines
+ * @param {string}   style.labelColor the color of the labels
+ * @param {string}   style.font       the font of the labels
+ */
+export const drawYGrid = (renderer, { start, end, centerY }, scalar, { color, labelColor, font }) => {
+    const size = Math.abs(scalar);
+    if (size === 0) {
+        return;
+    } // if
+
+    const step = GRID_STEPS.find((candidate) => candidate * size >= GRID_SPACING) || GRID_STEPS[GRID_STEPS.length - 1];
+    // Leave out gridlines that would sit on the edge of the canvas
+    const lines = Math.floor((Math.max(centerY, renderer.height - centerY) - 1) / (step * size));
+    renderer.line(start, centerY - lines * step * size, start, centerY + lines * step * size, color, 1);
+    for (let i = -lines; i <= lines; i++) {
+        if (i === 0) {
+            continue; // the base line is already there
+        } // if
+        const value = i * step;
+        const y = centerY + value * scalar;
+        renderer.line(start, y, end, y, color, 1);
+        // Round away floating point error, such as 0.30000000000000004
+        renderer.text(String(Number(value.toFixed(2))), start - 6, y, labelColor, font, 'right', 'middle');
+    } // for
+};
+
+/**
+ * Draws a unit circle with the point at an angle on it, the radius to that
+ * point and the point's height above the horizontal axis, which is the sine
+ * of the angle.
+ *
+ * @param {Renderer} renderer         what to draw with
+ * @param {number}   angle            the angle of the point in radians, counterclockwise
+ * @param {object}   layout           where to draw the circle
+ * @param {number}   layout.x         the x-coordinate of the center
+ * @param {number}   layout.y         the y-coordinate of the center
+ * @param {number}   layout.radius    the radius in pixels
+ * @param {object}   style            how to draw the circle
+ * @param {string}   style.color      the color of the circle and its axes
+ * @param {string}   style.pointColor the color of the point, its radius and its height
+ * @param {string}   style.labelColor the color of the label
+ * @param {string}   style.font       the font of the label
+ */
+export const drawUnitCircle = (renderer, angle, { x, y, radius }, { color, pointColor, labelColor, font }) => {
+    renderer.strokeCircle(x, y, radius, color, 2);
+    renderer.line(x - radius, y, x + radius, y, color, 1);
+    renderer.line(x, y - radius, x, y + radius, color, 1);
+
+    // The canvas's y-axis points down, so the sine is subtracted
+    const pointX = x + Math.cos(angle) * radius;
+    const pointY = y - Math.sin(angle) * radius;
+    renderer.line(x, y, pointX, pointY, pointColor, 2);
+    renderer.line(pointX, y, pointX, pointY, pointColor, 2);
+    renderer.circle(pointX, pointY, 4, pointColor);
+    renderer.text(`θ = ${formatRadians(angle)}`, x, y + radius + 8, labelColor, font, 'center', 'top');
+};
@@ -0,0 +1,122 @@
+import { Bar } from '../models/Bar.js';
+import { makeSamples } from '../../shared/src/sampling.js';
+
+/**
+ * Makes an array containing the number of Bar objects specified.
+ * The height of each Bar objects is set according to the values,
+ * which are repeated if there are more bars than values.
+ *
+ * @param {number}   amount the number of bar objects to make
+ * @param {number[]} values the values for one period of the wave
+ * @return an array containing Bar objects
+ */
+export const makeSinBars = (amount, values) => {
+    // Declare a variable to keep track
+    // of the current value to use.
+    let valueTracker = 0;
+    const bars = [];
+    for (let i = 0; i < amount; i++) {
+        // Reset valueTracker to the
+        // beginning if it reaches the end.
+        if (valueTracker >= values.length) {
+            valueTracker = 0;
+        } // if
+
+        const selectedValue = values[valueTracker++];
+        const nextValue = values[valueTracker % values.length];
+        bars.push(new Bar(selectedValue, nextValue));
+    } // for
+    return bars;
+};
+
+/**
+ * Sets the nextHeight of every bar from the values for one
+ * period of a wave, repeating them across every cycle.
+ *
+ * @param {Bar[]}    bars       the bars to update
+ * @param {number[]} values     the values for one period of the wave
+ * @param {number}   [offset=0] the number of bars the values have shifted right by
+ */
+export const setNextHeights = (bars, values, offset=0) => {
+    const { length } = values;
+    bars.forEach((bar, i) => {
+        bar.nextHeight = values[((i - offset) % length + length) % length];
+    });
+};
+
+/**
+ * Sets the Bar objects' nextHeight property.
+ *
+ * Because bars.indexOf(bar.height) does not work,
+ * this method works be setting the nextHeight value
+ * of bars to the left bar's nextHeight. The leftmost
+ * bar's nextHeight is set to the nextHeight value of the
+ * rightmost bar before it was modified (this assumes
+ * that the number of bars is a multiple of the number
+ * of samples per period, which init makes sure of).
+ *
+ * This gives the illusion of the bars moving right.
+ * In reverse, the same is done from the other end
+ * so the bars move left.
+ *
+ * @param {Bar[]}   bars            the bars to shift
+ * @param {boolean} [reverse=false] whether to shift left instead of right
+ */
+export const shift = (bars, reverse=false) => {
+    if (reverse) {
+        const leftMostBarHeight = bars[0].nextHeight;
+        for (let i = 0; i < bars.length - 1; i++) {
+            bars[i].nextHeight = bars[i + 1].nextHeight;
+        } // for
+        bars[bars.length - 1].nextHeight = leftMostBarHeight;
+        return;
+    } // if
+
+    const rightMostBarHeight = bars[bars.length - 1].nextHeight;
+    for (let i = bars.length - 1; i > 0; i--) {
+        bars[i].nextHeight = bars[i - 1].nextHeight;
+    } // for
+    bars[0].nextHeight = rightMostBarHeight;
+};
+
+/**
+ * Grows a series of bars toward their next heights, or snaps them
+ * there if reduced motion is turned on.
+ *
+ * @param {Bar[]}  bars     the bars to grow
+ * @param {number} elapsed  the time in milliseconds since the last frame
+ * @param {object} controls the values the user can affect, for GROW_FRAMES, EASE and REDUCED_MOTION
+ * @return true if every bar has reached its next height, false otherwise
+ */
+export const growBars = (bars, elapsed, controls) => {
+    const easing = controls.EASE.bind(controls);
+
+    let allReachedNextHeight = true;
+    bars.forEach((bar) => {
+        if (controls.REDUCED_MOTION) {
+            bar.snap();
+        } else {
+            bar.grow(controls.GROW_FRAMES, elapsed, easing); // called once per animation frame
+        } // if
+
+        // Check for any bars that have not finished growing to their next height.
+        if (!bar.isNextHeight()) {
+            allReachedNextHeight = false;
+        } // if
+    });
+    return allReachedNextHeight;
+};
+
+/**
+ * Returns the angle of the sample that a bar is moving to,
+ * after the bars have shifted right by the offset.
+ *
+ * @param {number} i          the index of the bar, from the left
+ * @param {number} samples    the number of samples per period
+ * @param {number} [offset=0] the number of bars the values have shifted right by
+ * @return the angle in radians
+ */
+export const barAngle = (i, samples, offset=0) => {
+    const { angles } = makeSamples({ samples });
+    return angles[((i - offset) % samples + samples) % samples];
+};
@@ -0,0 +1,175 @@
+/**
+ * The characters that can separate the values on a line of a CSV file.
+ * The one that appears most in the first line is used.
+ */
+const DELIMITERS = Object.freeze([',', ';', '\t']);
+
+/**
+ * Checks if a cell holds a number. Empty cells do not.
+ * @param {*} cell the cell to check
+ * @return true if the cell is a finite number or text of one, false otherwise
+ */
+const isNumeric = (cell) => (typeof cell === 'number' || (typeof cell === 'string' && cell.trim() !== ''))
+    && Number.isFinite(Number(cell));
+
+/**
+ * Splits a line of a CSV file into its cells. Cells may be quoted with
+ * double quotes to hold the delimiter, and two double quotes in a quoted
+ * cell stand for one.
+ *
+ * @param {string} line      the line to split
+ * @param {string} delimiter the character between cells
+ * @return {string[]} the cells, without their quotes
+ */
+const splitLine = (line, delimiter) => {
+    const cells = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const character = line[i];
+        if (quoted && character === '"' && line[i + 1] === '"') {
+            cell += '"';
+            i++;
+        } else if (character === '"') {
+            quoted = !quoted;
+        } else if (character === delimiter && !quoted) {
+            cells.push(cell.trim());
+            cell = '';
+        } else {
+            cell += character;
+        } // if
+    } // for
+    cells.push(cell.trim());
+    return cells;
+};
+
+/**
+ * Turns a table of cells into a dataset. A column whose every cell is text,
+ * such as the names of months, labels the rows instead of being a column
+ * of values. Rows with a cell that is not a number are left out and listed
+ * as errors, so one bad row does not stop the rest from being shown.
+ *
+ * @param {string[]} header     the name of every column
+ * @param {object[]} records    the cells of every row, with the row's name
+ *                              for errors, as { name: string, cells: Array }
+ * @return {{ columns: string[], rows: number[][], labels: string[], errors: string[] }}
+ *         the dataset, where rows[r][c] is the value of column c in row r
+ */
+const makeDataset = (header, records) => {
+    const labelIndex = header.findIndex((_, c) => records.length > 0
+        && records.every(({ cells }) => cells[c] !== undefined && !isNumeric(cells[c])));
+    const valueIndices = header.map((_, c) => c).filter((c) => c !== labelIndex);
+
+    const dataset = { columns: valueIndices.map((c) => header[c]), rows: [], labels: [], errors: [] };
+    records.forEach(({ name, cells }) => {
+        if (cells.length !== header.length) {
+            dataset.errors.push(`${name} has ${cells.length} values but there are ${header.length} columns.`);
+            return;
+        } // if
+        const invalid = valueIndices.find((c) => !isNumeric(cells[c]));
+        if (invalid !== undefined) {
+            dataset.errors.push(`${name}: '${cells[invalid] === undefined ? '' : cells[invalid]}' in ${header[invalid]} is not a number.`);
+            return;
+        } // if
+        dataset.rows.push(valueIndices.map((c) => Number(cells[c])));
+        dataset.labels.push(labelIndex >= 0 ? String(cells[labelIndex]) : name);
+    });
+    if (dataset.columns.length === 0) {
+        dataset.errors.push('There are no columns of numbers.');
+    } // if
+    return dataset;
+};
+
+/**
+ * Parses the text of a CSV file. The first line is taken to be a header
+ * of column names if it has text where the second line has a number;
+ * otherwise the columns are numbered.
+ *
+ * @param {string} text the text of the file
+ * @return {object} the dataset, as makeDataset returns
+ */
+export const parseCsv = (text) => {
+    const lines = text.split(/\r?\n/)
+        .map((line, i) => ({ line, number: i + 1 }))
+        .filter(({ line }) => line.trim() !== '');
+    if (lines.length === 0) {
+        return makeDataset([], []);
+    } // if
+
+    const firstLine = lines[0].line;
+    const count = (delimiter) => firstLine.split(delimiter).length;
+    const delimiter = DELIMITERS.reduce((best, candidate) => (count(candidate) > count(best) ? candidate : best));
+    const records = lines.map(({ line, number }) => ({ name: `Line ${number}`, cells: splitLine(line, delimiter) }));
+
+    const [first, second] = records;
+    const hasHeader = first.cells.some((cell, c) => !isNumeric(cell) && (!second || isNumeric(second.cells[c])));
+    const header = hasHeader ? first.cells : first.cells.map((_, c) => `column ${c + 1}`);
+    return makeDataset(header, hasHeader ? records.slice(1) : records);
+};
+
+/**
+ * Parses the text of a JSON file holding one of:
+ * an array of numbers, an array of arrays of numbers,
+ * an array of objects with the same keys, or an object
+ * whose values are arrays of numbers of the same length.
+ *
+ * @param {string} text the text of the file
+ * @return {object} the dataset, as makeDataset returns
+ */
+export const parseJson = (text) => {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        return { ...makeDataset([], []), errors: [`The JSON could not be read (${error.message}).`] };
+    } // try
+
+    if (Array.isArray(data)) {
+        const rowName = (r) => `Row ${r + 1}`;
+        if (data.every((item) => !Array.isArray(item) && (item === null || typeof item !== 'object'))) {
+            return makeDataset(['value'], data.map((item, r) => ({ name: rowName(r), cells: [item] })));
+        } else if (data.every(Array.isArray)) {
+            const width = Math.max(0, ...data.map((item) => item.length));
+            const header = Array.from({ length: width }, (_, c) => `column ${c + 1}`);
+            return makeDataset(header, data.map((item, r) => ({ name: rowName(r), cells: item })));
+        } // if
+        // Objects may leave out keys, which is reported as a missing value
+        const header = [...new Set(data.flatMap((item) => (item && typeof item === 'object' ? Object.keys(item) : [])))];
+        return makeDataset(header, data.map((item, r) => ({
+            name: rowName(r),
+            cells: header.map((key) => (item && typeof item === 'object' ? item[key] : undefined))
+        })));
+    } else if (data && typeof data === 'object' && Object.values(data).every(Array.isArray)) {
+        const header = Object.keys(data);
+        const length = Math.max(0, ...Object.values(data).map((column) => column.length));
+        return makeDataset(header, Array.from({ length }, (_, r) => ({
+            name: `Row ${r + 1}`,
+            cells: header.map((key) => data[key][r])
+        })));
+    } // if
+    return { ...makeDataset([], []), errors: ['The JSON must be an array of rows or an object of columns.'] };
+};
+
+/**
+ * Parses a data file, as CSV unless its name ends in .json
+ * or its text starts like JSON.
+ *
+ * @param {string} name the name of the file
+ * @param {string} text the text of the file
+ * @return {object} the dataset, as makeDataset returns
+ */
+export const parseDataset = (name, text) => (/\.json$/i.test(name) || /^\s*[[{]/.test(text) ? parseJson(text) : parseCsv(text));
+
+/**
+ * Returns the value to multiply a column's values by so that the
+ * furthest from 0 reaches a limit. Columns of zeros are left as they are.
+ *
+ * @param {number[]} values the values of the column
+ * @param {number}   limit  the largest magnitude the values should have
+ * @return the value to multiply every value by
+ */
+export const autoscaleFactor = (values, limit) => {
+    // Large datasets would overflow the stack if spread into Math.max
+    const peak = values.reduce((largest, value) => Math.max(largest, Math.abs(value)), 0);
+    return peak > 0 ? limit / peak : 1;
+};
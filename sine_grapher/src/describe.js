@@ -0,0 +1,36 @@
+/**
+ * Describes what the canvas shows in words, for screen readers.
+ * @param {object} state the grapher's state, as app.js keeps it
+ * @return {string} the mode, what is drawn in it, the plot style and the playback
+ */
+export const describeState = (state) => {
+    const { controls, fourier, signal, dataset } = state;
+    const round = (value) => Number(value.toFixed(2));
+    const style = `in the ${controls.PLOT_STYLE} style`;
+    const playback = controls.PLAYING
+        ? `Playing, shifting ${controls.REVERSE ? 'left' : 'right'} up to ${round(controls.SHIFT_RATE)} times a second.`
+        : 'Paused.';
+
+    let shown;
+    switch (controls.MODE) {
+    case 'fourier':
+        shown = `The Fourier series of the ${controls.TARGET_SHAPE} shape with ${fourier ? fourier.step : 0} `
+            + `of ${fourier ? fourier.coefficients.length - 1 : controls.HARMONICS} harmonics, ${style}.`;
+        break;
+    case 'signal':
+        shown = signal ? `The ${controls.SIGNAL_VIEW} of ${signal.name}, ${style}.` : 'No signal is open.';
+        break;
+    case 'data':
+        shown = dataset ? `The ${controls.DATA_COLUMN} column of ${dataset.rows.length} rows, ${style}.` : 'No data is open.';
+        break;
+    default: {
+        const visible = state.series.filter(({ wave }) => wave.visible).map(({ wave }) => `${wave.formula} `
+            + `with frequency ${wave.frequency}, amplitude ${round(wave.amplitude)} and phase ${round(wave.phase)}`);
+        const sum = controls.SHOW_SUM && visible.length > 1 ? ' Their sum is drawn on top.' : '';
+        shown = visible.length > 0
+            ? `${visible.length} ${visible.length === 1 ? 'wave' : 'waves'} ${style}: ${visible.join('; ')}.${sum}`
+            : 'No waves are visible.';
+    }
+    } // switch
+    return `${shown} ${playback}`;
+};
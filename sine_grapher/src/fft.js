@@ -0,0 +1,79 @@
+/**
+ * Transforms complex samples into their frequency components in place,
+ * using the radix-2 Cooley-Tukey fast Fourier transform.
+ *
+ * @param {Float32Array|number[]} real the real parts; replaced by the real parts of the components
+ * @param {Float32Array|number[]} imag the imaginary parts; replaced by the imaginary parts of the components
+ * @throws {Error} if the parts differ in length or the length is not a power of two
+ */
+export const fft = (real, imag) => {
+    const { length } = real;
+    if (imag.length !== length) {
+        throw new Error('The real and imaginary parts must be the same length.');
+    } else if (length < 1 || (length & (length - 1)) !== 0) {
+        throw new Error('The number of samples must be a power of two.');
+    } // if
+
+    // Reorder the samples by their bit-reversed indices
+    for (let i = 1, j = 0; i < length; i++) {
+        let bit = length >> 1;
+        for (; j & bit; bit >>= 1) {
+            j ^= bit;
+        } // for
+        j ^= bit;
+        if (i < j) {
+            [real[i], real[j]] = [real[j], real[i]];
+            [imag[i], imag[j]] = [imag[j], imag[i]];
+        } // if
+    } // for
+
+    // Combine pairs of transforms into ones twice as long
+    for (let size = 2; size <= length; size *= 2) {
+        const angle = -Math.PI * 2 / size;
+        for (let start = 0; start < length; start += size) {
+            for (let k = 0; k < size / 2; k++) {
+                const cos = Math.cos(angle * k);
+                const sin = Math.sin(angle * k);
+                const even = start + k;
+                const odd = even + size / 2;
+                const oddReal = real[odd] * cos - imag[odd] * sin;
+                const oddImag = real[odd] * sin + imag[odd] * cos;
+                real[odd] = real[even] - oddReal;
+                imag[odd] = imag[even] - oddImag;
+                real[even] += oddReal;
+                imag[even] += oddImag;
+            } // for
+        } // for
+    } // for
+};
+
+/**
+ * Calculates how strong every frequency is in a window of real samples.
+ *
+ * The samples are tapered with a Hann window first so that frequencies
+ * between two bins do not spread across the whole spectrum. Magnitudes are
+ * scaled so a sine wave with an amplitude of 1 on a bin has a magnitude of 1.
+ *
+ * @param {Float32Array|number[]} samples the samples, a power of two of them
+ * @throws {Error} if the number of samples is not a power of two
+ * @return {Float32Array} the magnitude of every frequency from 0 up to half the sample rate,
+ *         with bin k at k * sampleRate / samples.length hertz
+ */
+export const magnitudeSpectrum = (samples) => {
+    const { length } = samples;
+    const real = new Float32Array(length);
+    const imag = new Float32Array(length);
+    let windowSum = 0;
+    for (let i = 0; i < length; i++) {
+        const weight = 0.5 - 0.5 * Math.cos(Math.PI * 2 * i / length);
+        real[i] = samples[i] * weight;
+        windowSum += weight;
+    } // for
+    fft(real, imag);
+
+    const magnitudes = new Float32Array(length / 2);
+    for (let k = 0; k < magnitudes.length; k++) {
+        magnitudes[k] = windowSum > 0 ? Math.hypot(real[k], imag[k]) * 2 / windowSum : 0;
+    } // for
+    return magnitudes;
+};
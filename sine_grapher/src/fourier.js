@@ -0,0 +1,81 @@
+/**
+ * Calculates the Fourier coefficients of one period of evenly spaced samples.
+ *
+ * Harmonic 0 holds the average value of the samples as its cosine
+ * coefficient. Every other harmonic n holds the coefficients of
+ * cos(nx) and sin(nx) so that summing them rebuilds the samples.
+ * Harmonics above half the number of samples cannot be told apart
+ * from lower ones, so they are not calculated.
+ *
+ * @param {number[]} samples   the values of one period of a wave
+ * @param {number}   harmonics the number of harmonics after harmonic 0 to calculate
+ * @throws {Error} if there are no samples
+ * @return {{ harmonic: number, cosine: number, sine: number, amplitude: number }[]}
+ *         an array with the coefficients of each harmonic in order
+ */
+export const fourierCoefficients = (samples, harmonics) => {
+    if (samples.length === 0) {
+        throw new Error('At least one sample is needed.');
+    } // if
+
+    const count = samples.length;
+    const highestHarmonic = Math.min(harmonics, Math.floor(count / 2));
+    const coefficients = [];
+    for (let n = 0; n <= highestHarmonic; n++) {
+        let cosine = 0;
+        let sine = 0;
+        samples.forEach((sample, k) => {
+            const angle = Math.PI * 2 * n * k / count;
+            cosine += sample * Math.cos(angle);
+            sine += sample * Math.sin(angle);
+        });
+        // Harmonic 0, and the harmonic at exactly half the samples,
+        // only line up with themselves so they are not doubled.
+        const scale = (n === 0 || n * 2 === count) ? 1 / count : 2 / count;
+        cosine *= scale;
+        sine *= scale;
+        coefficients.push({ harmonic: n, cosine, sine, amplitude: Math.hypot(cosine, sine) });
+    } // for
+    return coefficients;
+};
+
+/**
+ * Calculates the value of a Fourier series at an angle
+ * using only its first few harmonics.
+ *
+ * @param {object[]} coefficients the coefficients from fourierCoefficients
+ * @param {number}   angle        the angle in radians to calculate the value at
+ * @param {number}   [count]      the number of harmonics after harmonic 0 to include;
+ *                                defaults to all of them
+ * @return the value of the partial sum at angle
+ */
+export const partialSum = (coefficients, angle, count=coefficients.length - 1) => {
+    let sum = 0;
+    for (let n = 0; n <= count && n < coefficients.length; n++) {
+        const { cosine, sine } = coefficients[n];
+        sum += cosine * Math.cos(n * angle) + sine * Math.sin(n * angle);
+    } // for
+    return sum;
+};
+
+/**
+ * Parses a list of numbers separated by commas or whitespace.
+ *
+ * @param {string} text the list to parse, such as `1, 1, -1, -1`
+ * @throws {Error} if an entry is not a number or the list is empty
+ * @return an array of the numbers in the list
+ */
+export const parseSamples = (text) => {
+    const entries = text.split(/[\s,]+/).filter((entry) => entry !== '');
+    if (entries.length === 0) {
+        throw new Error('At least one sample is needed.');
+    } // if
+
+    return entries.map((entry, i) => {
+        const value = Number(entry);
+        if (!Number.isFinite(value)) {
+            throw new Error(`Sample ${i + 1} ('${entry}') is not a number.`);
+        } // if
+        return value;
+    });
+};
@@ -0,0 +1,107 @@
+import { addClockFolder, addRecordingFolder, addThemeFolder } from '../../shared/src/gui.js';
+import { EASINGS } from '../../shared/src/easings.js';
+import {
+    SAMPLE_BOUNDS, SHIFT_RATE_BOUNDS, BLEND_MODES, MODES, PLOT_STYLES, TARGET_SHAPES,
+    HARMONIC_BOUNDS, SIGNAL_VIEWS
+} from './initial.js';
+
+/**
+ * Adds every control to the GUI. The waves' own folders are added to
+ * the Waves folder as the waves are.
+ *
+ * @param {dat.GUI}     gui                         the GUI, constructed with the result of loadPresets(PRESETS_KEY)
+ * @param {object}      controls                    the values the user can affect
+ * @param {object}      actions
+ * @param {Clock}       actions.clock               the clock the animation is driven by
+ * @param {Recorder}    actions.recorder            the recorder for the canvas
+ * @param {ThemePicker} actions.themePicker         the picker that the page is colored by
+ * @param {function}    actions.init                rebuilds the bars
+ * @param {function}    actions.readSignal          reads the signal again in the selected view
+ * @param {function}    actions.showColumn          shows the selected column of the data
+ * @param {function}    actions.updateMuted         starts or stops the sound
+ * @param {function}    actions.updateReducedMotion pauses the wave when reduced motion is turned on
+ * @param {function}    actions.recordCycle         records one full cycle in a format
+ * @param {function}    actions.svgSnapshot         downloads the current frame as an SVG image
+ * @param {function}    actions.captureTheme        returns the colors changed from a palette, to save as a custom theme
+ * @param {function}    actions.showError           shows an error on the page
+ * @return {{ modeController: object, columnController: object, waveControls: dat.GUI }}
+ *         the controllers and folder that are changed after the GUI is built
+ */
+export const buildGui = (gui, controls, actions) => {
+    const { init, readSignal, showColumn, updateMuted, updateReducedMotion } = actions;
+    const modeController = gui.add(controls, 'MODE', MODES).onChange(init);
+    gui.add(controls, 'PLOT_STYLE', PLOT_STYLES);
+    gui.add(controls, 'SAMPLES', SAMPLE_BOUNDS.min, SAMPLE_BOUNDS.max, 1).onFinishChange(init);
+    gui.add(controls, 'BAR_HEIGHT_SCALAR');
+    gui.add(controls, 'GROW_FRAMES', 1, 100, 1);
+
+    // Before every other color so the colors in a shared link replace the theme's
+    addThemeFolder(gui, actions.themePicker, {
+        capture: actions.captureTheme,
+        onError: (error) => actions.showError(error.message)
+    });
+
+    const easingControls = gui.addFolder('Easing');
+    easingControls.add(controls, 'EASING', Object.keys(EASINGS));
+    easingControls.add(controls, 'SPRING_STIFFNESS', 1, 500);
+    easingControls.add(controls, 'SPRING_DAMPING', 0, 50);
+
+    const widthControls = gui.addFolder('Width Controls');
+    widthControls.add(controls, 'BAR_WIDTH', 1).onChange(init);
+    widthControls.add(controls, 'BAR_GAP_SCALAR', 1).onChange(init);
+
+    const colorControls = gui.addFolder('Color Controls');
+    colorControls.addColor(controls, 'LINE_COLOR');
+
+    const waveControls = gui.addFolder('Waves');
+    waveControls.add(controls, 'ADD_WAVE');
+
+    const playbackControls = gui.addFolder('Playback');
+    playbackControls.add(controls, 'PLAYING').listen();
+    playbackControls.add(controls, 'REVERSE').listen();
+    playbackControls.add(controls, 'REDUCED_MOTION').listen().onChange(updateReducedMotion);
+    playbackControls.add(controls, 'SHIFT_RATE', SHIFT_RATE_BOUNDS.min, SHIFT_RATE_BOUNDS.max);
+    playbackControls.add(controls, 'STEP_BACKWARD');
+    playbackControls.add(controls, 'STEP_FORWARD');
+
+    const soundControls = gui.addFolder('Sound');
+    soundControls.add(controls, 'MUTED').listen().onChange(updateMuted);
+    soundControls.add(controls, 'VOLUME', 0, 1);
+
+    const axesControls = gui.addFolder('Axes');
+    axesControls.add(controls, 'SHOW_X_TICKS');
+    axesControls.add(controls, 'SHOW_Y_GRID');
+    axesControls.add(controls, 'SHOW_UNIT_CIRCLE');
+    axesControls.addColor(controls, 'AXIS_COLOR');
+    axesControls.addColor(controls, 'LABEL_COLOR');
+
+    const sumControls = gui.addFolder('Sum');
+    sumControls.add(controls, 'SHOW_SUM');
+    sumControls.addColor(controls, 'SUM_COLOR');
+    sumControls.add(controls, 'SUM_BLEND', BLEND_MODES);
+
+    const fourierControls = gui.addFolder('Fourier');
+    fourierControls.add(controls, 'TARGET_SHAPE', Object.keys(TARGET_SHAPES)).onChange(init);
+    fourierControls.add(controls, 'CUSTOM_SAMPLES').onFinishChange(init);
+    fourierControls.add(controls, 'HARMONICS', HARMONIC_BOUNDS.min, HARMONIC_BOUNDS.max, 1).onFinishChange(init);
+    fourierControls.add(controls, 'SHOW_TARGET');
+    fourierControls.addColor(controls, 'TARGET_COLOR');
+    fourierControls.addColor(controls, 'FOURIER_COLOR');
+
+    const signalControls = gui.addFolder('Signal');
+    signalControls.add(controls, 'SIGNAL_VIEW', SIGNAL_VIEWS).onChange(readSignal);
+    signalControls.add(controls, 'OPEN_AUDIO_FILE');
+    signalControls.add(controls, 'USE_MICROPHONE');
+    signalControls.addColor(controls, 'SIGNAL_COLOR');
+
+    const dataControls = gui.addFolder('Data');
+    dataControls.add(controls, 'OPEN_DATA_FILE');
+    const columnController = dataControls.add(controls, 'DATA_COLUMN', []).onChange(showColumn);
+    dataControls.add(controls, 'AUTOSCALE').onChange(showColumn);
+    dataControls.add(controls, 'CYCLE_COLUMNS');
+    dataControls.addColor(controls, 'DATA_COLOR');
+
+    addClockFolder(gui, actions.clock);
+    addRecordingFolder(gui, actions.recorder, { recordCycle: actions.recordCycle, svgSnapshot: actions.svgSnapshot });
+    return { modeController, columnController, waveControls };
+};
@@ -1,3 +1,5 @@
+import { THEMES } from '../../shared/src/themes.js';
+
 /**
  * An immutable array containing all
  * radian values listed on the unit circle.
@@ -22,16 +24,27 @@ export const RADIANS = Object.freeze([
 ]); // length = 16
 
 /**
- * An immutable array containing all
- * sine values from radians listed on
- * the unit circle.
+ * The formula, written in terms of x, used to calculate
+ * the height of each Bar object from its radian value.
+ */
+export const FORMULA = 'sin(x)';
+
+/**
+ * The largest magnitude a calculated bar value is allowed to have.
+ * Keeps formulas with asymptotes, such as tan(x), on the canvas.
  */
-export const SIN_VALUES = RADIANS.map((radian) => Math.sin(radian));
+export const VALUE_LIMIT = 10;
 
 /**
- * The amount of bars to draw onto the canvas.
+ * The number of bars used to draw one period of the wave.
+ * 24 samples land on every radian value listed in RADIANS.
  */
-export const BAR_AMOUNT = RADIANS.length;
+export const SAMPLES = 24;
+
+/**
+ * The minimum and maximum number of samples selectable from the GUI.
+ */
+export const SAMPLE_BOUNDS = Object.freeze({ min: 4, max: 128 });
 
 /**
  * The width of each Bar object in pixels.
@@ -51,22 +64,316 @@ export const BAR_GAP_SCALAR = 1.4;
 export const BAR_HEIGHT_SCALAR = 100;
 
 /**
- * The number of frames to reach Bar.nextHeight by.
+ * The number of frames, at 60 frames per second,
+ * to reach Bar.nextHeight by.
+ */
+export const GROW_FRAMES = 12;
+
+/**
+ * Whether or not the wave shifts on its own.
+ */
+export const PLAYING = true;
+
+/**
+ * Whether or not the wave shifts left instead of right.
+ */
+export const REVERSE = false;
+
+/**
+ * Whether or not bars jump straight to their next height and the wave
+ * is paused when it starts, for people who are bothered by motion.
+ * The page turns it on when the system asks for reduced motion.
+ */
+export const REDUCED_MOTION = false;
+
+/**
+ * The most times per second that the wave shifts by one sample.
+ * The wave never shifts before its bars have finished growing,
+ * so a long GROW_FRAMES can make it shift less often than this.
  */
-export const GROW_FRAMES = 5;
+export const SHIFT_RATE = 5;
 
 /**
- * The threshold used to indicate when a Bar
- * object's height has reached its nextHeight.
+ * The minimum and maximum SHIFT_RATE selectable from the GUI.
  */
-export const HEIGHT_THRESHOLD = 0.1;
+export const SHIFT_RATE_BOUNDS = Object.freeze({ min: 0.25, max: 20 });
 
 /**
- * The fill color to use for the bars.
+ * Whether or not the sound of the wave starts muted. Browsers only
+ * let a page play sound once it has been clicked, so it starts muted.
  */
-export const FILL_COLOR = '#cccccc';
+export const MUTED = true;
+
+/**
+ * How loud the sound of the wave is, from 0 to 1.
+ */
+export const VOLUME = 0.5;
+
+/**
+ * The pitch in hertz of the sound of the wave at the starting SHIFT_RATE.
+ * The pitch goes up and down with the shift rate from there.
+ */
+export const BASE_PITCH = 220;
+
+/**
+ * The lowest and highest pitch in hertz that the sound of the wave can have,
+ * so that very slow or fast shift rates can still be heard.
+ */
+export const PITCH_BOUNDS = Object.freeze({ min: 40, max: 2000 });
+
+/**
+ * The name of the easing function, from EASINGS,
+ * that Bar objects grow along.
+ */
+export const EASING = 'exponential';
+
+/**
+ * How strongly the spring easing pulls a Bar toward its nextHeight.
+ */
+export const SPRING_STIFFNESS = 100;
+
+/**
+ * How quickly the spring easing stops a Bar from oscillating.
+ */
+export const SPRING_DAMPING = 10;
+
+/**
+ * The theme that the colors below are taken from until the page picks its own.
+ */
+export const THEME = THEMES.dark;
+
+/**
+ * An immutable array of fill colors handed out,
+ * in order, to waves added from the GUI.
+ */
+export const WAVE_COLORS = THEME.series;
+
+/**
+ * An immutable array of the configurations for the waves drawn when
+ * the page loads. The second wave starts hidden so it can be turned
+ * on to show interference without having to set it up first.
+ */
+export const WAVES = Object.freeze([
+    Object.freeze({ formula: FORMULA, color: WAVE_COLORS[0] }),
+    Object.freeze({ formula: FORMULA, frequency: 2, amplitude: 0.5, color: WAVE_COLORS[1], visible: false })
+]);
+
+/**
+ * The most waves a shared link can add, so a broken
+ * link cannot make the page draw thousands of them.
+ */
+export const MAX_WAVES = 16;
+
+/**
+ * The minimum and maximum frequency of a wave. Frequencies are whole
+ * numbers so that every wave repeats within one period and shifting
+ * the bars keeps all of them in phase.
+ */
+export const FREQUENCY_BOUNDS = Object.freeze({ min: 1, max: 16 });
+
+/**
+ * An immutable array of the composite operations
+ * that a wave can be drawn with.
+ */
+export const BLEND_MODES = Object.freeze([
+    'source-over', 'lighter', 'multiply', 'screen',
+    'overlay', 'difference', 'exclusion', 'xor'
+]);
+
+/**
+ * Whether or not to draw the sum of all visible waves on top of them.
+ */
+export const SHOW_SUM = false;
+
+/**
+ * The fill color to use for the bars of the sum of all visible waves.
+ */
+export const SUM_COLOR = THEME.foreground;
 
 /**
  * The stroke color to use for the center line.
  */
-export const LINE_COLOR = '#aa00aa';
\ No newline at end of file
+export const LINE_COLOR = THEME.accent;
+
+/**
+ * An immutable array of what the grapher can show: the waves
+ * set up in the GUI, the Fourier series of a target shape,
+ * a real signal from an audio file or the microphone,
+ * or a column of numbers from a CSV or JSON file.
+ */
+export const MODES = Object.freeze(['waves', 'fourier', 'signal', 'data']);
+
+/**
+ * What the grapher shows when the page loads.
+ */
+export const MODE = MODES[0];
+
+/**
+ * An immutable array of the ways the bars can be drawn: as bars,
+ * as stems with a dot on top, as a smooth line through the bar tops,
+ * as the area under that line, as dots at the bar tops or as a line
+ * around the center of the canvas. Every style uses the same bar heights.
+ */
+export const PLOT_STYLES = Object.freeze(['bars', 'stems', 'line', 'area', 'dots', 'polar']);
+
+/**
+ * The way the bars are drawn when the page loads.
+ */
+export const PLOT_STYLE = PLOT_STYLES[0];
+
+/**
+ * The radius of the base circle of the polar style,
+ * as a fraction of the smaller side of the canvas.
+ */
+export const POLAR_RADIUS_SCALAR = 0.25;
+
+/**
+ * An immutable object mapping the shapes that a Fourier series can
+ * be built for to their formulas. Custom shapes use CUSTOM_SAMPLES.
+ */
+export const TARGET_SHAPES = Object.freeze({
+    square: 'square(x)',
+    triangle: 'triangle(x)',
+    sawtooth: 'sawtooth(x)',
+    custom: null
+});
+
+/**
+ * The shape to build a Fourier series for.
+ */
+export const TARGET_SHAPE = 'square';
+
+/**
+ * The values of one period of the custom target shape,
+ * separated by commas. They are spread evenly across the period.
+ */
+export const CUSTOM_SAMPLES = '0, 1, 0.5, 1, 0, -1, -0.5, -1';
+
+/**
+ * The number of harmonics to build the Fourier series up to.
+ */
+export const HARMONICS = 9;
+
+/**
+ * The minimum and maximum number of harmonics selectable from the GUI.
+ */
+export const HARMONIC_BOUNDS = Object.freeze({ min: 1, max: 64 });
+
+/**
+ * The number of samples of the target shape used to calculate
+ * Fourier coefficients. It is independent of SAMPLES so that
+ * the coefficients stay accurate with only a few bars.
+ */
+export const FOURIER_RESOLUTION = 512;
+
+/**
+ * Whether or not to draw the target shape behind its Fourier series.
+ */
+export const SHOW_TARGET = true;
+
+/**
+ * The fill color to use for the bars of the target shape.
+ */
+export const TARGET_COLOR = THEME.subtle;
+
+/**
+ * The fill color to use for the bars of the Fourier series.
+ */
+export const FOURIER_COLOR = THEME.series[2];
+
+/**
+ * An immutable array of the ways a signal can be shown: as its
+ * waveform, like an oscilloscope, or as its spectrum of frequencies.
+ */
+export const SIGNAL_VIEWS = Object.freeze(['waveform', 'spectrum']);
+
+/**
+ * The way a signal is shown when the page loads.
+ */
+export const SIGNAL_VIEW = SIGNAL_VIEWS[0];
+
+/**
+ * The number of samples of a signal read at once. Must be a power
+ * of two so the spectrum can be calculated from them.
+ */
+export const SIGNAL_WINDOW = 2048;
+
+/**
+ * The fill color to use for the bars of a signal.
+ */
+export const SIGNAL_COLOR = THEME.series[4];
+
+/**
+ * Whether or not to scale a column of data so its tallest bar fills
+ * DATA_FILL of the space above or below the base line.
+ */
+export const AUTOSCALE = true;
+
+/**
+ * The fraction of the space above or below the base line
+ * that the tallest bar of autoscaled data fills.
+ */
+export const DATA_FILL = 0.8;
+
+/**
+ * Whether or not to move through the columns of the data while the wave plays.
+ */
+export const CYCLE_COLUMNS = false;
+
+/**
+ * The fill color to use for the bars of the data.
+ */
+export const DATA_COLOR = THEME.series[3];
+
+/**
+ * The most invalid rows of a data file listed on the page.
+ * The rest are only counted.
+ */
+export const MAX_DATA_ERRORS = 10;
+
+/**
+ * Whether or not to draw a tick under every bar, labelled in
+ * π notation when the bar's angle is one of RADIANS.
+ */
+export const SHOW_X_TICKS = false;
+
+/**
+ * Whether or not to draw gridlines for the bar values.
+ */
+export const SHOW_Y_GRID = false;
+
+/**
+ * Whether or not to draw the unit circle that the leftmost bar's angle comes from.
+ */
+export const SHOW_UNIT_CIRCLE = false;
+
+/**
+ * The color of the ticks, gridlines and unit circle.
+ */
+export const AXIS_COLOR = THEME.axis;
+
+/**
+ * The color of the labels on the axes and unit circle.
+ */
+export const LABEL_COLOR = THEME.muted;
+
+/**
+ * The font of the labels on the axes and unit circle.
+ */
+export const LABEL_FONT = '12px monospace';
+
+/**
+ * The smallest space in pixels between the centers of two tick labels.
+ * Labels that would be closer are skipped so that they do not overlap.
+ */
+export const TICK_LABEL_SPACING = 44;
+
+/**
+ * The smallest space in pixels between two gridlines.
+ */
+export const GRID_SPACING = 30;
+
+/**
+ * The radius in pixels of the unit circle drawn in the corner of the canvas.
+ */
+export const UNIT_CIRCLE_RADIUS = 60;
@@ -0,0 +1,148 @@
+import { barAngle } from './bars.js';
+import { barLeft, barIndexAt, spokeAngle, spokeIndexAt } from './layout.js';
+import { formatRadians } from './axes.js';
+import { inspectWaves } from './modes/waves.js';
+import { inspectFourier } from './modes/fourier.js';
+import { inspectSignal, describeSignalBar } from './modes/signal.js';
+import { inspectData } from './modes/data.js';
+
+/**
+ * Checks if a mode shows something that repeats every
+ * SAMPLES bars, so that bars have angles.
+ * @param {string} mode one of MODES
+ * @return true in the waves and Fourier modes, false otherwise
+ */
+export const isPeriodic = (mode) => mode === 'waves' || mode === 'fourier';
+
+/**
+ * Finds the bar under a point on the canvas in the selected plot style.
+ * @param {object} controls the values the user can affect, for PLOT_STYLE
+ * @param {object} layout   the layout made by makeLayout
+ * @param {number} x        the x-coordinate of the point
+ * @param {number} y        the y-coordinate of the point
+ * @return the index of the bar, or -1 if there is none
+ */
+export const barAt = (controls, layout, x, y) => (controls.PLOT_STYLE === 'polar' ? spokeIndexAt(layout, x, y) : barIndexAt(layout, x));
+
+/**
+ * Shades the column behind the hovered bar, and behind the pinned
+ * bar and every bar with the same phase as it. The pinned bar
+ * itself is shaded twice so it stands out from the rest.
+ *
+ * @param {Renderer} renderer what to draw with
+ * @param {object}   layout   the layout made by makeLayout
+ * @param {object}   state    the grapher's state, as app.js keeps it
+ * @param {string}   color    the color to shade with, which should be see-through
+ */
+export const drawHighlights = (renderer, layout, state, color) => {
+    const { controls, pinnedBar, hoveredBar } = state;
+    const shade = (i) => {
+        if (controls.PLOT_STYLE === 'polar') {
+            // Shade the bar's spoke out to the edge of its wedge
+            const angle = spokeAngle(layout, i);
+            const length = layout.polarRadius * 2;
+            const { centerX, centerY } = layout;
+            renderer.line(centerX, centerY, centerX + Math.cos(angle) * length, centerY + Math.sin(angle) * length, color, layout.barWidth);
+            return;
+        } // if
+        const padding = (layout.gap - layout.barWidth) / 2;
+        renderer.rect(barLeft(layout, i) - padding, 0, layout.gap, renderer.height, color);
+    };
+    // Signals and data do not repeat, so no other bar shares the pinned bar's phase
+    if (pinnedBar >= 0 && isPeriodic(controls.MODE)) {
+        for (let i = pinnedBar % controls.SAMPLES; i < state.barAmount; i += controls.SAMPLES) {
+            shade(i);
+        } // for
+    } // if
+    if (pinnedBar >= 0) {
+        shade(pinnedBar);
+    } // if
+    if (hoveredBar >= 0) {
+        shade(hoveredBar);
+    } // if
+};
+
+/**
+ * Returns the name, exact value and animated bar of every visible series at a bar.
+ * @param {object} state the grapher's state
+ * @param {number} i     the index of the bar
+ * @return {{ name: string, value: number, bar: Bar }[]} the visible series at the bar
+ */
+export const inspectBar = (state, i) => {
+    const { controls } = state;
+    const angle = barAngle(i, controls.SAMPLES, state.shiftCount);
+    switch (controls.MODE) {
+    case 'signal':
+        return inspectSignal(state, i);
+    case 'data':
+        return inspectData(state, i);
+    case 'fourier':
+        return state.fourier ? inspectFourier(state, i, angle) : [];
+    default:
+        return inspectWaves(state, i, angle);
+    } // switch
+};
+
+/**
+ * Describes where a bar is: its angle, the part of the signal
+ * it shows, or the label of its row of data.
+ *
+ * @param {object} state the grapher's state
+ * @param {number} i     the index of the bar
+ * @return the description
+ */
+export const describePosition = (state, i) => {
+    const { controls } = state;
+    if (controls.MODE === 'signal') {
+        return describeSignalBar(state, i);
+    } else if (controls.MODE === 'data') {
+        return state.dataset ? state.dataset.labels[i] : 'no data';
+    } // if
+    const angle = barAngle(i, controls.SAMPLES, state.shiftCount);
+    return `x = ${formatRadians(angle)} = ${angle.toFixed(4)}`;
+};
+
+/**
+ * Shows the index, angle, exact value and animated height of the
+ * hovered bar, or the pinned one if no bar is hovered, next to it.
+ * Hides the tooltip if neither is set.
+ *
+ * @param {HTMLElement} tooltip the element to show the bar in
+ * @param {object}      layout  the layout made by makeLayout
+ * @param {object}      state   the grapher's state
+ */
+export const updateTooltip = (tooltip, layout, state) => {
+    const { hoveredBar, pinnedBar } = state;
+    const i = hoveredBar >= 0 ? hoveredBar : pinnedBar;
+    tooltip.hidden = i < 0;
+    if (tooltip.hidden) {
+        return;
+    } // if
+
+    const lines = [
+        `bar ${i}${i === pinnedBar ? ' (pinned)' : ''}`,
+        describePosition(state, i),
+        ...inspectBar(state, i).map(({ name, value, bar }) => `${name}: f(x) = ${value.toFixed(4)}, height ${bar.height.toFixed(4)}`)
+    ];
+    const text = lines.join('\n');
+    if (tooltip.textContent !== text) {
+        tooltip.textContent = text;
+    } // if
+
+    if (state.controls.PLOT_STYLE === 'polar') {
+        // Keep the tooltip just past the end of the bar's spoke
+        const angle = spokeAngle(layout, i);
+        const distance = layout.polarRadius * 2;
+        const x = layout.centerX + Math.cos(angle) * distance;
+        const y = layout.centerY + Math.sin(angle) * distance;
+        tooltip.style.left = `${Math.cos(angle) < 0 ? x - tooltip.offsetWidth : x}px`;
+        tooltip.style.top = `${y}px`;
+        return;
+    } // if
+
+    // Keep the tooltip beside the bar, flipping to the left near the right edge
+    const left = barLeft(layout, i);
+    const flip = left + layout.gap + tooltip.offsetWidth > state.renderer.width;
+    tooltip.style.left = `${flip ? left - tooltip.offsetWidth - layout.gap : left + layout.gap}px`;
+    tooltip.style.top = `${layout.centerY + 16}px`;
+};
@@ -0,0 +1,69 @@
+/**
+ * Works out where the bars are drawn. Every series shares the same layout:
+ * the bars are centered horizontally and grow from the base line, or from
+ * the base circle around the center of the canvas in the polar style.
+ *
+ * @param {object} options
+ * @param {number} options.centerX     the x-coordinate of the center of the canvas
+ * @param {number} options.centerY     the y-coordinate of the base line
+ * @param {number} options.barAmount   the number of bars in every series
+ * @param {number} options.gap         the space between the left sides of bars
+ * @param {number} options.barWidth    the width of each bar
+ * @param {number} options.polarRadius the radius of the base circle
+ * @return {object} the layout, with the x-coordinates of the ends of the base line as start and end
+ */
+export const makeLayout = ({ centerX, centerY, barAmount, gap, barWidth, polarRadius }) => Object.freeze({
+    start: centerX - (barAmount / 2) * gap,
+    end: centerX + (barAmount / 2) * gap,
+    centerX, centerY, barAmount, gap, barWidth, polarRadius
+});
+
+/**
+ * Returns the x-coordinate of the left side of a bar.
+ * @param {object} layout the layout made by makeLayout
+ * @param {number} i      the index of the bar, from the left
+ * @return the x-coordinate of the bar
+ */
+export const barLeft = ({ start, gap }, i) => start + i * gap;
+
+/**
+ * Returns the angle of a bar's spoke in the polar style. Bar 0 points right
+ * and the rest follow clockwise, since the canvas's y-axis points down.
+ *
+ * @param {object} layout the layout made by makeLayout
+ * @param {number} i      the index of the bar
+ * @return the angle in radians
+ */
+export const spokeAngle = ({ barAmount }, i) => Math.PI * 2 * i / barAmount;
+
+/**
+ * Finds the bar under an x-coordinate. Each bar owns the column one gap
+ * wide around its center, so the spaces between bars still pick one.
+ *
+ * @param {object} layout the layout made by makeLayout
+ * @param {number} x      the x-coordinate to look under
+ * @return the index of the bar, or -1 if x is outside every bar's column
+ */
+export const barIndexAt = (layout, x) => {
+    const { start, gap, barWidth, barAmount } = layout;
+    const i = Math.round((x - start - barWidth / 2) / gap);
+    return i >= 0 && i < barAmount ? i : -1;
+};
+
+/**
+ * Finds the bar whose spoke in the polar style is closest to a point.
+ * Each bar owns the wedge around its spoke, out to twice the base radius.
+ *
+ * @param {object} layout the layout made by makeLayout
+ * @param {number} x      the x-coordinate of the point
+ * @param {number} y      the y-coordinate of the point
+ * @return the index of the bar, or -1 if the point is outside every bar's wedge
+ */
+export const spokeIndexAt = (layout, x, y) => {
+    const { centerX, centerY, barAmount, polarRadius } = layout;
+    if (Math.hypot(x - centerX, y - centerY) > polarRadius * 2) {
+        return -1;
+    } // if
+    const i = Math.round(Math.atan2(y - centerY, x - centerX) / (Math.PI * 2) * barAmount);
+    return (i % barAmount + barAmount) % barAmount;
+};
@@ -0,0 +1,104 @@
+import { makeSinBars, setNextHeights, growBars } from '../bars.js';
+import { autoscaleFactor } from '../dataset.js';
+import { drawSeries } from '../plots.js';
+import { DATA_FILL, MAX_DATA_ERRORS } from '../initial.js';
+
+/**
+ * Checks if a dropped file holds data rather than audio.
+ * @param {File} file the file to check
+ * @return true if the file is CSV, JSON or text, false otherwise
+ */
+export const isDataFile = (file) => /\.(csv|tsv|txt|json)$/i.test(file.name) || /^(text\/|application\/json)/.test(file.type);
+
+/**
+ * Lists the problems found in a data file, as many as MAX_DATA_ERRORS of them.
+ * @param {string}   name   the name of the file
+ * @param {string[]} errors the problems found
+ * @return {string} the message to show on the page, or an empty string if there are no problems
+ */
+export const dataErrorMessage = (name, errors) => {
+    if (errors.length === 0) {
+        return '';
+    } // if
+
+    const listed = errors.slice(0, MAX_DATA_ERRORS).map((error) => `- ${error}`);
+    if (errors.length > listed.length) {
+        listed.push(`...and ${errors.length - listed.length} more.`);
+    } // if
+    const problems = errors.length === 1 ? '1 problem' : `${errors.length} problems`;
+    return [`${name}: ${problems}, so some of it is not shown.`, ...listed].join('\n');
+};
+
+/**
+ * Sets the data bars to move to the values of the selected column,
+ * scaled to fill the canvas if AUTOSCALE is on.
+ * @param {object} state the grapher's state, as app.js keeps it
+ */
+export const showColumn = (state) => {
+    const { dataset, dataBars, controls } = state;
+    if (!dataset || !dataBars) {
+        return;
+    } // if
+
+    const column = Math.max(0, dataset.columns.indexOf(controls.DATA_COLUMN));
+    const values = dataset.rows.map((row) => row[column]);
+    const limit = state.renderer.height / 2 * DATA_FILL / Math.abs(controls.BAR_HEIGHT_SCALAR);
+    state.dataScale = controls.AUTOSCALE && Number.isFinite(limit) ? autoscaleFactor(values, limit) : 1;
+    setNextHeights(dataBars, values.map((value) => value * state.dataScale));
+};
+
+/**
+ * Returns the column after the selected one, or the one before it, wrapping around at the ends.
+ * @param {object}  state           the grapher's state
+ * @param {boolean} [reverse=false] whether to return the previous column instead
+ * @return {string} the name of the column
+ */
+export const stepColumn = (state, reverse=false) => {
+    const { columns } = state.dataset;
+    const i = columns.indexOf(state.controls.DATA_COLUMN) + (reverse ? -1 : 1);
+    return columns[(i % columns.length + columns.length) % columns.length];
+};
+
+/**
+ * Makes flat bars for the data and sets them moving to the selected column.
+ * @param {object} state the grapher's state
+ */
+export const initData = (state) => {
+    if (state.controls.MODE !== 'data') {
+        state.dataBars = null;
+        return;
+    } // if
+
+    state.dataBars = Object.freeze(makeSinBars(state.barAmount, [0]));
+    showColumn(state);
+};
+
+/**
+ * Animates the data.
+ * @param {object} state   the grapher's state
+ * @param {number} elapsed the time in milliseconds since the last frame
+ * @return true if every bar has reached its next height, false otherwise
+ */
+export const growData = (state, elapsed) => growBars(state.dataBars, elapsed, state.controls);
+
+/**
+ * Draws the selected column of the data.
+ * @param {Renderer} renderer what to draw with
+ * @param {object}   layout   the layout made by makeLayout
+ * @param {object}   state    the grapher's state
+ */
+export const drawData = (renderer, layout, state) => {
+    drawSeries(renderer, layout, state.dataBars, state.controls, state.controls.DATA_COLOR);
+};
+
+/**
+ * Returns the name, exact value and animated bar of the selected column at a bar.
+ * @param {object} state the grapher's state
+ * @param {number} i     the index of the bar
+ * @return {{ name: string, value: number, bar: Bar }[]} the column at the bar,
+ *         or nothing if there is no data
+ */
+export const inspectData = ({ dataset, dataBars, controls }, i) => {
+    const column = dataset ? dataset.columns.indexOf(controls.DATA_COLUMN) : -1;
+    return dataBars && column >= 0 ? [{ name: controls.DATA_COLUMN, value: dataset.rows[i][column], bar: dataBars[i] }] : [];
+};
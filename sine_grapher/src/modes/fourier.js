@@ -0,0 +1,139 @@
+import { Expression } from '../../models/Expression.js';
+import { FourierBuilder } from '../../models/FourierBuilder.js';
+import { makeSamples } from '../../../shared/src/sampling.js';
+import { makeSinBars, setNextHeights, growBars } from '../bars.js';
+import { parseSamples } from '../fourier.js';
+import { drawSeries } from '../plots.js';
+import { TARGET_SHAPES } from '../initial.js';
+
+/**
+ * Returns a function giving the value of the selected
+ * target shape at an angle in [0, 2π).
+ *
+ * @param {object} controls the values the user can affect, for TARGET_SHAPE and CUSTOM_SAMPLES
+ * @throws {Error} if the custom samples or shape formula are not valid
+ * @return the function for the selected target shape
+ */
+export const getTargetShape = (controls) => {
+    const formula = TARGET_SHAPES[controls.TARGET_SHAPE];
+    if (formula) {
+        const expression = new Expression(formula);
+        return (angle) => expression.evaluate(angle);
+    } // if
+
+    // Custom samples are held until the next one starts
+    const samples = parseSamples(controls.CUSTOM_SAMPLES);
+    return (angle) => samples[Math.floor(angle / (Math.PI * 2) * samples.length) % samples.length];
+};
+
+/**
+ * Makes the bars for the target shape and starts building its Fourier
+ * series from harmonic 0. The series bars hold still until every
+ * harmonic has been added. If the target shape is not valid, there
+ * is no series and no bars.
+ *
+ * @param {object}   state  the grapher's state, as app.js keeps it
+ * @param {number[]} angles the angles for one period of the wave
+ * @throws {Error} if the custom samples or shape formula are not valid
+ */
+export const initFourier = (state, angles) => {
+    Object.assign(state, { fourier: null, fourierBars: { target: null, series: null } });
+    const fourier = new FourierBuilder(getTargetShape(state.controls), state.controls.HARMONICS);
+
+    const targetValues = angles.map(fourier.target);
+    const seriesValues = fourier.calculateValues(angles);
+    const fourierBars = {
+        target: Object.freeze(makeSinBars(state.barAmount, targetValues)),
+        series: Object.freeze(makeSinBars(state.barAmount, seriesValues))
+    };
+    setNextHeights(fourierBars.target, targetValues);
+    setNextHeights(fourierBars.series, seriesValues);
+    Object.assign(state, { fourier, fourierBars });
+};
+
+/**
+ * Lists the coefficient of every harmonic in a table,
+ * marking the ones that have been added to the series.
+ * The table is hidden outside of the Fourier mode.
+ *
+ * @param {HTMLElement} panel the element holding the table
+ * @param {object}      state the grapher's state
+ */
+export const updateFourierPanel = (panel, state) => {
+    const { fourier } = state;
+    panel.hidden = state.controls.MODE !== 'fourier' || !fourier;
+    if (panel.hidden) {
+        return;
+    } // if
+
+    const rows = fourier.coefficients.map(({ harmonic, cosine, sine, amplitude }) => {
+        const row = document.createElement('tr');
+        if (harmonic <= fourier.step) {
+            row.className = 'included';
+        } // if
+        [harmonic, cosine.toFixed(4), sine.toFixed(4), amplitude.toFixed(4)].forEach((value) => {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            row.appendChild(cell);
+        });
+        return row;
+    });
+    panel.querySelector('tbody').replaceChildren(...rows);
+};
+
+/**
+ * Animates the target shape and its Fourier series. Each time the bars
+ * settle, the next harmonic is added until every one has been.
+ *
+ * @param {object} state   the grapher's state
+ * @param {number} elapsed the time in milliseconds since the last frame
+ * @return {{ settled: boolean, added: boolean }} whether every bar has reached its
+ *         next height once every harmonic has been added, so the bars can shift
+ *         like the waves do, and whether a harmonic was added
+ */
+export const growFourier = (state, elapsed) => {
+    const { fourier, fourierBars, controls } = state;
+    const settled = [fourierBars.target, fourierBars.series]
+        .map((bars) => growBars(bars, elapsed, controls))
+        .every(Boolean);
+    if (fourier.isComplete() || !settled) {
+        return { settled: settled && fourier.isComplete(), added: false };
+    } // if
+
+    fourier.addHarmonic();
+    const { angles } = makeSamples({ samples: controls.SAMPLES });
+    setNextHeights(fourierBars.series, fourier.calculateValues(angles), state.shiftCount);
+    return { settled: false, added: true };
+};
+
+/**
+ * Draws the Fourier series, over the target shape if it is shown.
+ * @param {Renderer} renderer what to draw with
+ * @param {object}   layout   the layout made by makeLayout
+ * @param {object}   state    the grapher's state
+ */
+export const drawFourier = (renderer, layout, state) => {
+    const { controls, fourierBars } = state;
+    if (controls.SHOW_TARGET) {
+        drawSeries(renderer, layout, fourierBars.target, controls, controls.TARGET_COLOR);
+    } // if
+    drawSeries(renderer, layout, fourierBars.series, controls, controls.FOURIER_COLOR);
+};
+
+/**
+ * Returns the name, exact value and animated bar of the target
+ * shape, if it is shown, and the Fourier series at a bar.
+ *
+ * @param {object} state the grapher's state
+ * @param {number} i     the index of the bar
+ * @param {number} angle the angle of the sample the bar is moving to
+ * @return {{ name: string, value: number, bar: Bar }[]} the visible series at the bar
+ */
+export const inspectFourier = (state, i, angle) => {
+    const { fourier, fourierBars } = state;
+    const inspected = [{ name: 'Fourier', value: fourier.calculateValues([angle])[0], bar: fourierBars.series[i] }];
+    if (state.controls.SHOW_TARGET) {
+        inspected.unshift({ name: 'Target', value: fourier.target(angle), bar: fourierBars.target[i] });
+    } // if
+    return inspected;
+};
@@ -0,0 +1,113 @@
+import { MicrophoneSignal } from '../../models/MicrophoneSignal.js';
+import { makeSinBars, setNextHeights, growBars } from '../bars.js';
+import { waveformValues, spectrumValues, bandEdges } from '../signal.js';
+import { drawSeries } from '../plots.js';
+import { SIGNAL_WINDOW } from '../initial.js';
+
+/**
+ * Reads the latest window of the signal and sets the signal bars
+ * to move to its waveform or spectrum, whichever SIGNAL_VIEW is.
+ * @param {object} state the grapher's state, as app.js keeps it
+ */
+export const readSignal = (state) => {
+    const { signal, signalBars, barAmount } = state;
+    if (!signal || !signalBars) {
+        return;
+    } // if
+
+    const samples = signal.read(SIGNAL_WINDOW);
+    const values = state.controls.SIGNAL_VIEW === 'spectrum'
+        ? spectrumValues(samples, barAmount)
+        : waveformValues(samples, barAmount);
+    setNextHeights(signalBars, values);
+};
+
+/**
+ * Makes flat bars for the signal and sets them moving to its latest window.
+ * The microphone is let go of outside of the signal mode.
+ * @param {object} state the grapher's state
+ */
+export const initSignal = (state) => {
+    if (state.controls.MODE !== 'signal') {
+        if (state.signal instanceof MicrophoneSignal) {
+            state.signal.close();
+            state.signal = null;
+        } // if
+        state.signalBars = null;
+        return;
+    } // if
+
+    state.signalBars = Object.freeze(makeSinBars(state.barAmount, [0]));
+    readSignal(state);
+};
+
+/**
+ * Shows a signal in place of the previous one, letting go of it.
+ * The bars are not remade until init is called.
+ *
+ * @param {object}       state  the grapher's state
+ * @param {SignalSource} source where the signal comes from
+ */
+export const setSignal = (state, source) => {
+    if (state.signal) {
+        state.signal.close();
+    } // if
+    state.signal = source;
+};
+
+/**
+ * Animates the signal, playing an audio file on while the wave is playing.
+ *
+ * @param {object} state   the grapher's state
+ * @param {number} elapsed the time in milliseconds since the last frame
+ * @return true if every bar has reached its next height, false otherwise
+ */
+export const growSignal = (state, elapsed) => {
+    const allReachedNextHeight = growBars(state.signalBars, elapsed, state.controls);
+    if (state.signal && state.controls.PLAYING) {
+        state.signal.advance(elapsed);
+    } // if
+    return allReachedNextHeight;
+};
+
+/**
+ * Draws the signal.
+ * @param {Renderer} renderer what to draw with
+ * @param {object}   layout   the layout made by makeLayout
+ * @param {object}   state    the grapher's state
+ */
+export const drawSignal = (renderer, layout, state) => {
+    drawSeries(renderer, layout, state.signalBars, state.controls, state.controls.SIGNAL_COLOR);
+};
+
+/**
+ * Returns the name, exact value and animated bar of the signal at a bar.
+ * @param {object} state the grapher's state
+ * @param {number} i     the index of the bar
+ * @return {{ name: string, value: number, bar: Bar }[]} the signal at the bar,
+ *         or nothing if there is none
+ */
+export const inspectSignal = ({ signal, signalBars }, i) => (signal && signalBars
+    ? [{ name: signal.name, value: signalBars[i].nextHeight, bar: signalBars[i] }]
+    : []);
+
+/**
+ * Describes the part of the signal a bar shows: how long ago it was heard
+ * in the waveform, or the frequencies it covers in the spectrum.
+ *
+ * @param {object} state the grapher's state
+ * @param {number} i     the index of the bar
+ * @return the description
+ */
+export const describeSignalBar = (state, i) => {
+    const { signal, barAmount } = state;
+    if (!signal) {
+        return 'no signal';
+    } else if (state.controls.SIGNAL_VIEW === 'spectrum') {
+        const edges = bandEdges(barAmount, SIGNAL_WINDOW / 2);
+        const toHertz = (bin) => Math.round(bin * signal.sampleRate / SIGNAL_WINDOW);
+        return `f = ${toHertz(edges[i])}–${toHertz(edges[i + 1])} Hz`;
+    } // if
+    const age = (barAmount - i - 0.5) / barAmount * SIGNAL_WINDOW / signal.sampleRate;
+    return `t = -${(age * 1000).toFixed(1)} ms`;
+};
@@ -0,0 +1,141 @@
+import { Wave } from '../../models/Wave.js';
+import { makeSinBars, setNextHeights, growBars } from '../bars.js';
+import { drawSeries } from '../plots.js';
+import { FREQUENCY_BOUNDS, BLEND_MODES } from '../initial.js';
+
+/**
+ * Makes the bars for every wave and for the sum of the visible ones.
+ * The bars hold still until the first shift so every bar's sample is known.
+ *
+ * @param {object}   state  the grapher's state, as app.js keeps it
+ * @param {number[]} angles the angles for one period of the wave
+ */
+export const initWaves = (state, angles) => {
+    const sumValues = angles.map(() => 0);
+    state.series.forEach((waveSeries) => {
+        const values = waveSeries.wave.calculateValues(angles);
+        waveSeries.bars = Object.freeze(makeSinBars(state.barAmount, values));
+        setNextHeights(waveSeries.bars, values);
+        if (waveSeries.wave.visible) {
+            values.forEach((value, i) => sumValues[i] += value);
+        } // if
+    });
+    state.sumBars = Object.freeze(makeSinBars(state.barAmount, sumValues));
+    setNextHeights(state.sumBars, sumValues);
+};
+
+/**
+ * Returns every series of bars that shifts in the waves mode.
+ * @param {object} state the grapher's state
+ * @return {Bar[][]} the bars of every wave, then the sum's
+ */
+export const waveBarSeries = (state) => [...state.series.map(({ bars }) => bars), state.sumBars];
+
+/**
+ * Animates every wave and their sum. Hidden waves keep growing
+ * so they stay in phase with the rest.
+ *
+ * @param {object} state   the grapher's state
+ * @param {number} elapsed the time in milliseconds since the last frame
+ * @return true if every bar has reached its next height, false otherwise
+ */
+export const growWaves = (state, elapsed) => waveBarSeries(state)
+    .map((bars) => growBars(bars, elapsed, state.controls))
+    .every(Boolean);
+
+/**
+ * Draws every visible wave, and their sum on top of them.
+ * @param {Renderer} renderer what to draw with
+ * @param {object}   layout   the layout made by makeLayout
+ * @param {object}   state    the grapher's state
+ */
+export const drawWaves = (renderer, layout, state) => {
+    const { controls } = state;
+    state.series.forEach(({ wave, bars }) => {
+        if (wave.visible) {
+            drawSeries(renderer, layout, bars, controls, wave.color, wave.blend);
+        } // if
+    });
+    if (controls.SHOW_SUM) {
+        drawSeries(renderer, layout, state.sumBars, controls, controls.SUM_COLOR, controls.SUM_BLEND);
+    } // if
+};
+
+/**
+ * Returns the name, exact value and animated bar of every visible wave at a bar,
+ * and of their sum if it is shown.
+ *
+ * @param {object} state the grapher's state
+ * @param {number} i     the index of the bar
+ * @param {number} angle the angle of the sample the bar is moving to
+ * @return {{ name: string, value: number, bar: Bar }[]} the visible series at the bar
+ */
+export const inspectWaves = (state, i, angle) => {
+    const visible = state.series.filter(({ wave }) => wave.visible);
+    const inspected = visible.map(({ wave, bars, name }) => ({ name, value: wave.calculateValues([angle])[0], bar: bars[i] }));
+    if (state.controls.SHOW_SUM) {
+        const value = inspected.reduce((sum, { value }) => sum + value, 0);
+        inspected.push({ name: 'Sum', value, bar: state.sumBars[i] });
+    } // if
+    return inspected;
+};
+
+/**
+ * Adds a wave and a GUI folder to control it with. The bars are
+ * not made for it until init is called.
+ *
+ * @param {object}   state             the grapher's state
+ * @param {dat.GUI}  waveControls      the folder to add the wave's folder to
+ * @param {object}   config            the configuration passed to the Wave constructor
+ * @param {object}   actions
+ * @param {function} actions.init      rebuilds the bars
+ * @param {function} actions.showError shows an error on the page, or hides it if called with none
+ * @return {{ wave: Wave, bars: Bar[], folder: dat.GUI, name: string }} the wave's series
+ */
+export const addWave = (state, waveControls, config, { init, showError }) => {
+    const wave = new Wave(config);
+    // Folder names must be unique, so count every wave ever added
+    const name = `Wave ${++state.wavesAdded}`;
+    const folder = waveControls.addFolder(name);
+    const waveSeries = { wave, bars: null, folder, name };
+    state.series.push(waveSeries);
+
+    // An invalid formula is reported on the page and the previous one is kept
+    const setFormula = () => {
+        try {
+            wave.parseFormula();
+        } catch (error) {
+            showError(`${name}: ${error.message}`);
+            return;
+        } // try
+        showError();
+        init();
+    };
+    const remove = () => {
+        removeWave(state, waveControls, waveSeries);
+        init();
+    };
+
+    folder.add(wave, 'formula').onFinishChange(setFormula);
+    folder.add(wave, 'frequency', FREQUENCY_BOUNDS.min, FREQUENCY_BOUNDS.max, 1).onFinishChange(init);
+    folder.add(wave, 'amplitude', 0, 5).onFinishChange(init);
+    folder.add(wave, 'phase', 0, Math.PI * 2).onFinishChange(init);
+    folder.addColor(wave, 'color');
+    folder.add(wave, 'blend', BLEND_MODES);
+    // The sum only includes visible waves
+    folder.add(wave, 'visible').onChange(init);
+    folder.add({ remove }, 'remove');
+    return waveSeries;
+};
+
+/**
+ * Removes a wave and its GUI folder. The bars are not remade until init is called.
+ *
+ * @param {object}  state        the grapher's state
+ * @param {dat.GUI} waveControls the folder the wave's folder is in
+ * @param {{ wave: Wave, bars: Bar[], folder: dat.GUI }} waveSeries the wave to remove
+ */
+export const removeWave = (state, waveControls, waveSeries) => {
+    state.series.splice(state.series.indexOf(waveSeries), 1);
+    waveControls.removeFolder(waveSeries.folder);
+};
@@ -0,0 +1,141 @@
+import { barLeft, spokeAngle } from './layout.js';
+import { BLEND_MODES } from './initial.js';
+
+/**
+ * The number of points drawn between each pair of bar tops
+ * to make smooth curves through them.
+ */
+const SMOOTH_STEPS = 8;
+
+/**
+ * The thickness of the lines in the stems, line and polar styles.
+ */
+const PLOT_LINE_WIDTH = 3;
+
+/**
+ * Returns a point along a Catmull-Rom spline, which passes through
+ * every control point with no sharp corners.
+ *
+ * @param {{ x: number, y: number }} p0 the point before the segment
+ * @param {{ x: number, y: number }} p1 the start of the segment
+ * @param {{ x: number, y: number }} p2 the end of the segment
+ * @param {{ x: number, y: number }} p3 the point after the segment
+ * @param {number}                   t  how far along the segment to go, from 0 to 1
+ * @return {{ x: number, y: number }} the point on the spline
+ */
+const catmullRom = (p0, p1, p2, p3, t) => {
+    const along = (a, b, c, d) => 0.5 * (2 * b + (c - a) * t +
+        (2 * a - 5 * b + 4 * c - d) * t * t +
+        (3 * b - a - 3 * c + d) * t * t * t);
+    return { x: along(p0.x, p1.x, p2.x, p3.x), y: along(p0.y, p1.y, p2.y, p3.y) };
+};
+
+/**
+ * Adds points between a list of points so that joining them
+ * with straight lines draws a smooth curve through all of them.
+ *
+ * @param {{ x: number, y: number }[]} points         the points to go through, in order
+ * @param {boolean}                    [closed=false] whether the curve loops back to the first point
+ * @return {{ x: number, y: number }[]} the points along the curve
+ */
+export const smooth = (points, closed=false) => {
+    const { length } = points;
+    if (length < 3) {
+        return points;
+    } // if
+
+    // Ends of an open curve repeat their point so the curve stops there
+    const at = (i) => (closed ? points[(i + length) % length] : points[Math.max(0, Math.min(length - 1, i))]);
+    const curve = [];
+    const segments = closed ? length : length - 1;
+    for (let i = 0; i < segments; i++) {
+        for (let step = 0; step < SMOOTH_STEPS; step++) {
+            curve.push(catmullRom(at(i - 1), at(i), at(i + 1), at(i + 2), step / SMOOTH_STEPS));
+        } // for
+    } // for
+    if (!closed) {
+        curve.push(points[length - 1]);
+    } // if
+    return curve;
+};
+
+/**
+ * Returns the point at the top of every bar, or at the end
+ * of every spoke around the center in the polar style.
+ *
+ * @param {Bar[]}   bars   the bars to find the tops of
+ * @param {object}  layout the layout made by makeLayout
+ * @param {number}  scalar the number of pixels a bar value of 1 is drawn as
+ * @param {boolean} polar  whether the bars are drawn around the center
+ * @return {{ x: number, y: number }[]} the top of every bar
+ */
+export const barTops = (bars, layout, scalar, polar) => bars.map((bar, i) => {
+    if (polar) {
+        // Radii cannot go below zero or the curve would turn inside out
+        const angle = spokeAngle(layout, i);
+        const radius = Math.max(0, layout.polarRadius + bar.height * scalar);
+        return { x: layout.centerX + Math.cos(angle) * radius, y: layout.centerY + Math.sin(angle) * radius };
+    } // if
+    return { x: barLeft(layout, i) + layout.barWidth / 2, y: layout.centerY + bar.height * scalar };
+});
+
+/**
+ * Draws a series of bars in one of the plot styles. Every style is drawn
+ * from the bars' current heights, so they all animate the same way.
+ *
+ * @param {Renderer} renderer the renderer to draw with
+ * @param {string}   style    one of PLOT_STYLES
+ * @param {Bar[]}    bars     the bars to draw
+ * @param {object}   layout   the layout made by makeLayout
+ * @param {number}   scalar   the number of pixels a bar value of 1 is drawn as
+ * @param {string}   color    the color to draw with
+ */
+export const drawPlot = (renderer, style, bars, layout, scalar, color) => {
+    const tops = barTops(bars, layout, scalar, style === 'polar');
+    const { centerY, barWidth } = layout;
+    switch (style) {
+    case 'stems':
+        tops.forEach(({ x, y }) => {
+            renderer.line(x, centerY, x, y, color, PLOT_LINE_WIDTH);
+            renderer.circle(x, y, barWidth / 2, color);
+        });
+        break;
+    case 'line':
+        renderer.polyline(smooth(tops), color, PLOT_LINE_WIDTH);
+        break;
+    case 'area': {
+        const curve = smooth(tops);
+        const first = curve[0];
+        const last = curve[curve.length - 1];
+        renderer.polygon([{ x: first.x, y: centerY }, ...curve, { x: last.x, y: centerY }], color);
+        break;
+    }
+    case 'dots':
+        tops.forEach(({ x, y }) => renderer.circle(x, y, barWidth / 2, color));
+        break;
+    case 'polar':
+        renderer.polyline(smooth(tops, true), color, PLOT_LINE_WIDTH, true);
+        break;
+    default:
+        bars.forEach((bar, i) => {
+            renderer.rect(barLeft(layout, i), centerY, barWidth, bar.height * scalar, color);
+        });
+    } // switch
+};
+
+/**
+ * Draws a series of bars in the selected plot style.
+ *
+ * @param {Renderer} renderer              what to draw with
+ * @param {object}   layout                the layout made by makeLayout
+ * @param {Bar[]}    bars                  the bars to draw
+ * @param {object}   controls              the values the user can affect, for PLOT_STYLE
+ *                                         and BAR_HEIGHT_SCALAR
+ * @param {string}   color                 the fill color of the bars
+ * @param {string}   [blend=BLEND_MODES[0]] the composite operation to draw the bars with
+ */
+export const drawSeries = (renderer, layout, bars, controls, color, blend=BLEND_MODES[0]) => {
+    renderer.setBlendMode(blend);
+    drawPlot(renderer, controls.PLOT_STYLE, bars, layout, controls.BAR_HEIGHT_SCALAR, color);
+    renderer.setBlendMode(BLEND_MODES[0]);
+};
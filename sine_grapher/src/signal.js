@@ -0,0 +1,62 @@
+import { magnitudeSpectrum } from './fft.js';
+
+/**
+ * Returns the peak of every one of several equal slices of a window
+ * of samples, so a window of any length can be drawn with any number
+ * of bars without losing its highs and lows. Each peak keeps its sign.
+ *
+ * @param {Float32Array|number[]} samples the window of samples, oldest first
+ * @param {number}                count   the number of values to return
+ * @return {number[]} the peak of each slice, oldest first
+ */
+export const waveformValues = (samples, count) => Array.from({ length: count }, (_, i) => {
+    const start = Math.floor(i * samples.length / count);
+    const end = Math.max(start + 1, Math.floor((i + 1) * samples.length / count));
+    let peak = 0;
+    for (let j = start; j < end && j < samples.length; j++) {
+        if (Math.abs(samples[j]) > Math.abs(peak)) {
+            peak = samples[j];
+        } // if
+    } // for
+    return peak;
+});
+
+/**
+ * Splits the bins of a spectrum into bands that are evenly spaced in pitch,
+ * the way they are heard, rather than in frequency. Bin 0, which holds
+ * the average of the samples rather than a frequency, is left out.
+ * Low bands that would be narrower than a bin are widened to one bin.
+ *
+ * @param {number} count the number of bands
+ * @param {number} bins  the number of bins in the spectrum
+ * @return {number[]} the first bin of every band, followed by the bin after the last band
+ */
+export const bandEdges = (count, bins) => {
+    const edges = [1];
+    for (let i = 1; i <= count; i++) {
+        const edge = Math.round(bins ** (i / count));
+        edges.push(Math.min(bins, Math.max(edges[i - 1] + 1, edge)));
+    } // for
+    return edges;
+};
+
+/**
+ * Returns the strongest frequency in every band of a window of samples.
+ * Bands past the end of the spectrum, when there are more bands than bins, are 0.
+ *
+ * @param {Float32Array|number[]} samples the window of samples, a power of two of them
+ * @param {number}                count   the number of bands
+ * @throws {Error} if the number of samples is not a power of two
+ * @return {number[]} the magnitude of each band, lowest pitch first
+ */
+export const spectrumValues = (samples, count) => {
+    const magnitudes = magnitudeSpectrum(samples);
+    const edges = bandEdges(count, magnitudes.length);
+    return Array.from({ length: count }, (_, i) => {
+        let peak = 0;
+        for (let bin = edges[i]; bin < edges[i + 1]; bin++) {
+            peak = Math.max(peak, magnitudes[bin]);
+        } // for
+        return peak;
+    });
+};
@@ -0,0 +1,91 @@
+import { fourierCoefficients } from './fourier.js';
+import { SHIFT_RATE, BAR_HEIGHT_SCALAR, BASE_PITCH, PITCH_BOUNDS } from './initial.js';
+
+/**
+ * Returns the pitch to play the wave at. The pitch rises and falls
+ * with the shift rate, so faster waves sound higher.
+ *
+ * @param {number} shiftRate the number of times per second the wave shifts
+ * @return the pitch in hertz, within PITCH_BOUNDS
+ */
+export const pitchFor = (shiftRate) => Math.min(PITCH_BOUNDS.max, Math.max(PITCH_BOUNDS.min, BASE_PITCH * shiftRate / SHIFT_RATE));
+
+/**
+ * Returns how loud to play the wave. Taller bars sound louder, up to
+ * twice the starting BAR_HEIGHT_SCALAR, where the volume is reached.
+ *
+ * @param {number} heightScalar the number of pixels a bar value of 1 is drawn as
+ * @param {number} volume       the loudest the wave can be, from 0 to 1
+ * @return the gain to play the wave with, from 0 to volume
+ */
+export const loudnessFor = (heightScalar, volume) => volume * Math.min(1, Math.abs(heightScalar) / (BAR_HEIGHT_SCALAR * 2));
+
+/**
+ * Makes the table of one period of a wave for an oscillator to play.
+ *
+ * The table holds the coefficient of the cosine and sine of every
+ * harmonic, as the Web Audio API's PeriodicWave takes them. The average
+ * of the values is left out since it cannot be heard, and the rest are
+ * scaled so the values furthest from the average reach 1 or -1.
+ *
+ * @param {number[]} values the values of one period of the wave, evenly spaced
+ * @throws {Error} if there are no values
+ * @return {{ real: Float32Array, imag: Float32Array }} the cosine and sine coefficients,
+ *         indexed by harmonic; both are all zeros if the values are flat
+ */
+export const waveTable = (values) => {
+    const coefficients = fourierCoefficients(values, Infinity);
+    const average = coefficients[0].cosine;
+    const peak = Math.max(...values.map((value) => Math.abs(value - average)));
+
+    const real = new Float32Array(coefficients.length);
+    const imag = new Float32Array(coefficients.length);
+    if (peak > 0) {
+        coefficients.forEach(({ harmonic, cosine, sine }) => {
+            if (harmonic > 0) {
+                real[harmonic] = cosine / peak;
+                imag[harmonic] = sine / peak;
+            } // if
+        });
+    } // if
+    return { real, imag };
+};
+
+/**
+ * Makes a PeriodicWave that an oscillator can play one period of the values with.
+ * Works with an OfflineAudioContext as well, so the sound can be rendered without playing it.
+ *
+ * @param {BaseAudioContext} context the audio context the wave is for
+ * @param {number[]}         values  the values of one period of the wave, evenly spaced
+ * @return {PeriodicWave} the wave, scaled by waveTable rather than by the browser
+ */
+export const makePeriodicWave = (context, values) => {
+    const { real, imag } = waveTable(values);
+    return context.createPeriodicWave(real, imag, { disableNormalization: true });
+};
+
+/**
+ * Renders the sound an oscillator makes playing the values,
+ * without the Web Audio API.
+ *
+ * @param {number[]} values             the values of one period of the wave, evenly spaced
+ * @param {object}   options
+ * @param {number}   options.frequency  the pitch in hertz
+ * @param {number}   options.sampleRate the number of audio samples per second
+ * @param {number}   options.length     the number of audio samples to render
+ * @param {number}   [options.gain=1]   the value to multiply every audio sample by
+ * @return {Float32Array} the audio samples, starting at the start of a period
+ */
+export const synthesize = (values, { frequency, sampleRate, length, gain=1 }) => {
+    const { real, imag } = waveTable(values);
+    const samples = new Float32Array(length);
+    for (let i = 0; i < length; i++) {
+        const angle = Math.PI * 2 * frequency * i / sampleRate;
+        let sum = 0;
+        for (let harmonic = 1; harmonic < real.length; harmonic++) {
+            sum += real[harmonic] * Math.cos(harmonic * angle) + imag[harmonic] * Math.sin(harmonic * angle);
+        } // for
+        samples[i] = sum * gain;
+    } // for
+    return samples;
+};
@@ -0,0 +1,42 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Bar } from '../models/Bar.js';
+import { EASINGS } from '../../shared/src/easings.js';
+import { FRAME_DURATION } from '../../shared/src/constants.js';
+
+describe('Bar', () => {
+    it('reaches nextHeight after the number of frames to grow in', () => {
+        const bar = new Bar(0, 10);
+        bar.grow(4, FRAME_DURATION, EASINGS.linear);
+        assert.equal(bar.height, 2.5);
+        assert.equal(bar.isNextHeight(), false);
+        bar.grow(4, FRAME_DURATION * 3, EASINGS.linear);
+        assert.equal(bar.height, 10);
+        assert.equal(bar.isNextHeight(), true);
+    });
+
+    it('does not grow past nextHeight when frames are dropped', () => {
+        const bar = new Bar(2, 4);
+        bar.grow(1, FRAME_DURATION * 10);
+        assert.equal(bar.height, 4);
+        assert.equal(bar.progress, 1);
+    });
+
+    it('starts a new motion from its current height when nextHeight is set', () => {
+        const bar = new Bar(0, 10);
+        bar.grow(2, FRAME_DURATION, EASINGS.linear);
+        bar.nextHeight = -5;
+        assert.equal(bar.progress, 0);
+        bar.grow(2, FRAME_DURATION, EASINGS.linear);
+        assert.equal(bar.height, 0);
+        bar.grow(2, FRAME_DURATION, EASINGS.linear);
+        assert.equal(bar.height, -5);
+    });
+
+    it('snaps straight to nextHeight', () => {
+        const bar = new Bar(0, 10);
+        bar.snap();
+        assert.equal(bar.height, 10);
+        assert.equal(bar.isNextHeight(), true);
+    });
+});
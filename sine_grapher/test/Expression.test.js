@@ -0,0 +1,33 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Expression, ExpressionError } from '../models/Expression.js';
+
+const evaluate = (source, x=0) => new Expression(source).evaluate(x);
+
+describe('Expression', () => {
+    it('follows operator precedence', () => {
+        assert.equal(evaluate('1 + 2 * 3'), 7);
+        assert.equal(evaluate('2 ^ 3 ^ 2'), 512);
+        assert.equal(evaluate('-x^2', 3), -9);
+    });
+
+    it('multiplies implicitly', () => {
+        assert.equal(evaluate('2x', 4), 8);
+        assert.equal(evaluate('3(x + 1)', 1), 6);
+    });
+
+    it('knows its constants and functions', () => {
+        assert.equal(evaluate('sin(pi / 2)'), 1);
+        assert.equal(evaluate('square(x)', 4), -1);
+        assert.equal(evaluate('abs(x)', -2), 2);
+    });
+
+    it('points at the problem in an invalid formula', () => {
+        assert.throws(() => new Expression('2 * )'), (error) => error instanceof ExpressionError && error.position === 4);
+        assert.throws(() => new Expression(''), ExpressionError);
+        assert.throws(() => new Expression('foo(x)'), ExpressionError);
+        assert.throws(() => new Expression('constructor'), ExpressionError);
+        assert.throws(() => new Expression('__proto__'), ExpressionError);
+        assert.throws(() => new Expression('toString(x)'), ExpressionError);
+    });
+});
@@ -0,0 +1,89 @@
+/* global globalThis */
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Sonifier } from '../models/Sonifier.js';
+
+/**
+ * Returns an audio parameter that counts the glides scheduled on it.
+ */
+const makeParam = () => ({
+    value: 0,
+    targets: [],
+    setTargetAtTime(target) {
+        this.targets.push(target);
+    }
+});
+
+/**
+ * A stand-in for the Web Audio API's AudioContext that counts the
+ * waves made for its oscillators.
+ */
+class FakeAudioContext {
+    constructor() {
+        Object.assign(this, { state: 'running', currentTime: 0, destination: {}, waves: 0, oscillators: [] });
+    }
+
+    createGain() {
+        return { gain: makeParam(), connect() {}, disconnect() {} };
+    }
+
+    createOscillator() {
+        const oscillator = {
+            frequency: makeParam(),
+            connect() {},
+            disconnect() {},
+            start() {},
+            stop() {},
+            setPeriodicWave() {}
+        };
+        this.oscillators.push(oscillator);
+        return oscillator;
+    }
+
+    createPeriodicWave() {
+        this.waves++;
+        return {};
+    }
+}
+
+describe('Sonifier', () => {
+    beforeEach(() => {
+        globalThis.AudioContext = FakeAudioContext;
+    });
+
+    afterEach(() => {
+        delete globalThis.AudioContext;
+    });
+
+    it('only makes a new wave when the values change', () => {
+        const sonifier = new Sonifier();
+        sonifier.start();
+        sonifier.update([0, 1, 0, -1], 220, 0.5);
+        sonifier.update([0, 1, 0, -1], 220, 0.5);
+        assert.equal(sonifier._context.waves, 1);
+        sonifier.update([1, 0, -1, 0], 220, 0.5);
+        assert.equal(sonifier._context.waves, 2);
+    });
+
+    it('only glides to the pitch and loudness when they change', () => {
+        const sonifier = new Sonifier();
+        sonifier.start();
+        for (let i = 0; i < 10; i++) {
+            sonifier.update([0, 1, 0, -1], 220, 0.5);
+        }
+        sonifier.update([0, 1, 0, -1], 440, 0.5);
+        assert.deepEqual(sonifier._oscillator.frequency.targets, [220, 440]);
+        assert.deepEqual(sonifier._gain.gain.targets, [0.5]);
+    });
+
+    it('glides again after being stopped and started', () => {
+        const sonifier = new Sonifier();
+        sonifier.start();
+        sonifier.update([0, 1, 0, -1], 220, 0.5);
+        sonifier.stop();
+        sonifier.start();
+        sonifier.update([0, 1, 0, -1], 220, 0.5);
+        assert.equal(sonifier._context.waves, 2);
+        assert.deepEqual(sonifier._oscillator.frequency.targets, [220]);
+    });
+});
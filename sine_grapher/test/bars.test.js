@@ -0,0 +1,72 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { makeSinBars, setNextHeights, shift, growBars, barAngle } from '../src/bars.js';
+
+const nextHeights = (bars) => bars.map((bar) => bar.nextHeight);
+
+describe('makeSinBars', () => {
+    it('repeats the values across every bar', () => {
+        const bars = makeSinBars(5, [1, 2, 3]);
+        assert.deepEqual(bars.map((bar) => bar.height), [1, 2, 3, 1, 2]);
+        // Each bar grows toward the value after its own
+        assert.deepEqual(nextHeights(bars), [2, 3, 1, 2, 3]);
+    });
+});
+
+describe('setNextHeights', () => {
+    it('shifts the values right by the offset, wrapping around', () => {
+        const bars = makeSinBars(4, [0]);
+        setNextHeights(bars, [1, 2, 3, 4], 1);
+        assert.deepEqual(nextHeights(bars), [4, 1, 2, 3]);
+        setNextHeights(bars, [1, 2, 3, 4], -1);
+        assert.deepEqual(nextHeights(bars), [2, 3, 4, 1]);
+    });
+});
+
+describe('shift', () => {
+    it('moves every nextHeight one bar right', () => {
+        const bars = makeSinBars(4, [0]);
+        setNextHeights(bars, [1, 2, 3, 4]);
+        shift(bars);
+        assert.deepEqual(nextHeights(bars), [4, 1, 2, 3]);
+    });
+
+    it('moves every nextHeight one bar left in reverse', () => {
+        const bars = makeSinBars(4, [0]);
+        setNextHeights(bars, [1, 2, 3, 4]);
+        shift(bars, true);
+        assert.deepEqual(nextHeights(bars), [2, 3, 4, 1]);
+    });
+
+    it('matches setNextHeights with the number of shifts as the offset', () => {
+        const values = [0.5, -1, 0.25];
+        const shifted = makeSinBars(6, [0]);
+        setNextHeights(shifted, values);
+        shift(shifted);
+        shift(shifted);
+        const offset = makeSinBars(6, [0]);
+        setNextHeights(offset, values, 2);
+        assert.deepEqual(nextHeights(shifted), nextHeights(offset));
+    });
+});
+
+describe('growBars', () => {
+    const controls = { GROW_FRAMES: 10, EASE: (progress) => progress };
+
+    it('reports whether every bar has reached its next height', () => {
+        const bars = makeSinBars(3, [0]);
+        setNextHeights(bars, [1, 2, 3]);
+        assert.equal(growBars(bars, 16, controls), false);
+        assert.ok(bars.every((bar) => bar.height > 0 && !bar.isNextHeight()));
+        assert.equal(growBars(bars, 10000, controls), true);
+    });
+});
+
+describe('barAngle', () => {
+    it('gives the angle of the sample a bar is moving to after shifting', () => {
+        assert.equal(barAngle(1, 4), Math.PI / 2);
+        assert.equal(barAngle(1, 4, 1), 0);
+        assert.equal(barAngle(0, 4, 1), Math.PI * 3 / 2);
+        assert.equal(barAngle(5, 4, -2), Math.PI * 3 / 2);
+    });
+});
@@ -0,0 +1,54 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCsv, parseJson, parseDataset, autoscaleFactor } from '../src/dataset.js';
+
+describe('parseCsv', () => {
+    it('reads a header, labels and quoted cells', () => {
+        const dataset = parseCsv('month;sales;"costs; total"\nJan;1;2\nFeb;3;4\n');
+        assert.deepEqual(dataset.columns, ['sales', 'costs; total']);
+        assert.deepEqual(dataset.labels, ['Jan', 'Feb']);
+        assert.deepEqual(dataset.rows, [[1, 2], [3, 4]]);
+        assert.deepEqual(dataset.errors, []);
+    });
+
+    it('numbers the columns without a header', () => {
+        assert.deepEqual(parseCsv('1,2\n3,4').columns, ['column 1', 'column 2']);
+    });
+
+    it('leaves out invalid rows and lists them', () => {
+        const dataset = parseCsv('a,b\n1,2\n3,n/a\n4');
+        assert.deepEqual(dataset.rows, [[1, 2]]);
+        assert.deepEqual(dataset.errors, [
+            'Line 3: \'n/a\' in b is not a number.',
+            'Line 4 has 1 values but there are 2 columns.'
+        ]);
+    });
+});
+
+describe('parseJson', () => {
+    it('reads every shape of data', () => {
+        assert.deepEqual(parseJson('[1, 2]').rows, [[1], [2]]);
+        assert.deepEqual(parseJson('[[1, 2], [3, 4]]').rows, [[1, 2], [3, 4]]);
+        assert.deepEqual(parseJson('[{ "a": 1 }, { "a": 2 }]').rows, [[1], [2]]);
+        assert.deepEqual(parseJson('{ "a": [1, 2], "b": [3, 4] }').rows, [[1, 3], [2, 4]]);
+    });
+
+    it('reports text that is not JSON', () => {
+        assert.match(parseJson('{').errors[0], /could not be read/);
+    });
+});
+
+describe('parseDataset', () => {
+    it('chooses JSON by name or by content', () => {
+        assert.deepEqual(parseDataset('data.json', '[1]').rows, [[1]]);
+        assert.deepEqual(parseDataset('data.txt', ' [1]').rows, [[1]]);
+        assert.deepEqual(parseDataset('data.csv', '1\n2').rows, [[1], [2]]);
+    });
+});
+
+describe('autoscaleFactor', () => {
+    it('scales the value furthest from 0 to the limit', () => {
+        assert.equal(autoscaleFactor([1, -4, 2], 2), 0.5);
+        assert.equal(autoscaleFactor([0, 0], 2), 1);
+    });
+});
@@ -0,0 +1,32 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Wave } from '../models/Wave.js';
+import { describeState } from '../src/describe.js';
+
+const controls = {
+    MODE: 'waves', PLOT_STYLE: 'bars', PLAYING: true, REVERSE: false, SHIFT_RATE: 4,
+    SHOW_SUM: true, TARGET_SHAPE: 'square', HARMONICS: 8, SIGNAL_VIEW: 'waveform', DATA_COLUMN: 'a'
+};
+
+describe('describeState', () => {
+    it('lists the visible waves and the playback', () => {
+        const series = [
+            { wave: new Wave({ formula: 'sin(x)' }) },
+            { wave: new Wave({ formula: 'cos(x)', frequency: 2, amplitude: 0.5 }) },
+            { wave: new Wave({ formula: 'tan(x)', visible: false }) }
+        ];
+        assert.equal(describeState({ controls, series }),
+            '2 waves in the bars style: sin(x) with frequency 1, amplitude 1 and phase 0; '
+            + 'cos(x) with frequency 2, amplitude 0.5 and phase 0. Their sum is drawn on top. '
+            + 'Playing, shifting right up to 4 times a second.');
+    });
+
+    it('says when there is nothing to show in a mode', () => {
+        const paused = { ...controls, PLAYING: false };
+        assert.equal(describeState({ controls: paused, series: [] }), 'No waves are visible. Paused.');
+        assert.equal(describeState({ controls: { ...paused, MODE: 'signal' }, series: [] }), 'No signal is open. Paused.');
+        assert.equal(describeState({ controls: { ...paused, MODE: 'data' }, series: [] }), 'No data is open. Paused.');
+        assert.equal(describeState({ controls: { ...paused, MODE: 'fourier' }, series: [] }),
+            'The Fourier series of the square shape with 0 of 8 harmonics, in the bars style. Paused.');
+    });
+});
@@ -0,0 +1,44 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { fft, magnitudeSpectrum } from '../src/fft.js';
+import { waveformValues, bandEdges } from '../src/signal.js';
+
+describe('fft', () => {
+    it('transforms an impulse into a flat spectrum', () => {
+        const real = [1, 0, 0, 0];
+        const imag = [0, 0, 0, 0];
+        fft(real, imag);
+        assert.deepEqual(real, [1, 1, 1, 1]);
+    });
+
+    it('throws unless the length is a power of two', () => {
+        assert.throws(() => fft([1, 2, 3], [0, 0, 0]), /power of two/);
+        assert.throws(() => fft([1, 2], [0]), /same length/);
+    });
+});
+
+describe('magnitudeSpectrum', () => {
+    it('gives a sine wave on a bin a magnitude of its amplitude', () => {
+        const samples = Array.from({ length: 256 }, (_, i) => 0.5 * Math.sin(Math.PI * 2 * 16 * i / 256));
+        const magnitudes = magnitudeSpectrum(samples);
+        assert.equal(magnitudes.length, 128);
+        assert.ok(Math.abs(magnitudes[16] - 0.5) < 1e-4);
+        assert.ok(magnitudes[40] < 1e-4);
+    });
+});
+
+describe('waveformValues', () => {
+    it('keeps the peak of every slice with its sign', () => {
+        assert.deepEqual(waveformValues([0.1, -0.9, 0.5, 0.2], 2), [-0.9, 0.5]);
+    });
+});
+
+describe('bandEdges', () => {
+    it('widens bands to at least one bin and stops at the last bin', () => {
+        const edges = bandEdges(8, 16);
+        assert.equal(edges.length, 9);
+        assert.equal(edges[0], 1);
+        assert.equal(edges[8], 16);
+        edges.slice(1).forEach((edge, i) => assert.ok(edge > edges[i]));
+    });
+});
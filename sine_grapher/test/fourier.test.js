@@ -0,0 +1,43 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { fourierCoefficients, partialSum, parseSamples } from '../src/fourier.js';
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+
+describe('fourierCoefficients', () => {
+    it('finds the average and a single harmonic', () => {
+        const samples = Array.from({ length: 8 }, (_, k) => 1 + Math.sin(Math.PI * 2 * k / 8));
+        const [average, first, second] = fourierCoefficients(samples, 2);
+        close(average.cosine, 1);
+        close(first.sine, 1);
+        close(first.cosine, 0);
+        close(second.amplitude, 0);
+    });
+
+    it('stops at half the number of samples', () => {
+        assert.equal(fourierCoefficients([1, 2, 3, 4], 10).length, 3);
+    });
+
+    it('throws without samples', () => {
+        assert.throws(() => fourierCoefficients([], 1));
+    });
+});
+
+describe('partialSum', () => {
+    it('rebuilds the samples from every harmonic', () => {
+        const samples = [1, 1, -1, -1, 0.5, 2];
+        const coefficients = fourierCoefficients(samples, Infinity);
+        samples.forEach((sample, k) => close(partialSum(coefficients, Math.PI * 2 * k / samples.length), sample));
+    });
+});
+
+describe('parseSamples', () => {
+    it('splits on commas and whitespace', () => {
+        assert.deepEqual(parseSamples('1, 2\n-3  4.5'), [1, 2, -3, 4.5]);
+    });
+
+    it('names the sample that is not a number', () => {
+        assert.throws(() => parseSamples('1, x'), /Sample 2 \('x'\)/);
+        assert.throws(() => parseSamples(' '), /At least one sample/);
+    });
+});
@@ -0,0 +1,54 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { makeLayout, barLeft, barIndexAt, spokeAngle, spokeIndexAt } from '../src/layout.js';
+
+const layout = makeLayout({ centerX: 100, centerY: 50, barAmount: 4, gap: 20, barWidth: 10, polarRadius: 30 });
+
+describe('makeLayout', () => {
+    it('centers the bars on the canvas', () => {
+        assert.equal(layout.start, 60);
+        assert.equal(layout.end, 140);
+        assert.ok(Object.isFrozen(layout));
+    });
+});
+
+describe('barLeft', () => {
+    it('spaces the bars one gap apart', () => {
+        assert.deepEqual([0, 1, 2, 3].map((i) => barLeft(layout, i)), [60, 80, 100, 120]);
+    });
+});
+
+describe('barIndexAt', () => {
+    it('picks the bar whose column holds the x-coordinate', () => {
+        assert.equal(barIndexAt(layout, 65), 0);
+        // Halfway between the centers of bars 0 and 1
+        assert.equal(barIndexAt(layout, 74), 0);
+        assert.equal(barIndexAt(layout, 76), 1);
+        assert.equal(barIndexAt(layout, 125), 3);
+    });
+
+    it('returns -1 outside every column', () => {
+        assert.equal(barIndexAt(layout, 40), -1);
+        assert.equal(barIndexAt(layout, 145), -1);
+    });
+});
+
+describe('spokeAngle', () => {
+    it('splits the circle evenly', () => {
+        assert.equal(spokeAngle(layout, 0), 0);
+        assert.equal(spokeAngle(layout, 1), Math.PI / 2);
+    });
+});
+
+describe('spokeIndexAt', () => {
+    it('picks the closest spoke, clockwise from the right', () => {
+        assert.equal(spokeIndexAt(layout, 120, 50), 0);
+        assert.equal(spokeIndexAt(layout, 100, 70), 1);
+        assert.equal(spokeIndexAt(layout, 80, 50), 2);
+        assert.equal(spokeIndexAt(layout, 100, 30), 3);
+    });
+
+    it('returns -1 beyond twice the base radius', () => {
+        assert.equal(spokeIndexAt(layout, 161, 50), -1);
+    });
+});
@@ -0,0 +1,140 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Wave } from '../models/Wave.js';
+import { makeSinBars } from '../src/bars.js';
+import { initWaves, growWaves, inspectWaves } from '../src/modes/waves.js';
+import { initFourier, growFourier } from '../src/modes/fourier.js';
+import { dataErrorMessage, showColumn, stepColumn } from '../src/modes/data.js';
+import { inspectBar, describePosition } from '../src/inspect.js';
+
+const angles = [0, Math.PI / 2, Math.PI, Math.PI * 3 / 2];
+
+/**
+ * Returns a grapher state as app.js keeps it, with the controls the modes read.
+ */
+const makeState = (controls={}, state={}) => ({
+    controls: {
+        MODE: 'waves', SAMPLES: 4, GROW_FRAMES: 1, SHOW_SUM: true, SHOW_TARGET: true,
+        TARGET_SHAPE: 'square', CUSTOM_SAMPLES: '', HARMONICS: 3,
+        DATA_COLUMN: '', AUTOSCALE: false, BAR_HEIGHT_SCALAR: 100,
+        EASE: (progress) => progress,
+        ...controls
+    },
+    renderer: { width: 800, height: 600 },
+    barAmount: 8,
+    series: [],
+    sumBars: null,
+    shiftCount: 0,
+    fourier: null,
+    fourierBars: { target: null, series: null },
+    signal: null,
+    signalBars: null,
+    dataset: null,
+    dataBars: null,
+    dataScale: 1,
+    ...state
+});
+
+const nextHeights = (bars) => bars.map((bar) => Number(bar.nextHeight.toFixed(6)));
+
+describe('waves mode', () => {
+    it('sums only the visible waves', () => {
+        const state = makeState({}, {
+            series: [
+                { wave: new Wave({ formula: 'sin(x)' }), name: 'Wave 1' },
+                { wave: new Wave({ formula: 'cos(x)', visible: false }), name: 'Wave 2' },
+                { wave: new Wave({ formula: '1' }), name: 'Wave 3' }
+            ]
+        });
+        initWaves(state, angles);
+        assert.equal(state.sumBars.length, 8);
+        assert.deepEqual(nextHeights(state.sumBars).slice(0, 4), [1, 2, 1, 0]);
+    });
+
+    it('lists every visible wave and the sum at a bar', () => {
+        const state = makeState({}, {
+            series: [
+                { wave: new Wave({ formula: 'sin(x)' }), name: 'Wave 1' },
+                { wave: new Wave({ formula: 'cos(x)', visible: false }), name: 'Wave 2' }
+            ]
+        });
+        initWaves(state, angles);
+        const inspected = inspectWaves(state, 1, Math.PI / 2);
+        assert.deepEqual(inspected.map(({ name }) => name), ['Wave 1', 'Sum']);
+        assert.equal(inspected[1].value, 1);
+        assert.equal(inspected[1].bar, state.sumBars[1]);
+    });
+
+    it('settles once every bar has reached its next height', () => {
+        const state = makeState({}, { series: [{ wave: new Wave({ formula: 'sin(x)' }), name: 'Wave 1' }] });
+        initWaves(state, angles);
+        assert.equal(growWaves(state, 0), false);
+        assert.equal(growWaves(state, 1000), true);
+    });
+});
+
+describe('Fourier mode', () => {
+    it('adds a harmonic each time its bars settle and then settles', () => {
+        const state = makeState({ MODE: 'fourier', HARMONICS: 2 });
+        initFourier(state, angles);
+        assert.equal(state.fourier.step, 0);
+
+        assert.deepEqual(growFourier(state, 1000), { settled: false, added: true });
+        assert.equal(state.fourier.step, 1);
+        growFourier(state, 1000);
+        growFourier(state, 1000);
+        assert.ok(state.fourier.isComplete());
+        assert.deepEqual(growFourier(state, 1000), { settled: true, added: false });
+    });
+
+    it('leaves no series or bars for a shape that is not valid', () => {
+        const state = makeState({ MODE: 'fourier', TARGET_SHAPE: 'custom', CUSTOM_SAMPLES: '1, x' });
+        state.fourier = {};
+        assert.throws(() => initFourier(state, angles), /not a number/);
+        assert.equal(state.fourier, null);
+        assert.deepEqual(state.fourierBars, { target: null, series: null });
+    });
+});
+
+describe('data mode', () => {
+    const dataset = { columns: ['a', 'b', 'c'], rows: [[1, 10, 100], [2, 20, 200]], labels: ['first', 'second'], errors: [] };
+
+    it('moves the bars to the selected column, scaled to fill the canvas', () => {
+        const state = makeState({ MODE: 'data', DATA_COLUMN: 'b', AUTOSCALE: true }, { dataset, dataBars: makeSinBars(2, [0]) });
+        showColumn(state);
+        assert.ok(state.dataScale > 0);
+        assert.deepEqual(nextHeights(state.dataBars), [10 * state.dataScale, 20 * state.dataScale].map((value) => Number(value.toFixed(6))));
+    });
+
+    it('steps through the columns, wrapping around', () => {
+        const state = makeState({ DATA_COLUMN: 'c' }, { dataset });
+        assert.equal(stepColumn(state), 'a');
+        assert.equal(stepColumn(state, true), 'b');
+    });
+
+    it('lists no more problems than it should', () => {
+        assert.equal(dataErrorMessage('a.csv', []), '');
+        const errors = Array.from({ length: 20 }, (_, i) => `Row ${i + 1} is empty.`);
+        const lines = dataErrorMessage('a.csv', errors).split('\n');
+        assert.equal(lines[0], 'a.csv: 20 problems, so some of it is not shown.');
+        assert.match(lines[lines.length - 1], /^\.\.\.and \d+ more\.$/);
+    });
+});
+
+describe('inspectBar', () => {
+    it('describes a bar in the mode that is shown', () => {
+        const dataset = { columns: ['a'], rows: [[5], [6]], labels: ['first', 'second'], errors: [] };
+        const state = makeState({ MODE: 'data', DATA_COLUMN: 'a' }, { dataset, dataBars: makeSinBars(2, [0]) });
+        assert.deepEqual(inspectBar(state, 1).map(({ name, value }) => ({ name, value })), [{ name: 'a', value: 6 }]);
+        assert.equal(describePosition(state, 1), 'second');
+    });
+
+    it('gives the angle a bar is moving to after the bars shift', () => {
+        const state = makeState({}, { shiftCount: 1 });
+        assert.equal(describePosition(state, 1), 'x = 0 = 0.0000');
+    });
+
+    it('finds nothing while the Fourier series could not be built', () => {
+        assert.deepEqual(inspectBar(makeState({ MODE: 'fourier' }), 0), []);
+    });
+});
@@ -0,0 +1,57 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { synthesize, waveTable, pitchFor, loudnessFor } from '../src/sonify.js';
+import { SHIFT_RATE, BAR_HEIGHT_SCALAR, BASE_PITCH, PITCH_BOUNDS } from '../src/initial.js';
+
+const assertClose = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-6, `${actual} is not ${expected}`);
+
+describe('waveTable', () => {
+    it('puts a sine wave in the sine coefficient of its first harmonic', () => {
+        const { real, imag } = waveTable([0, 1, 0, -1]);
+        real.forEach((value) => assertClose(value, 0));
+        assertClose(imag[1], 1);
+    });
+
+    it('is silent for flat values', () => {
+        const { real, imag } = waveTable([3, 3, 3, 3]);
+        assert.ok(real.every((value) => value === 0));
+        assert.ok(imag.every((value) => value === 0));
+    });
+});
+
+describe('synthesize', () => {
+    it('renders a period of a sine wave as sin at the frequency', () => {
+        const frequency = 100;
+        const sampleRate = 8000;
+        const samples = synthesize([0, 1, 0, -1], { frequency, sampleRate, length: sampleRate / frequency });
+        assert.ok(samples instanceof Float32Array);
+        assert.equal(samples.length, 80);
+        samples.forEach((sample, i) => assertClose(sample, Math.sin(Math.PI * 2 * frequency * i / sampleRate)));
+    });
+
+    it('scales the samples by the gain', () => {
+        const samples = synthesize([0, 1, 0, -1], { frequency: 1, sampleRate: 4, length: 4, gain: 0.5 });
+        [0, 0.5, 0, -0.5].forEach((expected, i) => assertClose(samples[i], expected));
+    });
+
+    it('renders silence for flat values', () => {
+        const samples = synthesize([1, 1, 1, 1], { frequency: 100, sampleRate: 8000, length: 80 });
+        assert.ok(samples.every((sample) => sample === 0));
+    });
+});
+
+describe('pitchFor', () => {
+    it('follows the shift rate within PITCH_BOUNDS', () => {
+        assert.equal(pitchFor(SHIFT_RATE), BASE_PITCH);
+        assert.equal(pitchFor(0), PITCH_BOUNDS.min);
+        assert.equal(pitchFor(SHIFT_RATE * 1e6), PITCH_BOUNDS.max);
+    });
+});
+
+describe('loudnessFor', () => {
+    it('rises with the bar height up to the volume', () => {
+        assert.equal(loudnessFor(0, 0.8), 0);
+        assert.equal(loudnessFor(BAR_HEIGHT_SCALAR, 0.8), 0.4);
+        assert.equal(loudnessFor(-BAR_HEIGHT_SCALAR * 10, 0.8), 0.8);
+    });
+});
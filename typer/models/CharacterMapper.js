@@ -1,4 +1,6 @@
-import { FONT_SIZE, ALL_CHARS } from '../src/constants.js';
+import { FONT_FAMILY, FONT_SIZE, ALL_CHARS } from '../src/constants.js';
+import { fontString } from '../src/fonts.js';
+import { splitGraphemes } from '../src/text.js';
 
 /**
  * Class used to map characters to arrays.
@@ -7,31 +9,43 @@ export class CharacterMapper {
 
     /**
      * Contructs a new CharacterMapper object.
+     * @param {HTMLCanvasElement} canvas the canvas to draw characters in; it is resized to a
+     *                                   square, grown for characters too big for it, and
+     *                                   should not be on the page
+     * @param {object}            [font] the font to draw characters in, as setFont takes it
      */
-    constructor() {
-        // Create a square to draw characters in
-        const canvas = document.createElement('canvas');
-        canvas.width = FONT_SIZE + 5; // include an extra 5px for padding
-        canvas.height = canvas.width;
+    constructor(canvas, { family=FONT_FAMILY, size=FONT_SIZE }={}) {
         // set instance variables
         Object.assign(this, {
             _canvas: canvas,
-            _context: canvas.getContext('2d', { alpha: false }),
-            _canvasCenterX: canvas.width / 2,
-            _canvasCenterY: canvas.height / 2,
-            _canvasCorners: [0, 0, canvas.width, canvas.height],
-            _alreadyCalculated: {}
+            _context: canvas.getContext('2d'),
+            _kerning: {}
         });
-        // set font weight to something larger and center text
-        this._context.font = `${FONT_SIZE}px Gotu`;
-        this._context.fillStyle = '#ffffff';
-        this._context.textAlign = 'center';
-        this._context.textBaseline = 'middle';
-
-        // Precalculate common characters [a-zA-Z]
-        this.getArrayForAll();
+        this.setFont({ family, size });
     } // constructor
 
+    /**
+     * Draws characters in a new font from now on. Characters drawn before
+     * are forgotten, since they were drawn in the old font, so the font
+     * should have loaded before it is set.
+     *
+     * @param {object} font
+     * @param {string} font.family the font family, or a list of them to fall back on
+     * @param {number} font.size   the font size in pixels
+     */
+    setFont({ family, size }) {
+        Object.assign(this, {
+            font: fontString({ family, size }),
+            _alreadyCalculated: {},
+            _lineMetrics: null
+        });
+        // Make the canvas a square with room for wide characters and descenders
+        this._resizeCanvas(size * 2, size * 2, Math.round(size / 2), Math.round(size * 1.25));
+    } // setFont
+
+    /**
+     * Precalculates common characters [a-zA-Z].
+     */
     getArrayForAll() {
         for (let i = 0; i < ALL_CHARS.length; i++) {
             this.getArrayFor(ALL_CHARS.charAt(i));
@@ -39,122 +53,230 @@ export class CharacterMapper {
     } // getArrayForAll
 
     /**
-     * Returns an array representing the character passed in.
+     * Returns a glyph record for the character passed in: how much it covers each
+     * of its pixels, cropped to the box that measureText gives it, and its metrics
+     * in pixels. samplePoints picks the points to draw circles at from coverage.
+     *
+     * leftBearing is the distance from the pen position to the first column of
+     * pixels, and rightBearing the distance from the last column to the advance,
+     * where the pen moves to for the next character. ascent and descent are how
+     * far the pixels reach above and below the baseline, and baseline is the row
+     * of pixels the baseline runs along, which can be past the last row.
+     * font is the font it was drawn in.
+     *
+     * A character can be any grapheme cluster, such as an accented letter or
+     * an emoji made of several code points. Characters drawn in color, like most
+     * emoji, also have the color of each pixel in colors, which is null otherwise.
+     * coverage has how much of each pixel the character covers, from 0 to 1,
+     * since pixels on its edges are only partly covered.
+     *
      * @param {string} character the character to create an array for
-     * @throws {Error} if character is not a string nor is a length of one
-     * @return an array representing the character passed in
-     *         where a truthy index indicates that a pixel is present
+     * @throws {Error} if character is not a string of a single grapheme cluster
+     * @return {{ coverage: number[][], colors: ?string[][], advance: number, leftBearing: number,
+     *         rightBearing: number, ascent: number, descent: number, baseline: number, font: string }}
+     *         the glyph record
      */
     getArrayFor(character) {
-        if (typeof character !== 'string' || character.length !== 1) {
-            throw new Error('Argument must be a string of one length.');
+        if (typeof character !== 'string' || splitGraphemes(character).length !== 1) {
+            throw new Error('Argument must be a string of one character.');
         } // if
 
-        // check if the array for this character has already been calculated
-        const _2dCharacterArray = this._alreadyCalculated[character];
-        if (_2dCharacterArray) {
-            return _2dCharacterArray;
+        // check if the glyph for this character has already been calculated
+        const glyph = this._alreadyCalculated[character];
+        if (glyph) {
+            return glyph;
         } // if
 
-        // draw character and get image data array
-        this._context.fillText(character, this._canvasCenterX, this._canvasCenterY);
-        const imageDataArray = this._context.getImageData(...this._canvasCorners).data;
+        // crop to the character's box, which can be empty, such as for a space
+        const metrics = this._context.measureText(character);
+        this._makeRoomFor(metrics);
+        const left = Math.max(0, Math.floor(this._originX - metrics.actualBoundingBoxLeft));
+        const right = Math.min(this._canvas.width, Math.ceil(this._originX + metrics.actualBoundingBoxRight));
+        const top = Math.max(0, Math.floor(this._baselineY - metrics.actualBoundingBoxAscent));
+        const bottom = Math.min(this._canvas.height, Math.ceil(this._baselineY + metrics.actualBoundingBoxDescent));
+        const width = Math.max(0, right - left);
+        const height = Math.max(0, bottom - top);
+
+        let coverage = [];
+        let colors = null;
+        if (width > 0 && height > 0) {
+            // draw character and get image data array
+            this._context.fillText(character, this._originX, this._baselineY);
+            const imageArray = this._context.getImageData(left, top, width, height).data;
+            coverage = this._readCoverage(imageArray, width);
+            colors = this._readColors(imageArray, width);
+            // clear canvas for next character
+            this._context.clearRect(...this._canvasCorners);
+        } // if
 
-        // get the 2D version
-        const _2dVersion = this._convertTo2DArray(imageDataArray);
+        const record = {
+            coverage,
+            colors,
+            advance: metrics.width,
+            leftBearing: left - this._originX,
+            rightBearing: metrics.width - (right - this._originX),
+            ascent: this._baselineY - top,
+            descent: bottom - this._baselineY,
+            baseline: this._baselineY - top,
+            font: this.font
+        };
         // add it to a cache avoid recalculating it
-        this._alreadyCalculated[character] = _2dVersion;
-        console.log(this._alreadyCalculated);
+        this._alreadyCalculated[character] = record;
+        return record;
+    } // getArrayFor
 
-        // clear canvas for next character
-        this._context.clearRect(...this._canvasCorners);
+    /**
+     * Returns how much closer together, or further apart if positive, a pair of
+     * characters is drawn than their advances alone would put them. It is the
+     * width measured for the pair minus the widths measured for each character.
+     *
+     * @param {string} left             the first character of the pair
+     * @param {string} right            the character that follows it
+     * @param {string} [font=this.font] the font the pair was drawn in, as a glyph record has it
+     * @return {number} the adjustment to the advance of left, in pixels
+     */
+    getKerning(left, right, font=this.font) {
+        const key = `${font}|${left}${right}`;
+        if (!(key in this._kerning)) {
+            const measure = (text) => this.measureWidth(text, font);
+            this._kerning[key] = measure(`${left}${right}`) - measure(left) - measure(right);
+        } // if
+        return this._kerning[key];
+    } // getKerning
 
-        return _2dVersion;
-    } // getArrayFor
+    /**
+     * Returns how far the pen moves drawing some text in a font,
+     * without changing the font that characters are drawn in.
+     * @param {string} text             the text to measure
+     * @param {string} [font=this.font] the CSS font to measure it in
+     * @return {number} the width in pixels
+     */
+    measureWidth(text, font=this.font) {
+        this._context.font = font;
+        const { width } = this._context.measureText(text);
+        this._context.font = this.font;
+        return width;
+    } // measureWidth
+
+    /**
+     * Returns how far the font reaches above and below the baseline, which
+     * every line of text shares. Falls back on the furthest the common
+     * characters reach where the font's own box cannot be measured.
+     *
+     * @return {{ ascent: number, descent: number }} the distances in pixels
+     */
+    getLineMetrics() {
+        if (!this._lineMetrics) {
+            const { fontBoundingBoxAscent, fontBoundingBoxDescent } = this._context.measureText(ALL_CHARS);
+            const glyphs = Array.from(ALL_CHARS, (character) => this.getArrayFor(character));
+            this._lineMetrics = {
+                ascent: fontBoundingBoxAscent || Math.max(...glyphs.map(({ ascent }) => ascent)),
+                descent: fontBoundingBoxDescent || Math.max(...glyphs.map(({ descent }) => descent))
+            };
+        } // if
+        return this._lineMetrics;
+    } // getLineMetrics
+
+    /**
+     * Grows the canvas if a character's box reaches past any of its edges
+     * when drawn from the origin, moving the origin to keep room on the
+     * left and above. Glyphs already calculated are kept, since their
+     * metrics do not depend on where they were drawn.
+     * @private
+     * @param {TextMetrics} metrics what measureText gave for the character
+     */
+    _makeRoomFor(metrics) {
+        const originX = Math.max(this._originX, Math.ceil(metrics.actualBoundingBoxLeft));
+        const baselineY = Math.max(this._baselineY, Math.ceil(metrics.actualBoundingBoxAscent));
+        const width = Math.max(this._canvas.width - this._originX + originX, originX + Math.ceil(metrics.actualBoundingBoxRight));
+        const height = Math.max(this._canvas.height - this._baselineY + baselineY, baselineY + Math.ceil(metrics.actualBoundingBoxDescent));
+        if (width !== this._canvas.width || height !== this._canvas.height) {
+            this._resizeCanvas(width, height, originX, baselineY);
+        } // if
+    } // _makeRoomFor
 
     /**
-     * Returns the trimmed 2D version of an image data array.
+     * Resizes the canvas and sets where characters are drawn from.
      * @private
-     * @param {Uint8ClampedArray} imageArray an image data array to convert
-     * @return the 2D version of an image data array
+     * @param {number} width     the width of the canvas in pixels
+     * @param {number} height    the height of the canvas in pixels
+     * @param {number} originX   the x-coordinate characters are drawn from
+     * @param {number} baselineY the y-coordinate of the baseline characters are drawn on
      */
-    _convertTo2DArray(imageArray) {
+    _resizeCanvas(width, height, originX, baselineY) {
+        this._canvas.width = width;
+        this._canvas.height = height;
+        Object.assign(this, {
+            // where characters are drawn from, on their baseline
+            _originX: originX,
+            _baselineY: baselineY,
+            _canvasCorners: [0, 0, width, height]
+        });
+        // Resizing the canvas resets its context, so set it up again to draw text from its baseline
+        this._context.font = this.font;
+        this._context.fillStyle = '#ffffff';
+        this._context.textAlign = 'left';
+        this._context.textBaseline = 'alphabetic';
+        this._context.fontKerning = 'normal';
+    } // _resizeCanvas
+
+    /**
+     * Returns how much of each pixel of an image data array is covered, from its alpha.
+     * @private
+     * @param {Uint8ClampedArray} imageArray an image data array to read
+     * @param {number}            width      the width of the image in pixels
+     * @return {number[][]} the coverage of each pixel, from 0 to 1
+     */
+    _readCoverage(imageArray, width) {
         // The image data array has elements in the order of RGBA,
-        // so its length is quadrupled. This project cares not for color
-        // and just needs to know if a pixel is present, so increment by 4.
+        // so its length is quadrupled, and the alpha is every fourth element.
 
         // The looping is done this way to maximize performance.
         // See the following for elaboration:
         // https://stackoverflow.com/questions/5349425/whats-the-fastest-way-to-loop-through-an-array-in-javascript
         // Also, forEach is not defined for this type.
-        let currentRow = [];
-        const _2dVersion = [];
+        const coverage = [];
         const imageArrayLength = imageArray.length;
         for (let i = 0; i < imageArrayLength; i += 4) {
-            // switch to a new row if necessary
-            if (currentRow.length === this._canvas.width) {
-                _2dVersion.push(currentRow);
-                currentRow = [];
-            } // if
-
-            // get byte representing the color from image data array
-            const imageByteColor = imageArray[i];
-
-            // 255 because font color was set to #ffffff in constructor.
-            // Can't use black because that's the default.
-            if (imageByteColor === 255) {
-                currentRow.push(CharacterMapper.pixelPresent);
-            } else {
-                currentRow.push(CharacterMapper.pixelNotPresent);
+            if (i % (width * 4) === 0) {
+                coverage.push([]);
             } // if
+            coverage[coverage.length - 1].push(imageArray[i + 3] / 255);
         } // for
-
-        this._trimExcess(_2dVersion); // don't want to cahce empty columns
-        return _2dVersion;
-    } // _convertTo2DArray
+        return coverage;
+    } // _readCoverage
 
     /**
-     * Returns an integer denoting the "width" of an array,
-     * which I define as the index of the last truthy value
-     * minus the index of the first truthy value plus one.
-     *
-     * A negative width indicates that no truthy values were found.
-     *
-     * @param {!object[][]} array the array of whose "width" to calculate
-     * @return the "width", as defined above, of array
+     * Returns the color of each pixel of an image data array, if any pixel is
+     * not grey. Characters are drawn in white, so only those with colors of
+     * their own, like emoji, have any.
+     * @private
+     * @param {Uint8ClampedArray} imageArray an image data array to read
+     * @param {number}            width      the width of the image in pixels
+     * @return {?string[][]} the CSS color of each pixel, or null for pixels that are not
+     *         covered at all, or null if the image is grey
      */
-     _getArrayWidth(array) {
-        let firstElementIndex = -1;
-        let lastElementIndex = -1;
-        array.forEach((row) => {
-            row.forEach((elem, i) => {
-                if (elem && (firstElementIndex < 0 || i < firstElementIndex)) {
-                    firstElementIndex = i;
-                    lastElementIndex = i;
-                } else if (elem && i > lastElementIndex) {
-                    lastElementIndex = i;
-                }// if
-            });
-        });
-        return [lastElementIndex - firstElementIndex + 1, firstElementIndex];
-    } // getArrayWidth
+    _readColors(imageArray, width) {
+        let colored = false;
+        const imageArrayLength = imageArray.length;
+        for (let i = 0; i < imageArrayLength && !colored; i += 4) {
+            colored = imageArray[i + 3] >= 128
+                && (imageArray[i] !== imageArray[i + 1] || imageArray[i + 1] !== imageArray[i + 2]);
+        } // for
+        if (!colored) {
+            return null;
+        } // if
 
-    /**
-     * Trims columns that contain no truthy values.
-     * @param {!object[]][]} array
-     */
-    _trimExcess(array) {
-        const [width, first] = this._getArrayWidth(array);
-        array.forEach((row) => {
-            row.splice(0, first); // the first truthy index is also the number of elements before that index
-            row.splice(width, row.length); // the width indicates the distance from the first truthy index to the last
-        });
-    } // trimExcess
+        const colors = [];
+        for (let i = 0; i < imageArrayLength; i += 4) {
+            if (i % (width * 4) === 0) {
+                colors.push([]);
+            } // if
+            colors[colors.length - 1].push(imageArray[i + 3] > 0
+                ? `rgb(${imageArray[i]}, ${imageArray[i + 1]}, ${imageArray[i + 2]})`
+                : null);
+        } // for
+        return colors;
+    } // _readColors
 
 } // CharacterMapper
-
-// Because not all browsers support using `static`
-/** Value representing that a pixel of the character is present. */
-CharacterMapper.pixelPresent = 1;
-/** Value representing that a pixel of the character is not present. */
-CharacterMapper.pixelNotPresent = 0;
\ No newline at end of file
@@ -1,5 +1,7 @@
 import { Orbit } from './Orbit.js';
-import { THRESHOLD, TRAVEL_FACTOR } from '../src/constants.js';
+import { ease } from '../../shared/src/easings.js';
+import { FRAME_DURATION } from '../../shared/src/constants.js';
+import { BEHAVIOR_EASINGS } from '../src/constants.js';
 
 /**
  * Object that represents an enum
@@ -19,13 +21,50 @@ import { THRESHOLD, TRAVEL_FACTOR } from '../src/constants.js';
  *                                             orbiting around a point
  * @property {string} CircleBehavior.TRAVELING move the Circle as if it's
  *                                             intentionally moving toward a point
+ * @property {string} CircleBehavior.LEAVING   move the Circle toward a point
+ *                                             while it shrinks away
  */
 export const CircleBehavior = Object.freeze({
     AMBIENT: 'AMBIENT',
     ORBITING: 'ORBITING',
-    TRAVELING: 'TRAVELING'
+    TRAVELING: 'TRAVELING',
+    LEAVING: 'LEAVING'
 });
 
+/**
+ * Object mapping each CircleBehavior that moves a Circle toward a
+ * destination to the easing used for that motion. Unlike
+ * BEHAVIOR_EASINGS, it is not frozen so it can be changed while running.
+ *
+ * @namespace
+ * @const {!Object.<string, object>}
+ */
+export const behaviorEasings = {
+    [CircleBehavior.TRAVELING]: { ...BEHAVIOR_EASINGS.TRAVELING },
+    [CircleBehavior.ORBITING]: { ...BEHAVIOR_EASINGS.ORBITING },
+    [CircleBehavior.LEAVING]: { ...BEHAVIOR_EASINGS.LEAVING }
+};
+
+/**
+ * How Circle objects move. While reduced is true, circles that are
+ * bouncing around or orbiting stay still, and circles that are
+ * traveling or leaving jump straight to their destination. Not frozen so it can
+ * be changed while running, like behaviorEasings.
+ *
+ * @namespace
+ * @property {boolean} motion.reduced whether to keep motion to a minimum
+ */
+export const motion = {
+    reduced: false
+};
+
+/**
+ * Where Circle objects announce that they have changed behavior on their own,
+ * with a 'changedbehavior' CustomEvent whose detail is { circle, from, to }.
+ * @const {!EventTarget}
+ */
+export const circleEvents = new EventTarget();
+
 /**
  * Class representing a Circle that can move within a canvas element.
  */
@@ -84,71 +123,86 @@ export class Circle {
     } // _updateDY
 
     /**
-     * Updates this Circle's position based on its velocities.
+     * Updates this Circle's position based on its velocities,
+     * which are measured in pixels per frame at 60 frames per second.
+     * @param {number} elapsed the time in milliseconds since the last update
      */
-    _updatePositionWithVelocity() {
-        this._x += this._dx;
-        this._y += this._dy;
+    _updatePositionWithVelocity(elapsed) {
+        const frames = elapsed / FRAME_DURATION;
+        this._x += this._dx * frames;
+        this._y += this._dy * frames;
     } // _updatePositionWithVelocity
 
+    /**
+     * Moves this Circle along its behavior's easing from where
+     * it was when its destination was set to its destination.
+     * @param {number} elapsed the time in milliseconds since the last update
+     * @param {number} frames  the number of frames, at 60 frames per second,
+     *                         to reach the destination by
+     */
+    _moveTowardDestination(elapsed, frames) {
+        const { easing, ...options } = behaviorEasings[this._behavior];
+        this._progress = motion.reduced ? 1 : Math.min(1, this._progress + elapsed / (frames * FRAME_DURATION));
+        const amount = ease(easing, this._progress, options);
+        const { _start: start, _destination: dest } = this;
+        this.moveTo(start.x + (dest.x - start.x) * amount, start.y + (dest.y - start.y) * amount);
+    } // _moveTowardDestination
+
     /**
      * Handles moving this Circle around on the canvas as if it were just bouncing around.
      * @param {number} maxHorizontal the maximum horizontal bound of the Circle on the canvas
      * @param {number} maxVertical   the maximum vertical bound of the Circle on the canvas
+     * @param {number} elapsed       the time in milliseconds since the last update
      * @throws {Error} if maxHorizontal or maxVertical is falsy
      */
-    _handleAmbient(maxHorizontal, maxVertical) {
+    _handleAmbient(maxHorizontal, maxVertical, elapsed) {
         if (!maxHorizontal || !maxVertical) {
             throw new Error('Both bounds must be provided.');
         } // if
         this._updateDX(0, maxHorizontal);
         this._updateDY(0, maxVertical);
-        this._updatePositionWithVelocity();
+        this._updatePositionWithVelocity(elapsed);
     } // _handleAmbient
 
     /**
      * Orbits this circle around a path specified by an Orbit object.
+     * @param {number} elapsed the time in milliseconds since the last update
      * @throws {Error} if this._orbit is falsy or its type !== 'object'
      */
-    _handleOrbiting() {
+    _handleOrbiting(elapsed) {
         // Check if the property exists (typeof null === 'object')
         if (!this._orbit || typeof this._orbit !== 'object') {
             throw new Error('This Circle does not have an Orbit object.');
         } // if
 
-        const { _x: x, _y: y, _destination: dest, _orbit: orbit } = this;
         // Calculate next coordinate while factoring in amount of franes to reach this._destination by.
-        const inbetweenX = x + (dest.x - x) / orbit.travelFactor;
-        const inbetweenY = y + (dest.y - y) / orbit.travelFactor;
-        this.moveTo(inbetweenX, inbetweenY);
+        this._moveTowardDestination(elapsed, this._orbit.travelFactor);
 
         // Update coordinates only if necessary
         if (this.hasReacedDestination()) {
-            this._destination = orbit.followOrbit();
+            this.setDestination(this._orbit.followOrbit());
         } // if
     } // _handleOrbiting
 
     /**
      * Handles moving this Circle toward a point
      * specified through this.setDestination.
+     * @param {number} elapsed the time in milliseconds since the last update
      * @throws {Error} if this._destination was not set by this.setDestination
      */
-    _handleTraveling() {
+    _handleTraveling(elapsed) {
         // Prechecks
         if (!this._destination || typeof this._destination !== 'object') {
             throw new Error('This Circle does not have a destination to travel to.');
         } // if
 
-        const { _x: x, _y: y, _destination: dest } = this;
-        const nextX = x + (dest.x - this._x) / TRAVEL_FACTOR.x; // TODO: magic #
-        const nextY = y + (dest.y - this._y) / TRAVEL_FACTOR.y; // TODO: magic #
-        this.moveTo(nextX, nextY);
+        this._moveTowardDestination(elapsed, behaviorEasings[CircleBehavior.TRAVELING].frames);
 
         // Switch to CircleBehavior.ORBITING once destination has been reached.
         if (this.hasReacedDestination()) {
-            // Dispatch an event through window to notify `main.js`
+            // Dispatch an event through circleEvents to notify `app.js`
             // to switch this Circle to a new classification
-            window.dispatchEvent(new CustomEvent('changedbehavior', {
+            circleEvents.dispatchEvent(new CustomEvent('changedbehavior', {
                 detail: {
                     circle: this,
                     from: this._behavior,
@@ -159,6 +213,16 @@ export class Circle {
         } // if
     } // _handleTraveling
 
+    /**
+     * Moves this Circle toward the point set by this.leave,
+     * shrinking it until it is gone once the point is reached.
+     * @param {number} elapsed the time in milliseconds since the last update
+     */
+    _handleLeaving(elapsed) {
+        this._moveTowardDestination(elapsed, behaviorEasings[CircleBehavior.LEAVING].frames);
+        this._radius = this._leavingRadius * (1 - this._progress);
+    } // _handleLeaving
+
     /**
      * Updates this Circle's x and y
      * coordinates based on its velocities
@@ -166,33 +230,37 @@ export class Circle {
      *
      * @param {number} bounds.width  the width of the container
      * @param {number} bounds.height the height of the container
+     * @param {number} [elapsed=FRAME_DURATION] the time in milliseconds since the last update
      */
-    update({ width: maxHorizontal, height: maxVertical }={}) {
+    update({ width: maxHorizontal, height: maxVertical }={}, elapsed=FRAME_DURATION) {
+        // Only circles on their way to or from a letter move when motion is reduced
+        if (motion.reduced && (this._behavior === CircleBehavior.AMBIENT || this._behavior === CircleBehavior.ORBITING)) {
+            return;
+        } // if
+
         switch (this._behavior) {
         case CircleBehavior.AMBIENT:
-            this._handleAmbient(maxHorizontal, maxVertical);
+            this._handleAmbient(maxHorizontal, maxVertical, elapsed);
             break;
         case CircleBehavior.ORBITING:
-            this._handleOrbiting();
+            this._handleOrbiting(elapsed);
             break;
         case CircleBehavior.TRAVELING:
-            this._handleTraveling();
+            this._handleTraveling(elapsed);
+            break;
+        case CircleBehavior.LEAVING:
+            this._handleLeaving(elapsed);
             break;
         } // switch
     } // update
 
     /**
-     * Checks if this Circle has reached its destination.
-     * @param {number} [threshold=THRESHOLD] the acceptable difference between this
-     *                                       Circle's position and its destination
+     * Checks if this Circle has reached its destination,
+     * meaning the easing toward it is complete.
      * @return true if the destination has been reached; false otherwise
      */
-    hasReacedDestination(threshold=THRESHOLD) {
-        const { _x: x, _y: y, _destination: dest } = this;
-        const { sqrt, pow } = Math;
-        return sqrt(pow(x - dest.x, 2) + pow(y - dest.y, 2)) < threshold;
-        // return Math.abs(this._x - this._destination.x) < threshold
-        //     && Math.abs(this._y - this._destination.y) < threshold;
+    hasReacedDestination() {
+        return this._progress >= 1;
     } // hasReacedDestination
 
     /**
@@ -239,7 +307,8 @@ export class Circle {
     } // setBehavior
 
     /**
-     * Sets the destination coordinates to travel to.
+     * Sets the destination coordinates to travel to, starting
+     * a new motion from this Circle's current position.
      * Only has an effect if this Circle's behavior is
      * one of CircleBehavior.ORBITING or CircleBehavior.TRAVELING.
      *
@@ -248,9 +317,24 @@ export class Circle {
      * @param {number}                  destinationCoordinates.y the y-coordinate to travel to
      */
     setDestination(destinationCoordinates) {
-        this._destination = destinationCoordinates;
+        Object.assign(this, {
+            _start: { x: this._x, y: this._y },
+            _destination: destinationCoordinates,
+            _progress: 0
+        });
     } // setDestination
 
+    /**
+     * Starts this Circle leaving: it moves toward a point while it shrinks,
+     * and has left once it has reached the point.
+     * @param {Object.<string, number>} destinationCoordinates the x and y-coordinates to leave toward
+     */
+    leave(destinationCoordinates) {
+        this._leavingRadius = this._radius;
+        this.setBehavior(CircleBehavior.LEAVING);
+        this.setDestination(destinationCoordinates);
+    } // leave
+
     /**
      * Sets the center to revolve around.
      * @param {Orbit} orbit the new orbit path to follow if using CircleBehavior.ORBITING
@@ -1,5 +1,5 @@
-import { SIN_VALUES } from '../../sine_grapher/src/initial.js';
-import { COS_VALUES, ORBIT_TRAVEL_FACTOR } from '../src/constants.js';
+import { makeSamples } from '../../shared/src/sampling.js';
+import { ORBIT_SAMPLES, ORBIT_TRAVEL_FACTOR } from '../src/constants.js';
 const { max, min } = ORBIT_TRAVEL_FACTOR;
 
 /**
@@ -13,34 +13,38 @@ export class Orbit {
      * @param {number}                  config.x      the x-center of this Orbit
      * @param {number}                  config.y      the y-center of this Orbit
      * @param {number}                  config.radius the radius of this orbit
+     * @param {number}                  [config.samples=ORBIT_SAMPLES] the number of points along the path
      */
-    constructor({ x, y, radius }) {
+    constructor({ x, y, radius, samples=ORBIT_SAMPLES }) {
+        const samplesTable = makeSamples({ samples });
         Object.assign(this, {
             _x: x,
             _y: y,
             _radius: radius,
-            currentAngleIndex: Math.floor(Math.random() * SIN_VALUES.length),
+            _samples: samplesTable,
+            currentAngleIndex: Math.floor(Math.random() * samples),
             travelFactor: Math.floor(Math.random() * (max - min + 1)) + min
         });
     } // constrcutor
 
     /**
      * Returns the next x and y coordinate on the path
-     * in order to reach the next unit circle defined
-     * point in this.travelFactor amount of frames.
+     * in order to reach the next sampled point
+     * in this.travelFactor amount of frames.
      * @return an object with x and y properties
      *         that move along this Orbit's path
      */
     followOrbit() {
         // Calculate coordinates
+        const { sin, cos } = this._samples;
         const newXCoordinate = this._x +
-            (COS_VALUES[this.currentAngleIndex] * this._radius);
+            (cos[this.currentAngleIndex] * this._radius);
         const newYCoordinate = this._y +
-            (SIN_VALUES[this.currentAngleIndex] * this._radius);
+            (sin[this.currentAngleIndex] * this._radius);
 
         // Handle setup for next calculation
         this.currentAngleIndex++;
-        if (this.currentAngleIndex === SIN_VALUES.length) {
+        if (this.currentAngleIndex === sin.length) {
             this.currentAngleIndex = 0;
         } // if
 
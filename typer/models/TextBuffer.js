@@ -0,0 +1,164 @@
+/**
+ * Represents the text typed so far, with a cursor and a selection.
+ *
+ * The buffer holds one entry per character, in order. An entry can be any
+ * object with a character property, so whoever fills the buffer can keep
+ * what belongs to each character, such as its circles, alongside it.
+ *
+ * The selection runs between the anchor, where it started, and the cursor,
+ * where it ended. Both are indices between entries, from 0 before the
+ * first entry to characters.length after the last, and they are equal
+ * when nothing is selected.
+ */
+export class TextBuffer {
+
+    /**
+     * Constructs an empty TextBuffer object.
+     */
+    constructor() {
+        Object.assign(this, {
+            characters: [],
+            cursor: 0,
+            anchor: 0
+        });
+    } // constructor
+
+    /**
+     * The text of every entry joined together.
+     * @type {string}
+     */
+    get text() {
+        return this.characters.map(({ character }) => character).join('');
+    } // text
+
+    /**
+     * Returns where the selection starts and ends, whichever
+     * way it was made.
+     * @return {{ start: number, end: number }} the index before the first selected
+     *         entry and the index after the last
+     */
+    selection() {
+        return { start: Math.min(this.cursor, this.anchor), end: Math.max(this.cursor, this.anchor) };
+    } // selection
+
+    /**
+     * Checks if any entries are selected.
+     * @return true if the selection is not empty, false otherwise
+     */
+    hasSelection() {
+        return this.cursor !== this.anchor;
+    } // hasSelection
+
+    /**
+     * Returns the text of the selected entries.
+     * @return {string} the selected text, or an empty string if nothing is selected
+     */
+    selectedText() {
+        const { start, end } = this.selection();
+        return this.characters.slice(start, end).map(({ character }) => character).join('');
+    } // selectedText
+
+    /**
+     * Moves the cursor to an index, clamped to the text.
+     * @param {number}  index          the index to move to
+     * @param {boolean} [extend=false] whether to extend the selection to the index
+     *                                 instead of clearing it
+     */
+    moveTo(index, extend=false) {
+        this.cursor = Math.max(0, Math.min(this.characters.length, index));
+        if (!extend) {
+            this.anchor = this.cursor;
+        } // if
+    } // moveTo
+
+    /**
+     * Moves the cursor by a number of entries. Moving without extending
+     * while something is selected clears the selection, leaving the
+     * cursor at its start or end in the direction of the move.
+     *
+     * @param {number}  offset         the number of entries to move by, negative to move back
+     * @param {boolean} [extend=false] whether to extend the selection instead of clearing it
+     */
+    moveBy(offset, extend=false) {
+        if (!extend && this.hasSelection()) {
+            const { start, end } = this.selection();
+            this.moveTo(offset < 0 ? start : end);
+        } else {
+            this.moveTo(this.cursor + offset, extend);
+        } // if
+    } // moveBy
+
+    /**
+     * Moves the cursor to the start or end of its line, as split by '\n'.
+     * @param {boolean} toEnd          whether to move to the end of the line instead of the start
+     * @param {boolean} [extend=false] whether to extend the selection instead of clearing it
+     */
+    moveToLineEdge(toEnd, extend=false) {
+        let index = this.cursor;
+        if (toEnd) {
+            while (index < this.characters.length && this.characters[index].character !== '\n') {
+                index++;
+            } // while
+        } else {
+            while (index > 0 && this.characters[index - 1].character !== '\n') {
+                index--;
+            } // while
+        } // if
+        this.moveTo(index, extend);
+    } // moveToLineEdge
+
+    /**
+     * Selects every entry.
+     */
+    selectAll() {
+        Object.assign(this, { anchor: 0, cursor: this.characters.length });
+    } // selectAll
+
+    /**
+     * Inserts entries at the cursor, replacing the selection,
+     * and moves the cursor after them.
+     * @param {object[]} entries the entries to insert, each with a character property
+     * @return {object[]} the entries that were selected and have been removed
+     */
+    insert(entries) {
+        const removed = this._deleteSelection();
+        this.characters.splice(this.cursor, 0, ...entries);
+        this.moveTo(this.cursor + entries.length);
+        return removed;
+    } // insert
+
+    /**
+     * Deletes the selection, or the entry before the cursor if nothing is selected.
+     * @return {object[]} the entries that have been removed
+     */
+    deleteBackward() {
+        if (!this.hasSelection()) {
+            this.moveTo(this.cursor - 1, true);
+        } // if
+        return this._deleteSelection();
+    } // deleteBackward
+
+    /**
+     * Deletes the selection, or the entry after the cursor if nothing is selected.
+     * @return {object[]} the entries that have been removed
+     */
+    deleteForward() {
+        if (!this.hasSelection()) {
+            this.moveTo(this.cursor + 1, true);
+        } // if
+        return this._deleteSelection();
+    } // deleteForward
+
+    /**
+     * Removes the selected entries and leaves the cursor where they were.
+     * @private
+     * @return {object[]} the entries that have been removed
+     */
+    _deleteSelection() {
+        const { start, end } = this.selection();
+        const removed = this.characters.splice(start, end - start);
+        this.moveTo(start);
+        return removed;
+    } // _deleteSelection
+
+} // TextBuffer
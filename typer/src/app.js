@@ -0,0 +1,745 @@
+import { CanvasRenderer } from '../../shared/models/CanvasRenderer.js';
+import { SvgRenderer } from '../../shared/models/SvgRenderer.js';
+import { Circle, CircleBehavior, behaviorEasings, circleEvents, motion } from '../models/Circle.js';
+import { CharacterMapper } from '../models/CharacterMapper.js';
+import { TextBuffer } from '../models/TextBuffer.js';
+import { Clock } from '../../shared/models/Clock.js';
+import { Recorder } from '../../shared/models/Recorder.js';
+import { addClockFolder, addRecordingFolder, addThemeFolder } from '../../shared/src/gui.js';
+import { download } from '../../shared/src/download.js';
+import { chooseFile } from '../../shared/src/files.js';
+import { readHash, collectParams, applyParams, watchState, savePresets } from '../../shared/src/state.js';
+import { EASINGS } from '../../shared/src/easings.js';
+import { makeAnnouncer } from '../../shared/src/a11y.js';
+import { layoutText, cursorPosition } from './layout.js';
+import { fontString, loadFont, loadFontFile, isFontAvailable } from './fonts.js';
+import { splitGraphemes, isPrintable } from './text.js';
+import { samplePoints } from './sampling.js';
+import {
+    RADIUS_BOUNDS, SPEED_SCALAR, CIRCLE_AMOUNT, OFFSET, CHAR_CIRCLE_RADIUS, SHARED_TEXT_LIMIT,
+    LINE_SPACING, TEXT_MARGIN, TEXT_ALIGNS, TEXT_ALIGN, SCATTER_DISTANCE,
+    FONT_FAMILY, FONT_SIZE, FONT_SIZE_BOUNDS, FONT_FILE_TYPES,
+    SAMPLING, SAMPLING_MODES, SAMPLING_BRIGHTNESS, SAMPLING_BOUNDS
+} from './constants.js';
+
+/**
+ * Namespace that contains all necessary globals.
+ * The renderer, recorder, character mapper, input field
+ * and colors are set by startApp from what it is given.
+ *
+ * Each entry of text is a typed character with its glyph, which keeps the font
+ * it was typed in, the circles drawing it, their points relative to where the
+ * character starts on the baseline and its advance. layout is where layoutText
+ * last placed them, aligned as paragraph.align says, in lines lineHeight apart
+ * whose shared baseline is baseline below their top. New characters are typed
+ * in font, with circles at the points that sampling picks from their glyphs.
+ * @namespace
+ * @constant {Object.<string, object>}
+ */
+const GLOBALS = {
+    renderer: null,
+    recorder: null,
+    characterMapper: null,
+    colors: [],
+    cursorColor: null,
+    selectionColor: null,
+    canvasCenterX: undefined,
+    canvasCenterY: undefined,
+    circles: {
+        [CircleBehavior.AMBIENT]: [],
+        [CircleBehavior.ORBITING]: [],
+        [CircleBehavior.TRAVELING]: [],
+        [CircleBehavior.LEAVING]: []
+    },
+    text: new TextBuffer(),
+    layout: { positions: [], end: { x: 0, y: 0 } },
+    paragraph: { align: TEXT_ALIGN },
+    lineHeight: 0,
+    baseline: 0,
+    font: { family: FONT_FAMILY, size: FONT_SIZE },
+    sampling: Object.assign({}, SAMPLING),
+    inputField: null,
+    clock: new Clock()
+};
+
+/**
+ * The localStorage key that the GUI's presets are saved under.
+ */
+export const PRESETS_KEY = 'typer.presets';
+
+/**
+ * The points last picked from each glyph, with the sampling they were picked with.
+ * @type {WeakMap.<object, { key: string, samples: object[] }>}
+ */
+const sampledGlyphs = new WeakMap();
+
+/**
+ * Namespace that contains all necessary functions.
+ * @namespace
+ * @constant {Object.<string, function>}
+ * @readonly
+ */
+const FUNCTIONS = Object.freeze({
+    /**
+     * Returns a random coordinate within
+     * the bounds while accounting for length.
+     *
+     * @private
+     * @param {number} bound  the maximun value allowed
+     * @param {number} length additional length of coordinate
+     * @return a random coordinate that accounts for length within the bounds
+     */
+    _calculateWithinBounds(bound, length) {
+        // `- length` to ensure the center does not exceed the bottom side
+        // `+ length` to ensure the center does not exceed the top side
+        // `length * 2` b/c of our lower bound being length (the `+ length`)
+        return Math.random() * (bound - length * 2) + length;
+    }, // _calculateWithinBounds
+
+    /**
+     * Creates and returns a Circle object.
+     * @private
+     * @param {number} [radius] the radius of the circle; a falsy value will cause a random one to be generated
+     * @return a new Circle object with CircleBehavior.AMBIENT behavior
+     */
+    _createCircle(radius) {
+        // create radius first so it can be referenced (`+ 1` to include max)
+        radius = radius ? radius : Math.floor(Math.random() * (RADIUS_BOUNDS.max - RADIUS_BOUNDS.min + 1)) + RADIUS_BOUNDS.min;
+        const { colors } = GLOBALS;
+        const circleConfig = {
+            x: this._calculateWithinBounds(GLOBALS.renderer.width, radius),
+            y: this._calculateWithinBounds(GLOBALS.renderer.height, radius),
+            dx: (Math.random() - 0.5) * SPEED_SCALAR,
+            dy: (Math.random() - 0.5) * SPEED_SCALAR,
+            radius,
+            color: colors[Math.floor(Math.random() * colors.length)]
+        };
+        return new Circle(circleConfig);
+    }, // _createCircle
+
+    /**
+     * Creates an array of Circle
+     * objects sorted by color.
+     * @private
+     * @param {number} amount
+     * @return an array of Circle objects sorted by color
+     */
+    _createCircles(amount) {
+        const circles = [];
+
+        // create circles
+        for (let i = 0; i < amount; i++) {
+            circles.push(this._createCircle());
+        } // for
+        // sort circles
+        circles.sort((circle1, circle2) => circle1._color > circle2._color ? -1 : 1);
+
+        return circles;
+    }, // _createCircles
+
+    /**
+     * Handles all necessary operations when resizing the window.
+     */
+    init() {
+        const { canvasCenterX, canvasCenterY } = GLOBALS.renderer.resize();
+        // update properties
+        Object.assign(GLOBALS, {
+            canvasCenterX,
+            canvasCenterY
+        });
+        // create new ambient circles
+        Object.assign(GLOBALS.circles, {
+            [CircleBehavior.AMBIENT]: this._createCircles(CIRCLE_AMOUNT)
+        });
+        // glide the text into its place on the new canvas
+        this.layout();
+        // Focus onto the text field
+        GLOBALS.inputField.focus();
+    }, // init
+
+    /**
+     * Recolors every circle with a theme's series colors, and the cursor and
+     * selection with its foreground and highlight. Circles that shared a color
+     * before still share one afterwards, and those colored by their character,
+     * like the circles of an emoji, keep their colors.
+     * @param {object} palette the palette of the picked theme
+     */
+    applyTheme({ series: colors, foreground, highlight }) {
+        Object.assign(GLOBALS, { cursorColor: foreground, selectionColor: highlight });
+        for (const circleType in GLOBALS.circles) {
+            GLOBALS.circles[circleType].forEach((circle) => {
+                const i = GLOBALS.colors.indexOf(circle._color);
+                if (i >= 0) {
+                    circle._color = colors[i % colors.length];
+                } // if
+            });
+        } // for
+        GLOBALS.colors = colors;
+    }, // applyTheme
+
+    /**
+     * Draws every circle in its current position.
+     * @param {Renderer} renderer what to draw with
+     */
+    render(renderer) {
+        renderer.clear();
+        for (const circleType in GLOBALS.circles) {
+            GLOBALS.circles[circleType].forEach((circle) => {
+                renderer.circle(circle._x, circle._y, circle._radius, circle._color);
+            });
+        } // for
+    }, // render
+
+    /**
+     * Draws the selection behind the text and the cursor.
+     * @param {Renderer} renderer what to draw with
+     */
+    renderCursor(renderer) {
+        const { text, layout } = GLOBALS;
+        const { start, end } = text.selection();
+        for (let i = start; i < end; i++) {
+            const { x, y } = layout.positions[i];
+            renderer.rect(x, y, text.characters[i].advance, GLOBALS.lineHeight, GLOBALS.selectionColor);
+        } // for
+
+        const { x, y } = cursorPosition(layout, text.cursor);
+        renderer.line(x, y, x, y + GLOBALS.lineHeight, GLOBALS.cursorColor, CHAR_CIRCLE_RADIUS);
+    }, // renderCursor
+
+    /**
+     * Draws the current frame into an SVG image and downloads it.
+     */
+    svgSnapshot() {
+        const { width, height } = GLOBALS.renderer;
+        const background = window.getComputedStyle(GLOBALS.renderer._canvas).backgroundColor;
+        const svgRenderer = new SvgRenderer(width, height, background);
+        this.render(svgRenderer);
+        download(svgRenderer.toBlob(), 'typer.svg');
+    }, // svgSnapshot
+
+    /**
+     * Draws on the canvas each animation frame.
+     * @param {number} timestamp the time passed in by requestAnimationFrame
+     */
+    update(timestamp) {
+        const elapsed = GLOBALS.clock.tick(timestamp);
+        this.render(GLOBALS.renderer);
+        this.renderCursor(GLOBALS.renderer);
+
+        for (const circleType in GLOBALS.circles) {
+            GLOBALS.circles[circleType].forEach((circle) => {
+                // update the circle's position based on its behavior
+                circle.update(GLOBALS.renderer, elapsed);
+            });
+        } // for
+        // Circles that have left are gone for good
+        GLOBALS.circles[CircleBehavior.LEAVING] = GLOBALS.circles[CircleBehavior.LEAVING]
+            .filter((circle) => !circle.hasReacedDestination());
+
+        GLOBALS.recorder.capture(elapsed);
+
+        // get next animation frame
+        window.requestAnimationFrame(FUNCTIONS.update.bind(FUNCTIONS)); // `this` gets set to `window` normally
+    }, // update
+
+    /**
+     * Makes the circles for a character, which travel from random points on the
+     * canvas once layout gives the character a place.
+     * @param {string} character the character to draw
+     * @return {object} the entry for the character in GLOBALS.text
+     */
+    createCharacter(character) {
+        const glyph = GLOBALS.characterMapper.getArrayFor(character);
+        // A new line takes up no room on the line it ends
+        const advance = character === '\n' ? 0 : glyph.advance * OFFSET;
+        return Object.assign({ character, glyph, advance }, this._createGlyphCircles(glyph));
+    }, // createCharacter
+
+    /**
+     * Makes a circle for each point picked from a glyph, as GLOBALS.sampling
+     * asks. Glyphs drawn in color, like emoji, color their circles to match,
+     * and brightness can size or color the others.
+     * @private
+     * @param {object} glyph the glyph record made by the character mapper
+     * @return {{ circles: Circle[], points: object[] }} the circles, and where each
+     *         goes from the glyph's place on the baseline
+     */
+    _createGlyphCircles(glyph) {
+        const { sampling, colors } = GLOBALS;
+        const key = JSON.stringify(sampling);
+        // picking points takes a while for large glyphs, so each glyph keeps its last picks
+        let sampled = sampledGlyphs.get(glyph);
+        if (!sampled || sampled.key !== key) {
+            sampled = { key, samples: samplePoints(glyph, sampling) };
+            sampledGlyphs.set(glyph, sampled);
+        } // if
+
+        // every pixel is OFFSET apart, measured from the glyph's baseline
+        const points = sampled.samples.map(({ r, c }) => ({
+            x: (glyph.leftBearing + c) * OFFSET,
+            y: (r - glyph.baseline) * OFFSET
+        }));
+        const circles = sampled.samples.map(({ r, c, brightness }) => {
+            const sized = sampling.brightness === 'size';
+            const circle = this._createCircle(sized ? CHAR_CIRCLE_RADIUS * brightness : CHAR_CIRCLE_RADIUS);
+            if (glyph.colors) {
+                circle._color = glyph.colors[r][c];
+            } else if (sampling.brightness === 'color') {
+                circle._color = colors[Math.min(colors.length - 1, Math.floor(brightness * colors.length))];
+            } // if
+            circle.setBehavior(CircleBehavior.TRAVELING);
+            return circle;
+        });
+        GLOBALS.circles[CircleBehavior.TRAVELING].push(...circles);
+        return { circles, points };
+    }, // _createGlyphCircles
+
+    /**
+     * Picks the points of every character again, after GLOBALS.sampling
+     * has changed. The old circles scatter and new ones take their place.
+     */
+    resample() {
+        const { characters } = GLOBALS.text;
+        this.removeCharacters(characters);
+        characters.forEach((entry) => {
+            // forgetting where the entry was makes layout send its new circles there
+            Object.assign(entry, this._createGlyphCircles(entry.glyph), { x: null, y: null });
+        });
+        this.layout();
+    }, // resample
+
+    /**
+     * Spaces lines of text by the height of the font, measured by
+     * the character mapper, and puts their baseline below its ascent.
+     */
+    measureFont() {
+        const { ascent, descent } = GLOBALS.characterMapper.getLineMetrics();
+        Object.assign(GLOBALS, {
+            lineHeight: (ascent + descent) * OFFSET * LINE_SPACING,
+            baseline: ascent * OFFSET
+        });
+    }, // measureFont
+
+    /**
+     * Moves circles to a behavior's list in GLOBALS.circles from whichever list they were in.
+     * @private
+     * @param {Circle[]} circles  the circles to move
+     * @param {string}   behavior the CircleBehavior of the list to move them to
+     */
+    _moveCircles(circles, behavior) {
+        const moving = new Set(circles);
+        for (const circleType in GLOBALS.circles) {
+            GLOBALS.circles[circleType] = GLOBALS.circles[circleType].filter((circle) => !moving.has(circle));
+        } // for
+        GLOBALS.circles[behavior].push(...circles);
+    }, // _moveCircles
+
+    /**
+     * Places every character of the text, and sends the circles of those
+     * that have moved, or have not been placed yet, toward their new place.
+     */
+    layout() {
+        const { characters } = GLOBALS.text;
+        GLOBALS.layout = layoutText(characters, {
+            width: GLOBALS.renderer.width,
+            lineHeight: GLOBALS.lineHeight,
+            margin: TEXT_MARGIN,
+            align: GLOBALS.paragraph.align,
+            // characters typed in different fonts are not kerned
+            kerning: (left, right) => (left.glyph.font === right.glyph.font
+                ? GLOBALS.characterMapper.getKerning(left.character, right.character, left.glyph.font) * OFFSET
+                : 0)
+        });
+
+        const settled = [];
+        const { baseline } = GLOBALS;
+        characters.forEach((entry, i) => {
+            const { x, y } = GLOBALS.layout.positions[i];
+            if (entry.x === x && entry.y === y && entry.baseline === baseline) {
+                return;
+            } // if
+
+            Object.assign(entry, { x, y, baseline });
+            entry.circles.forEach((circle, j) => {
+                circle.setDestination({ x: x + entry.points[j].x, y: y + baseline + entry.points[j].y });
+            });
+            settled.push(...entry.circles.filter((circle) => circle._behavior !== CircleBehavior.TRAVELING));
+        });
+        // Circles orbit where they arrived, so they travel again to orbit their new place
+        settled.forEach((circle) => circle.setBehavior(CircleBehavior.TRAVELING));
+        this._moveCircles(settled, CircleBehavior.TRAVELING);
+    }, // layout
+
+    /**
+     * Scatters the circles of removed characters, which shrink away as they go.
+     * @param {object[]} entries the entries removed from GLOBALS.text
+     */
+    removeCharacters(entries) {
+        const circles = [].concat(...entries.map((entry) => entry.circles));
+        circles.forEach((circle) => {
+            const angle = Math.random() * Math.PI * 2;
+            const distance = Math.random() * SCATTER_DISTANCE;
+            circle.leave({ x: circle._x + Math.cos(angle) * distance, y: circle._y + Math.sin(angle) * distance });
+        });
+        this._moveCircles(circles, CircleBehavior.LEAVING);
+    } // removeCharacters
+});
+
+/**
+ * Describes the text in the page's live region, set by startApp.
+ * @type {function}
+ */
+let announce = () => {};
+
+/**
+ * The element that errors are shown in, set by startApp.
+ * @type {HTMLElement}
+ */
+let errorMessage = null;
+
+/**
+ * Shows an error on the page, or hides it if there is no message.
+ * @param {string} [message] the error message to show
+ */
+const showError = (message) => {
+    errorMessage.textContent = message || '';
+    errorMessage.hidden = !message;
+};
+
+/**
+ * Describes the text typed so far in words, for screen readers.
+ * @return {string} the typed text
+ */
+const describeText = () => {
+    const { text } = GLOBALS.text;
+    return text.trim() ? `Typed text: ${text}` : 'No text has been typed.';
+};
+
+/**
+ * Lays out the text again once it has been edited, and describes it.
+ * @param {object[]} [removed=[]] the entries that the edit removed
+ */
+const edited = (removed=[]) => {
+    FUNCTIONS.removeCharacters(removed);
+    FUNCTIONS.layout();
+    announce(describeText());
+};
+
+/**
+ * Types text at the cursor, replacing the selection.
+ * @param {string} text the text to type
+ */
+const typeText = (text) => {
+    // Each grapheme cluster is a character, so emoji and accented letters stay whole,
+    // and control characters other than new lines have nothing to draw
+    const characters = splitGraphemes(text.replace(/\r\n?/g, '\n'))
+        .filter((character) => character === '\n' || isPrintable(character));
+    edited(GLOBALS.text.insert(characters.map((character) => FUNCTIONS.createCharacter(character))));
+};
+
+/**
+ * Types the text that an input method or a dead key has composed in the input
+ * field, and empties the field for the next composition.
+ * @param {CompositionEvent} event the event of the finished composition
+ */
+const composeText = (event) => {
+    typeText(event.data || '');
+    GLOBALS.inputField.value = '';
+};
+
+/**
+ * Edits the text or moves the cursor as a key asks.
+ * Keys that are not handled are left to the browser.
+ * @param {KeyboardEvent} event the event of the pressed key
+ */
+const pressKey = (event) => {
+    const { key, shiftKey } = event;
+    const { text } = GLOBALS;
+    const shortcut = event.ctrlKey || event.metaKey;
+    // Keys that compose text, as input methods for Chinese, Japanese or Korean
+    // and dead keys for accents do, are left to composeText
+    if (event.isComposing || key === 'Process') {
+        return;
+    } // if
+    switch (key) {
+    case 'Backspace':
+        edited(text.deleteBackward());
+        break;
+    case 'Delete':
+        edited(text.deleteForward());
+        break;
+    case 'ArrowLeft':
+        text.moveBy(-1, shiftKey);
+        break;
+    case 'ArrowRight':
+        text.moveBy(1, shiftKey);
+        break;
+    case 'Home':
+        text.moveToLineEdge(false, shiftKey);
+        break;
+    case 'End':
+        text.moveToLineEdge(true, shiftKey);
+        break;
+    case 'Enter':
+        typeText('\n');
+        break;
+    default:
+        if (shortcut && key.toLowerCase() === 'a') {
+            text.selectAll();
+        } else if (!shortcut && isPrintable(key)) {
+            typeText(key);
+        } else {
+            // Copying, cutting and pasting have their own events
+            return;
+        } // if
+    } // switch
+    event.preventDefault();
+};
+
+/**
+ * Types or deletes the text that the input field is about to be changed by.
+ * Virtual keyboards, like Android's, send keydown events without
+ * the key that was pressed, so only this event says what was typed.
+ * Keys that pressKey handled never get here, and text that is still being
+ * composed is left to composeText.
+ * @param {InputEvent} event the event of the coming change
+ */
+const inputText = (event) => {
+    switch (event.inputType) {
+    case 'insertText':
+        typeText(event.data || '');
+        break;
+    case 'deleteContentBackward':
+        edited(GLOBALS.text.deleteBackward());
+        break;
+    default:
+        return;
+    } // switch
+    event.preventDefault();
+    // The keyboard may keep suggesting from what it thinks is in the field
+    GLOBALS.inputField.value = '';
+};
+
+/**
+ * Puts the selected text on the clipboard when copying or cutting,
+ * and removes it when cutting.
+ * @param {ClipboardEvent} event the copy or cut event
+ */
+const copyText = (event) => {
+    if (!GLOBALS.text.hasSelection()) {
+        return;
+    } // if
+
+    event.clipboardData.setData('text/plain', GLOBALS.text.selectedText());
+    event.preventDefault();
+    if (event.type === 'cut') {
+        edited(GLOBALS.text.deleteBackward());
+    } // if
+};
+
+/**
+ * Settles once the font picked last has loaded and characters are drawn in it.
+ * @type {Promise}
+ */
+let fontReady = Promise.resolve();
+
+/**
+ * The font family that characters were last drawn in, which is
+ * gone back to when a family that is not available is picked.
+ * @type {string}
+ */
+let availableFamily = FONT_FAMILY;
+
+/**
+ * Draws new characters in GLOBALS.font once it has loaded, and spaces
+ * lines for it. Characters typed already keep the font they were typed in.
+ * If the font is neither installed nor loadable, the user is told on
+ * the page and the family characters were drawn in before is kept.
+ * @return {Promise} fontReady
+ */
+const changeFont = () => {
+    const font = { ...GLOBALS.font };
+    const { characterMapper } = GLOBALS;
+    fontReady = loadFont(fontString(font))
+        .catch(() => null)
+        .then((faces) => {
+            // a font picked while this one loaded takes its place
+            if (font.family !== GLOBALS.font.family || font.size !== GLOBALS.font.size) {
+                return;
+            } // if
+            if (!faces || !isFontAvailable(font, faces, characterMapper.measureWidth.bind(characterMapper))) {
+                GLOBALS.font.family = availableFamily;
+                // going back to the previous family would hide the error
+                return changeFont().then(() => showError(`${font.family} is not a font that is installed or can be loaded.`));
+            } // if
+
+            availableFamily = font.family;
+            showError();
+            characterMapper.setFont(font);
+            characterMapper.getArrayForAll();
+            FUNCTIONS.measureFont();
+            FUNCTIONS.layout();
+        });
+    return fontReady;
+};
+
+/**
+ * Loads a font file and draws new characters in it.
+ * @param {File} file the font file to load
+ */
+const openFontFile = async (file) => {
+    try {
+        GLOBALS.font.family = await loadFontFile(file);
+    } catch (error) {
+        showError(`${file.name} is not a font that can be opened.`);
+        return;
+    } // try
+    changeFont();
+};
+
+/**
+ * The GUI, set by startApp.
+ * @type {dat.GUI}
+ */
+let GUI = null;
+
+/**
+ * Returns the value of every control and the text typed so far.
+ * @return {URLSearchParams} the state of the page
+ */
+const collectState = () => {
+    const params = collectParams(GUI, new URLSearchParams());
+    params.set('text', GLOBALS.text.text);
+    return params;
+};
+
+/**
+ * Sets the controls and types the text from the URL's hash,
+ * and keeps the hash up to date from then on.
+ */
+const restoreState = () => {
+    const params = readHash();
+    applyParams(GUI, params);
+    // the text is drawn in the shared font, once it has loaded
+    fontReady.then(() => {
+        typeText(splitGraphemes(params.get('text') || '').slice(0, SHARED_TEXT_LIMIT).join(''));
+        watchState(collectState);
+    });
+};
+
+/**
+ * Adds every control to the GUI.
+ * @param {dat.GUI}     gui         the GUI, constructed with the result of loadPresets(PRESETS_KEY)
+ * @param {ThemePicker} themePicker the picker for the theme folder to control
+ */
+const buildGui = (gui, themePicker) => {
+    GUI = gui;
+    savePresets(GUI, PRESETS_KEY, ...Object.values(behaviorEasings), GLOBALS.font, GLOBALS.paragraph, GLOBALS.sampling);
+    addThemeFolder(GUI, themePicker, { onError: (error) => showError(error.message) });
+    addClockFolder(GUI, GLOBALS.clock);
+    addRecordingFolder(GUI, GLOBALS.recorder, { svgSnapshot: FUNCTIONS.svgSnapshot.bind(FUNCTIONS) });
+
+    const easingControls = GUI.addFolder('Easing');
+    for (const behavior in behaviorEasings) {
+        const config = behaviorEasings[behavior];
+        const behaviorControls = easingControls.addFolder(behavior);
+        behaviorControls.add(config, 'easing', Object.keys(EASINGS));
+        if ('frames' in config) {
+            behaviorControls.add(config, 'frames', 1, 300, 1);
+        } // if
+        behaviorControls.add(config, 'stiffness', 1, 500);
+        behaviorControls.add(config, 'damping', 0, 50);
+    } // for
+
+    const fontControls = GUI.addFolder('Font');
+    fontControls.add(GLOBALS.font, 'family').listen().onFinishChange(changeFont);
+    fontControls.add(GLOBALS.font, 'size', FONT_SIZE_BOUNDS.min, FONT_SIZE_BOUNDS.max, 1).onFinishChange(changeFont);
+    fontControls.add({ openFile: () => chooseFile(FONT_FILE_TYPES, openFontFile) }, 'openFile').name('open font file');
+
+    const layoutControls = GUI.addFolder('Layout');
+    layoutControls.add(GLOBALS.paragraph, 'align', TEXT_ALIGNS).onChange(() => FUNCTIONS.layout());
+
+    const samplingControls = GUI.addFolder('Sampling');
+    const resample = () => FUNCTIONS.resample();
+    samplingControls.add(GLOBALS.sampling, 'mode', SAMPLING_MODES).onFinishChange(resample);
+    samplingControls.add(GLOBALS.sampling, 'stride', SAMPLING_BOUNDS.stride.min, SAMPLING_BOUNDS.stride.max, 1)
+        .onFinishChange(resample);
+    samplingControls.add(GLOBALS.sampling, 'target', SAMPLING_BOUNDS.target.min, SAMPLING_BOUNDS.target.max, 10)
+        .onFinishChange(resample);
+    samplingControls.add(GLOBALS.sampling, 'threshold', SAMPLING_BOUNDS.threshold.min, SAMPLING_BOUNDS.threshold.max, 0.05)
+        .onFinishChange(resample);
+    samplingControls.add(GLOBALS.sampling, 'brightness', SAMPLING_BRIGHTNESS).onFinishChange(resample);
+
+    const motionControls = GUI.addFolder('Motion');
+    motionControls.add(motion, 'reduced').listen();
+};
+
+/**
+ * Listens to the page for resizing and clicks, to the input field
+ * for keys and to circles for changing behavior.
+ */
+const listen = () => {
+    window.addEventListener('resize', FUNCTIONS.init.bind(FUNCTIONS)); // not using bind would set `this` to `window`
+
+    // need to use an input element so backspace doesn't go to previous site and to allow for mobile
+    window.addEventListener('click', () => GLOBALS.inputField.focus());
+
+    circleEvents.addEventListener('changedbehavior', (event) => {
+        const { circle, from, to } = event.detail;
+        const circleIndex = GLOBALS.circles[from].indexOf(circle);
+        // delete from old classification
+        GLOBALS.circles[from].splice(circleIndex, 1);
+        // add to new classification
+        GLOBALS.circles[to].push(circle);
+    });
+    GLOBALS.inputField.addEventListener('keydown', pressKey);
+    GLOBALS.inputField.addEventListener('beforeinput', inputText);
+    GLOBALS.inputField.addEventListener('compositionend', composeText);
+    GLOBALS.inputField.addEventListener('paste', (event) => {
+        event.preventDefault();
+        typeText(event.clipboardData.getData('text/plain'));
+    });
+    GLOBALS.inputField.addEventListener('copy', copyText);
+    GLOBALS.inputField.addEventListener('cut', copyText);
+};
+
+/**
+ * Starts typer on the elements of a page.
+ *
+ * @param {object}            options
+ * @param {HTMLCanvasElement} options.canvas        the canvas to draw on
+ * @param {dat.GUI}           options.gui           the GUI to add the controls to
+ * @param {ThemePicker}       options.theme         the picker that the page and circles are colored by
+ * @param {HTMLInputElement}  options.inputField    the field that typed keys are read from
+ * @param {HTMLCanvasElement} options.rasterizer    the canvas that characters are drawn into
+ *                                                  to find their pixels, usually not on the page
+ * @param {MediaQueryList}    options.reducedMotion matches when the system asks for reduced motion
+ * @param {HTMLElement}       options.liveRegion    the element that describes the text to screen readers
+ * @param {HTMLElement}       options.errorMessage  the element that errors are shown in
+ */
+export const startApp = ({ canvas, gui, theme, inputField, rasterizer, reducedMotion, liveRegion, errorMessage: errorElement }) => {
+    Object.assign(GLOBALS, {
+        renderer: new CanvasRenderer(canvas),
+        recorder: new Recorder(canvas, 'typer'),
+        characterMapper: new CharacterMapper(rasterizer, GLOBALS.font),
+        inputField
+    });
+    FUNCTIONS.applyTheme(theme.palette);
+    FUNCTIONS.measureFont();
+    announce = makeAnnouncer(liveRegion);
+    errorMessage = errorElement;
+    buildGui(gui, theme);
+    listen();
+    theme.onChange(FUNCTIONS.applyTheme.bind(FUNCTIONS));
+    // A shared link can still turn reduced motion off
+    motion.reduced = reducedMotion.matches;
+    reducedMotion.addEventListener('change', () => {
+        motion.reduced = reducedMotion.matches;
+    });
+
+    // get things started
+    FUNCTIONS.init();
+    changeFont();
+    restoreState();
+    FUNCTIONS.update();
+};
@@ -1,20 +1,9 @@
-import { RADIANS } from '../../sine_grapher/src/initial.js';
-
 /**
- * An immutable array containing all
- * cosine values from radians listed on
- * the unit circle.
- * @constant {!number[]}
- * @readonly
- */
-export const COS_VALUES = RADIANS.map((radian) => Math.cos(radian));
-
-/**
- * A constant array containing multiple colors.
- * @constant {!string[]}
- * @readonly
+ * The number of points each Orbit is split into.
+ * More points make for a rounder path.
+ * @constant {!number}
  */
-export const COLORS = Object.freeze(['#673C4F', '#7F557D', '#726E97', '#7698B3', '#83B5D1']);
+export const ORBIT_SAMPLES = 32;
 
 /**
  * A constant object representing the
@@ -25,23 +14,31 @@ export const COLORS = Object.freeze(['#673C4F', '#7F557D', '#726E97', '#7698B3',
 export const RADIUS_BOUNDS = Object.freeze({ min: 1, max: 3 });
 
 /**
- * A constant object representing the x and y travel
- * factors for Circles with CircleBehavior.TRAVELING.
- * @constant {!Object.<string, number>}
+ * A constant object representing the default easing of each
+ * CircleBehavior that moves a Circle toward a destination.
+ * The easing is a name from EASINGS, stiffness and damping are
+ * only used by the spring easing, and frames is the number of
+ * frames, at 60 frames per second, to reach the destination by.
+ * Orbiting Circles take their number of frames from their Orbit.
+ * @constant {!Object.<string, object>}
  * @readonly
  */
-export const TRAVEL_FACTOR = Object.freeze({ x: 15, y: 12 });
+export const BEHAVIOR_EASINGS = Object.freeze({
+    TRAVELING: Object.freeze({ easing: 'exponential', frames: 60, stiffness: 100, damping: 10 }),
+    ORBITING: Object.freeze({ easing: 'linear', stiffness: 100, damping: 10 }),
+    LEAVING: Object.freeze({ easing: 'exponential', frames: 30, stiffness: 100, damping: 10 })
+});
 
 /**
- * A constant object representing the min
- * and max values for the Orbit travel factor.
+ * A constant object representing the min and max values for the Orbit
+ * travel factor, the frames at 60 frames per second between its points.
  * @constant {!Object.<string, number>}
  * @readonly
  */
-export const ORBIT_TRAVEL_FACTOR = Object.freeze({ min: 10, max: 20 });
+export const ORBIT_TRAVEL_FACTOR = Object.freeze({ min: 5, max: 10 });
 
 /**
- * Multiplier to increase speed.
+ * Multiplier to increase speed, in pixels per frame at 60 frames per second.
  * @constant {!number}
  * @readonly
  */
@@ -65,12 +62,11 @@ export const CIRCLE_AMOUNT = 0;
 export const OFFSET = 10;
 
 /**
- * The threshold used to indicate when a Circle's
- * coordinates have reached its coordinates under
- * Circle._movingToward.
- * @constant {!number}
+ * The font family to draw characters in at first. Others can be
+ * picked from the GUI, such as a font file on the computer.
+ * @constant {!string}
  */
-export const THRESHOLD = 1;
+export const FONT_FAMILY = 'sans-serif';
 
 /**
  * The font size in pixels to use for
@@ -79,6 +75,20 @@ export const THRESHOLD = 1;
  */
 export const FONT_SIZE = 50;
 
+/**
+ * The min and max FONT_SIZE selectable from the GUI. Every pixel
+ * of a character is a circle, so larger sizes draw with more circles.
+ * @constant {!Object.<string, number>}
+ * @readonly
+ */
+export const FONT_SIZE_BOUNDS = Object.freeze({ min: 10, max: 80 });
+
+/**
+ * The types of font file that can be opened.
+ * @constant {!string}
+ */
+export const FONT_FILE_TYPES = '.ttf,.otf,.woff,.woff2';
+
 /**
  * The radius for circles that make up the characters.
  * @constant {!number}
@@ -86,9 +96,79 @@ export const FONT_SIZE = 50;
 export const CHAR_CIRCLE_RADIUS = 5;
 
 /**
- * Used to calculate the space between each character.
+ * The distance between the tops of lines of typed text,
+ * as a multiple of the height of the font.
+ * @constant {!number}
+ */
+export const LINE_SPACING = 1.2;
+
+/**
+ * The space in pixels kept free around the typed text.
+ * @constant {!number}
+ */
+export const TEXT_MARGIN = 50;
+
+/**
+ * The ways typed text can be aligned, selectable from the GUI.
+ * @constant {!string[]}
+ */
+export const TEXT_ALIGNS = Object.freeze(['left', 'center', 'right']);
+
+/**
+ * How typed text is aligned at first.
+ * @constant {!string}
+ */
+export const TEXT_ALIGN = 'left';
+
+/**
+ * How far in pixels the circles of a deleted character
+ * scatter while they shrink away.
+ * @constant {!number}
+ */
+export const SCATTER_DISTANCE = 100;
+
+/**
+ * The ways points are picked from the pixels of a character, selectable from the GUI:
+ * a grid of every stride-th pixel, points at least stride apart scattered at random
+ * like a Poisson-disk pattern, or only the pixels on the outline of the character.
+ * @constant {!string[]}
+ */
+export const SAMPLING_MODES = Object.freeze(['grid', 'poisson', 'outline']);
+
+/**
+ * What the brightness of each point of a character changes, selectable from the GUI:
+ * nothing, the size of its circle or which color of the theme it takes.
+ * @constant {!string[]}
+ */
+export const SAMPLING_BRIGHTNESS = Object.freeze(['none', 'size', 'color']);
+
+/**
+ * How points are picked from the pixels of a character at first. stride is the
+ * distance in pixels between points, target the most points to pick for a
+ * character, 0 for no limit, which spreads them further apart if it has to, and
+ * threshold how much of a pixel a character must cover for the pixel to count.
+ * @constant {!Object.<string, (string|number)>}
+ * @readonly
+ */
+export const SAMPLING = Object.freeze({ mode: 'grid', stride: 1, target: 0, threshold: 0.5, brightness: 'none' });
+
+/**
+ * A constant object representing the min and max values of
+ * each setting of SAMPLING that takes a number.
+ * @constant {!Object.<string, object>}
+ * @readonly
+ */
+export const SAMPLING_BOUNDS = Object.freeze({
+    stride: Object.freeze({ min: 1, max: 10 }),
+    target: Object.freeze({ min: 0, max: 500 }),
+    threshold: Object.freeze({ min: 0.05, max: 1 })
+});
+
+/**
+ * The most characters typed from a shared link, since every
+ * character adds dozens of circles to the page.
  * @constant {!number}
  */
-export const KERNING_SCALAR = 2.2;
+export const SHARED_TEXT_LIMIT = 280;
 
 export const ALL_CHARS = 'abcdefghijklmnopqrstuvqxyzABCDEFGHIJKLMNOPQURSTUVWXYZ';
@@ -0,0 +1,104 @@
+/**
+ * The font families that CSS defines, which must not be quoted.
+ * @constant {!string[]}
+ */
+const GENERIC_FAMILIES = Object.freeze([
+    'serif', 'sans-serif', 'monospace', 'cursive', 'fantasy', 'system-ui',
+    'ui-serif', 'ui-sans-serif', 'ui-monospace', 'ui-rounded', 'emoji', 'math'
+]);
+
+/**
+ * The text measured to tell a font apart from the fonts the browser falls back on.
+ * @constant {!string}
+ */
+const TEST_TEXT = 'mmmmmmmmmmlli1WQ@';
+
+/**
+ * Splits a font family list into its names.
+ * @param {string} family the font family, or a comma-separated list of them
+ * @return {string[]} the names, without spaces around them
+ */
+const familyNames = (family) => family.split(',').map((name) => name.trim()).filter((name) => name);
+
+/**
+ * Returns the CSS font shorthand for a font, as the font property of a
+ * canvas context and FontFaceSet.load take it. Each family in a list is
+ * quoted, unless it is generic or already quoted, so names with spaces
+ * or digits work as typed.
+ *
+ * @param {object} font
+ * @param {string} font.family the font family, or a comma-separated list of them
+ * @param {number} font.size   the font size in pixels
+ * @return {string} the font, such as '50px "Open Sans", sans-serif'
+ */
+export const fontString = ({ family, size }) => {
+    const families = familyNames(family).map((name) => (GENERIC_FAMILIES.includes(name) || /^["']/.test(name) ? name : `"${name.replace(/"/g, '')}"`));
+    return `${size}px ${families.join(', ') || 'sans-serif'}`;
+};
+
+/**
+ * Waits for a font to load, so characters drawn afterwards are drawn
+ * in it rather than a fallback. Installed fonts have nothing to load.
+ *
+ * @param {string}      font                      the font, as fontString returns it
+ * @param {FontFaceSet} [fontSet=document.fonts]  the fonts of the page
+ * @return {Promise} resolves once the font has loaded, or rejects if it could not be
+ */
+export const loadFont = (font, fontSet=document.fonts) => fontSet.load(font);
+
+/**
+ * Checks if a font draws characters itself, rather than the browser falling
+ * back on another font without saying so. Fonts that loaded have faces. Fonts
+ * installed on the computer have nothing to load, so text is measured in them,
+ * with each of two generic families to fall back on, and they are there if it
+ * measures differently from the generic family alone. Lists that end in a
+ * generic family fall back on it by choice, so they are always available.
+ *
+ * @param {object}      font
+ * @param {string}      font.family the font family, or a comma-separated list of them
+ * @param {number}      font.size   the font size in pixels
+ * @param {FontFace[]}  faces       the faces that loadFont resolved with
+ * @param {function}    measure     returns the width of some text in a CSS font
+ * @return true if the font is available, false otherwise
+ */
+export const isFontAvailable = ({ family, size }, faces, measure) => {
+    if (faces.length > 0 || familyNames(family).some((name) => GENERIC_FAMILIES.includes(name))) {
+        return true;
+    } // if
+    return ['monospace', 'serif'].some((fallback) => (
+        measure(TEST_TEXT, `${fontString({ family, size })}, ${fallback}`) !== measure(TEST_TEXT, `${size}px ${fallback}`)
+    ));
+};
+
+/**
+ * Names a font after its file, so that fontString quotes it as one family.
+ * Commas and quotes are dropped, and a name that is a generic family
+ * is prefixed, since fontString would leave it as the generic family.
+ * @param {string} fileName the name of the font file, such as 'Open Sans.ttf'
+ * @return {string} the font family, such as 'Open Sans'
+ */
+export const fileFamily = (fileName) => {
+    const name = fileName.replace(/\.[^.]*$/, '').replace(/[,"']/g, '').trim();
+    if (!name || GENERIC_FAMILIES.includes(name.toLowerCase())) {
+        return `Font ${name}`.trim();
+    } // if
+    return name;
+};
+
+/**
+ * Loads a font from a font file, such as a .ttf or .woff file,
+ * and adds it to the page's fonts, named after the file by fileFamily.
+ *
+ * @param {File}        file                       the font file
+ * @param {object}      [options]
+ * @param {FontFaceSet} [options.fontSet=document.fonts] the fonts of the page
+ * @param {function}    [options.FontFace=window.FontFace] the FontFace constructor
+ * @return {Promise.<string>} resolves with the font's family, or rejects if the file is not a font
+ */
+export const loadFontFile = async (file, { fontSet=document.fonts, FontFace=window.FontFace }={}) => {
+    const family = fileFamily(file.name);
+    const face = new FontFace(family, await file.arrayBuffer());
+    await face.load();
+    fontSet.add(face);
+    return family;
+};
@@ -0,0 +1,236 @@
+import { directionOf } from './text.js';
+
+/**
+ * How far along the free space of a line each alignment moves it.
+ * @constant {!Object.<string, number>}
+ */
+const ALIGN_FACTORS = Object.freeze({ left: 0, center: 0.5, right: 1 });
+
+/**
+ * Checks if a character separates words.
+ * @param {string} character the character to check
+ * @return true if lines can break at the character, false otherwise
+ */
+const isBreak = (character) => /^\s$/.test(character);
+
+/**
+ * Splits characters into lines that fit within a width, breaking lines
+ * between words. '\n' ends its line. Spaces at the end of a line are
+ * allowed to hang past the width, and a word wider than a whole line
+ * is broken between its characters.
+ *
+ * @param {object[]} characters the characters, each with its advance, the width of its box
+ * @param {number}   width      the width that lines must fit within
+ * @return {number[][]} the indices of the characters on each line; there is always at least one
+ */
+export const breakLines = (characters, width) => {
+    const lines = [[]];
+    let lineWidth = 0;
+    const add = (i) => {
+        const { character, advance } = characters[i];
+        if (lineWidth > 0 && lineWidth + advance > width && !isBreak(character)) {
+            lines.push([]);
+            lineWidth = 0;
+        } // if
+        lines[lines.length - 1].push(i);
+        lineWidth += advance;
+        if (character === '\n') {
+            lines.push([]);
+            lineWidth = 0;
+        } // if
+    };
+
+    let i = 0;
+    while (i < characters.length) {
+        // A word runs until the next break, and a break is a word of its own
+        let end = i + 1;
+        let wordWidth = characters[i].advance;
+        while (!isBreak(characters[i].character) && end < characters.length && !isBreak(characters[end].character)) {
+            wordWidth += characters[end++].advance;
+        } // while
+
+        if (lineWidth > 0 && lineWidth + wordWidth > width && !isBreak(characters[i].character)) {
+            lines.push([]);
+            lineWidth = 0;
+        } // if
+        for (let j = i; j < end; j++) {
+            add(j);
+        } // for
+        i = end;
+    } // while
+    return lines;
+};
+
+/**
+ * Returns the direction of the paragraph each character is in, from the first
+ * character of the paragraph with a direction, the way browsers pick one for
+ * dir="auto". Paragraphs end after '\n', and those without letters run left to right.
+ *
+ * @param {object[]} characters the characters
+ * @return {string[]} 'rtl' or 'ltr' for each character
+ */
+export const paragraphDirections = (characters) => {
+    const directions = [];
+    let start = 0;
+    characters.forEach(({ character }, i) => {
+        if (character === '\n' || i === characters.length - 1) {
+            const paragraph = characters.slice(start, i + 1);
+            const direction = paragraph.map((entry) => directionOf(entry.character))
+                .find((found) => found !== 'neutral') || 'ltr';
+            paragraph.forEach(() => directions.push(direction));
+            start = i + 1;
+        } // if
+    });
+    return directions;
+};
+
+/**
+ * Works out the embedding level of each character on a line, a simpler take
+ * on the Unicode bidirectional algorithm: odd levels run right to left. Text
+ * in the paragraph's direction is at its level, and text in the other direction
+ * is embedded one level up. Spaces and punctuation between two characters that
+ * run the same way run that way too, and the rest run the paragraph's way, as
+ * do the spaces hanging at the end of the line.
+ *
+ * @param {number[]} line       the indices of the characters on the line
+ * @param {object[]} characters the characters
+ * @param {string}   direction  the direction of the line's paragraph, 'rtl' or 'ltr'
+ * @return {number[]} the level of each character on the line, in order
+ */
+export const lineLevels = (line, characters, direction) => {
+    const strong = line.map((i) => directionOf(characters[i].character));
+    let trailing = line.length;
+    while (trailing > 0 && isBreak(characters[line[trailing - 1]].character)) {
+        trailing--;
+    } // while
+
+    return strong.map((found, j) => {
+        let resolved = found;
+        if (j >= trailing) {
+            resolved = direction;
+        } else if (found === 'neutral') {
+            const before = strong.slice(0, j).reverse().find((other) => other !== 'neutral') || direction;
+            const after = strong.slice(j + 1, trailing).find((other) => other !== 'neutral') || direction;
+            resolved = before === after ? before : direction;
+        } // if
+
+        if (resolved === 'rtl') {
+            return 1;
+        } // if
+        return direction === 'rtl' ? 2 : 0;
+    });
+};
+
+/**
+ * Orders a line the way it is seen from left to right, by reversing every run
+ * of characters at or above each level, from the highest level down to 1.
+ *
+ * @param {number[]} levels the level of each character on the line, as lineLevels returns them
+ * @return {number[]} the positions in levels, in the order they are seen
+ */
+export const visualOrder = (levels) => {
+    const order = levels.map((level, j) => j);
+    for (let level = Math.max(0, ...levels); level >= 1; level--) {
+        let j = 0;
+        while (j < order.length) {
+            let k = j;
+            while (k < order.length && levels[order[k]] >= level) {
+                k++;
+            } // while
+            if (k > j) {
+                order.splice(j, k - j, ...order.slice(j, k).reverse());
+            } // if
+            j = k + 1;
+        } // while
+    } // for
+    return order;
+};
+
+/**
+ * Works out where each typed character goes, with lines broken between words
+ * and aligned within the area between the margins. Each character is placed
+ * at the top-left corner of its box and the one seen next to it follows it by
+ * its advance, plus the kerning between the two when they run the same way.
+ * Right-to-left text, such as Hebrew or Arabic, is seen in the right order.
+ * Kerning is small enough to be left out when breaking lines, and spaces
+ * hanging at the end of a line are left out when aligning it.
+ *
+ * Each position also has where the cursor goes before the character, its
+ * left side if it runs left to right and its right side otherwise.
+ *
+ * @param {object[]} characters     the characters, each with its advance, the width of its box
+ * @param {object}   options
+ * @param {number}   options.width          the width of the area to fill
+ * @param {number}   options.lineHeight     the distance between the tops of lines
+ * @param {number}   [options.margin=0]     the space to keep free around the text
+ * @param {string}   [options.align='left'] 'left', 'center' or 'right'
+ * @param {function} [options.kerning]      returns the adjustment to the advance of
+ *                                          a character when another follows it
+ * @return {{ positions: object[], end: object }} the x and y-coordinates and cursor of each
+ *         character, in order, and the cursor after the last character, where the next one would go
+ */
+export const layoutText = (characters, { width, lineHeight, margin=0, align='left', kerning=() => 0 }) => {
+    const available = width - margin * 2;
+    const directions = paragraphDirections(characters);
+    const positions = [];
+    const lines = breakLines(characters, available);
+    lines.forEach((line, row) => {
+        const direction = line.length > 0 ? directions[line[0]] : 'ltr';
+        const levels = lineLevels(line, characters, direction);
+        const order = visualOrder(levels);
+
+        // Place the line from 0 as it is seen, then move it to where its alignment puts it
+        let x = 0;
+        let left = null;
+        let right = null;
+        const offsets = [];
+        order.forEach((j, seen) => {
+            const i = line[j];
+            offsets[j] = x;
+            if (!isBreak(characters[i].character)) {
+                left = left === null ? x : Math.min(left, x);
+                right = right === null ? x + characters[i].advance : Math.max(right, x + characters[i].advance);
+            } // if
+
+            x += characters[i].advance;
+            const next = order[seen + 1];
+            if (next !== undefined && levels[j] % 2 === levels[next] % 2) {
+                // right-to-left pairs are kerned in the order they are typed
+                const pair = levels[j] % 2 ? [line[next], i] : [i, line[next]];
+                x += kerning(characters[pair[0]], characters[pair[1]]);
+            } // if
+        });
+        if (left === null) {
+            left = direction === 'rtl' ? x : 0;
+            right = left;
+        } // if
+
+        const y = margin + row * lineHeight;
+        const start = margin + Math.max(0, available - (right - left)) * ALIGN_FACTORS[align] - left;
+        line.forEach((i, j) => {
+            const position = { x: start + offsets[j], y };
+            position.cursor = levels[j] % 2 ? position.x + characters[i].advance : position.x;
+            positions[i] = position;
+        });
+    });
+
+    // The cursor after the last character is on its far side, unless a new line was started
+    const last = characters.length - 1;
+    const endLine = lines.length - 1;
+    let end = { x: margin + available * ALIGN_FACTORS[align], y: margin + endLine * lineHeight };
+    if (lines[endLine].length > 0) {
+        const { x, y, cursor } = positions[last];
+        end = { x: cursor === x ? x + characters[last].advance : x, y };
+    } // if
+    return { positions, end };
+};
+
+/**
+ * Returns where the cursor is drawn when it is before a character.
+ * @param {object} layout the layout made by layoutText
+ * @param {number} index  the index of the character, or the number of characters for the end
+ * @return {{ x: number, y: number }} the top of the cursor
+ */
+export const cursorPosition = ({ positions, end }, index) => (index < positions.length
+    ? { x: positions[index].cursor, y: positions[index].y }
+    : end);
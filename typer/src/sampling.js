@@ -0,0 +1,119 @@
+/**
+ * Returns the pixels that a character covers at least as much as a threshold.
+ * @param {number[][]} coverage  how much of each pixel the character covers, from 0 to 1
+ * @param {number}     threshold the least coverage that counts
+ * @return {object[]} the row, column and brightness of each pixel, in rows from the top
+ */
+const coveredPixels = (coverage, threshold) => {
+    const pixels = [];
+    coverage.forEach((row, r) => row.forEach((brightness, c) => {
+        if (brightness >= threshold) {
+            pixels.push({ r, c, brightness });
+        } // if
+    }));
+    return pixels;
+};
+
+/**
+ * Keeps only the pixels on the outline of a shape, those
+ * next to a pixel that is not part of it.
+ * @param {object[]} pixels the pixels of the shape, as coveredPixels returns them
+ * @return {object[]} the pixels on the outline, in the same order
+ */
+const outline = (pixels) => {
+    const inside = new Set(pixels.map(({ r, c }) => `${r},${c}`));
+    return pixels.filter(({ r, c }) => [[r - 1, c], [r + 1, c], [r, c - 1], [r, c + 1]]
+        .some(([row, column]) => !inside.has(`${row},${column}`)));
+};
+
+/**
+ * Keeps each point that is at least a distance from every point kept before it.
+ * Points are sorted into square buckets as wide as the distance, so each
+ * point is only compared with those in its own and the surrounding buckets.
+ *
+ * @param {object[]} points  the points, in the order they are considered
+ * @param {number}   spacing the least distance between points that are kept
+ * @return {object[]} the points that are kept, in the same order
+ */
+const thin = (points, spacing) => {
+    if (spacing <= 1) {
+        return points;
+    } // if
+    const buckets = new Map();
+    return points.filter(({ r, c }) => {
+        const row = Math.floor(r / spacing);
+        const column = Math.floor(c / spacing);
+        for (let i = row - 1; i <= row + 1; i++) {
+            for (let j = column - 1; j <= column + 1; j++) {
+                const near = (buckets.get(`${i},${j}`) || [])
+                    .some((other) => Math.hypot(other.r - r, other.c - c) < spacing);
+                if (near) {
+                    return false;
+                } // if
+            } // for
+        } // for
+        const key = `${row},${column}`;
+        buckets.set(key, (buckets.get(key) || []).concat({ r, c }));
+        return true;
+    });
+};
+
+/**
+ * Shuffles an array in place.
+ * @param {Array}    array  the array to shuffle
+ * @param {function} random returns a random number from 0 up to 1
+ * @return {Array} the array
+ */
+const shuffle = (array, random) => {
+    for (let i = array.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [array[i], array[j]] = [array[j], array[i]];
+    } // for
+    return array;
+};
+
+/**
+ * Picks the points of a glyph that circles are drawn at. Fewer points make
+ * for fewer circles, which look lighter and are faster to draw.
+ *
+ * In 'grid' mode, every stride-th pixel of every stride-th row is picked.
+ * In 'poisson' mode, pixels are picked at random, each at least stride from
+ * the others, so they are evenly spread without lining up. In 'outline' mode,
+ * only pixels on the edges of the character are picked, at least stride apart.
+ * A target spreads points further apart until there are about that many.
+ *
+ * @param {object}     glyph                        the glyph record made by CharacterMapper
+ * @param {number[][]} glyph.coverage               how much of each pixel the glyph covers, from 0 to 1
+ * @param {object}     [options]
+ * @param {string}     [options.mode='grid']        'grid', 'poisson' or 'outline'
+ * @param {number}     [options.stride=1]           the distance between points in pixels
+ * @param {number}     [options.target=0]           about the most points to pick, or 0 for no limit
+ * @param {number}     [options.threshold=0.5]      the least coverage of a pixel to pick it
+ * @param {function}   [options.random=Math.random] returns a random number from 0 up to 1
+ * @return {object[]} the row and column of each point in the glyph's pixels, and its
+ *         brightness, its coverage from threshold to 1, in rows from the top
+ */
+export const samplePoints = ({ coverage }, { mode='grid', stride=1, target=0, threshold=0.5, random=Math.random }={}) => {
+    const pixels = coveredPixels(coverage, threshold);
+    const candidates = mode === 'outline' ? outline(pixels) : pixels;
+
+    // An outline is a line, so its points thin out with the distance between them rather than its square
+    let spacing = stride;
+    if (target > 0 && candidates.length > target) {
+        const ratio = candidates.length / target;
+        spacing = Math.max(stride, mode === 'outline' ? ratio : Math.sqrt(ratio));
+    } // if
+
+    switch (mode) {
+    case 'poisson': {
+        const points = thin(shuffle(candidates.slice(), random), spacing);
+        return points.slice(0, target || points.length).sort((a, b) => a.r - b.r || a.c - b.c);
+    }
+    case 'outline':
+        return thin(candidates, spacing);
+    default: {
+        const step = Math.ceil(spacing);
+        return candidates.filter(({ r, c }) => r % step === 0 && c % step === 0);
+    }
+    } // switch
+};
@@ -0,0 +1,55 @@
+/**
+ * Matches characters of the scripts written from right to left.
+ * @constant {!RegExp}
+ */
+const RTL_PATTERN = /[\p{Script=Hebrew}\p{Script=Arabic}\p{Script=Syriac}\p{Script=Thaana}\p{Script=Nko}\p{Script=Samaritan}\p{Script=Mandaic}\p{Script=Adlam}]/u;
+
+/**
+ * Matches letters and digits of any script, which decide the direction they are written in.
+ * @constant {!RegExp}
+ */
+const LETTER_PATTERN = /[\p{L}\p{N}]/u;
+
+/**
+ * Splits text into grapheme clusters, what a reader sees as single characters,
+ * such as an emoji with a skin tone, a flag or a letter with combining accents.
+ * Falls back on splitting into code points where Intl.Segmenter is missing.
+ *
+ * @param {string}   text                         the text to split
+ * @param {function} [Segmenter=Intl.Segmenter]   the Intl.Segmenter constructor
+ * @return {string[]} the grapheme clusters, in order
+ */
+export const splitGraphemes = (text, Segmenter=Intl.Segmenter) => {
+    if (!Segmenter) {
+        return Array.from(text);
+    } // if
+    const segmenter = new Segmenter(undefined, { granularity: 'grapheme' });
+    return Array.from(segmenter.segment(text), ({ segment }) => segment);
+};
+
+/**
+ * Checks if a key, as given by KeyboardEvent.key, types something that can be
+ * drawn. Keys that do not, like Shift, ArrowLeft or Dead, have names instead,
+ * which are longer than one grapheme cluster, and control characters like a tab
+ * have nothing to draw.
+ *
+ * @param {string} key the value of the key
+ * @return true if the key types a single grapheme cluster that can be drawn, false otherwise
+ */
+export const isPrintable = (key) => splitGraphemes(key).length === 1 && !/^[\p{Cc}\p{Cf}]/u.test(key);
+
+/**
+ * Returns the direction that a grapheme cluster is written in. Letters of
+ * scripts like Hebrew and Arabic are written right to left, and other letters
+ * and digits left to right. Everything else, such as spaces and punctuation,
+ * takes the direction of the text around it.
+ *
+ * @param {string} cluster the grapheme cluster
+ * @return {string} 'rtl', 'ltr' or 'neutral'
+ */
+export const directionOf = (cluster) => {
+    if (RTL_PATTERN.test(cluster)) {
+        return 'rtl';
+    } // if
+    return LETTER_PATTERN.test(cluster) ? 'ltr' : 'neutral';
+};
@@ -0,0 +1,141 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { CharacterMapper } from '../models/CharacterMapper.js';
+import { samplePoints } from '../src/sampling.js';
+import { FONT_SIZE, ALL_CHARS } from '../src/constants.js';
+import { makeMockCanvas } from '../../shared/test/mocks.js';
+
+// Every character is drawn as an L, one pixel wider per character code past 'a',
+// except spaces, which are blank. g hangs one row below the baseline.
+const glyphs = (text) => {
+    if (text === ' ') {
+        return [];
+    } // if
+    const width = Math.max(1, text.charCodeAt(0) - 'a'.charCodeAt(0) + 1);
+    return ['#'.padEnd(width, '.'), '#'.padEnd(width, '.'), '#'.repeat(width)];
+};
+const descent = (text) => (text === 'g' ? 1 : 0);
+const kerning = (left, right) => (left === 'A' && right === 'V' ? -2 : 0);
+// The row and column of every point sampled from a glyph
+const cells = (glyph, options) => samplePoints(glyph, options).map(({ r, c }) => [r, c]);
+
+describe('CharacterMapper', () => {
+    it('makes the injected canvas a square with room around the font', () => {
+        const canvas = makeMockCanvas({ glyphs });
+        new CharacterMapper(canvas);
+        assert.equal(canvas.width, FONT_SIZE * 2);
+        assert.equal(canvas.height, canvas.width);
+    });
+
+    it('precalculates every common character when asked', () => {
+        const canvas = makeMockCanvas({ glyphs });
+        new CharacterMapper(canvas).getArrayForAll();
+        const drawn = canvas.calls.filter(([name]) => name === 'fillText').map(([, text]) => text);
+        assert.deepEqual(drawn, Array.from(ALL_CHARS).filter((character, i) => ALL_CHARS.indexOf(character) === i));
+    });
+
+    it('crops a character to its measured box and records its metrics', () => {
+        const mapper = new CharacterMapper(makeMockCanvas({ glyphs }));
+        assert.deepEqual(mapper.getArrayFor('c'), {
+            coverage: [[1, 0, 0], [1, 0, 0], [1, 1, 1]],
+            colors: null,
+            advance: 3,
+            leftBearing: 0,
+            rightBearing: 0,
+            ascent: 3,
+            descent: 0,
+            baseline: 3,
+            font: '50px sans-serif'
+        });
+    });
+
+    it('grows the canvas for characters that do not fit in it', () => {
+        const canvas = makeMockCanvas({ glyphs, overhang: (text) => (text === 'y' ? 5 : 0) });
+        const mapper = new CharacterMapper(canvas, { family: 'serif', size: 4 });
+        // z is 26 pixels wide, where the canvas only has room for 1.5em
+        const wide = mapper.getArrayFor('z');
+        assert.ok(canvas.width >= 26);
+        assert.deepEqual(wide.coverage[2], new Array(26).fill(1));
+        assert.equal(wide.rightBearing, 0);
+        // y reaches 5 pixels left of where it is drawn from, where there is room for 0.5em
+        const overhanging = mapper.getArrayFor('y');
+        assert.deepEqual(overhanging.coverage[2], new Array(25).fill(1));
+        assert.equal(overhanging.leftBearing, -5);
+        assert.deepEqual(mapper.getArrayFor('c').coverage, [[1, 0, 0], [1, 0, 0], [1, 1, 1]]);
+    });
+
+    it('forgets the characters drawn in the old font when the font changes', () => {
+        const canvas = makeMockCanvas({ glyphs });
+        const mapper = new CharacterMapper(canvas, { family: 'Gotu', size: 20 });
+        assert.equal(canvas.width, 40);
+        const glyph = mapper.getArrayFor('a');
+        assert.equal(glyph.font, '20px "Gotu"');
+
+        mapper.setFont({ family: 'serif', size: 30 });
+        assert.equal(canvas.getContext().font, '30px serif');
+        assert.notEqual(mapper.getArrayFor('a'), glyph);
+        assert.equal(mapper.getArrayFor('a').font, '30px serif');
+    });
+
+    it('measures how far a character reaches below the baseline', () => {
+        const mapper = new CharacterMapper(makeMockCanvas({ glyphs, descent }));
+        const { coverage, ascent, baseline } = mapper.getArrayFor('g');
+        assert.equal(coverage.length, 3);
+        assert.equal(mapper.getArrayFor('g').descent, 1);
+        assert.equal(ascent, 2);
+        assert.equal(baseline, 2);
+        assert.deepEqual(mapper.getLineMetrics(), { ascent: 3, descent: 1 });
+    });
+
+    it('does not draw characters without a box', () => {
+        const canvas = makeMockCanvas({ glyphs });
+        const mapper = new CharacterMapper(canvas);
+        const count = canvas.calls.length;
+        assert.deepEqual(samplePoints(mapper.getArrayFor(' ')), []);
+        assert.equal(canvas.calls.filter(([name]) => name === 'fillText').length,
+            canvas.calls.slice(0, count).filter(([name]) => name === 'fillText').length);
+    });
+
+    it('measures the kerning between a pair of characters', () => {
+        const mapper = new CharacterMapper(makeMockCanvas({ glyphs, kerning }));
+        assert.equal(mapper.getKerning('A', 'V'), -2);
+        assert.equal(mapper.getKerning('V', 'A'), 0);
+    });
+
+    it('caches each character', () => {
+        const canvas = makeMockCanvas({ glyphs });
+        const mapper = new CharacterMapper(canvas);
+        mapper.getArrayFor('a');
+        const count = canvas.calls.length;
+        assert.equal(mapper.getArrayFor('a'), mapper.getArrayFor('a'));
+        assert.equal(canvas.calls.length, count);
+    });
+
+    it('throws unless given a single character', () => {
+        const mapper = new CharacterMapper(makeMockCanvas({ glyphs }));
+        assert.throws(() => mapper.getArrayFor('ab'), /one character/);
+        assert.throws(() => mapper.getArrayFor(1), /one character/);
+    });
+
+    it('takes characters made of several code points', () => {
+        const mapper = new CharacterMapper(makeMockCanvas({ glyphs }));
+        assert.deepEqual(cells(mapper.getArrayFor('e\u0301')), [[0, 0], [1, 0], [2, 0], [2, 1], [2, 2], [2, 3], [2, 4]]);
+        assert.doesNotThrow(() => mapper.getArrayFor('\u{1F44B}\u{1F3FD}'));
+    });
+
+    it('counts pixels on the edges by how much of them is covered', () => {
+        const mapper = new CharacterMapper(makeMockCanvas({ glyphs: () => ['#+'] }));
+        const glyph = mapper.getArrayFor('a');
+        assert.deepEqual(glyph.coverage, [[1, 64 / 255]]);
+        assert.deepEqual(samplePoints(glyph), [{ r: 0, c: 0, brightness: 1 }]);
+        assert.deepEqual(cells(glyph, { threshold: 0.25 }), [[0, 0], [0, 1]]);
+    });
+
+    it('keeps the colors of characters drawn in color', () => {
+        const colored = () => ['r.', 'gb'];
+        const mapper = new CharacterMapper(makeMockCanvas({ glyphs: colored }));
+        const glyph = mapper.getArrayFor('\u{1F600}');
+        assert.deepEqual(cells(glyph), [[0, 0], [1, 0], [1, 1]]);
+        assert.deepEqual(glyph.colors, [['rgb(255, 0, 0)', null], ['rgb(0, 255, 0)', 'rgb(0, 0, 255)']]);
+    });
+});
@@ -0,0 +1,77 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Circle, CircleBehavior, behaviorEasings, circleEvents, motion } from '../models/Circle.js';
+import { FRAME_DURATION } from '../../shared/src/constants.js';
+
+const makeCircle = (config={}) => new Circle({ x: 50, y: 50, radius: 5, dx: 2, dy: -3, color: '#fff', ...config });
+
+describe('Circle', () => {
+    it('moves by its velocity every frame', () => {
+        const circle = makeCircle();
+        circle.update({ width: 100, height: 100 }, FRAME_DURATION * 2);
+        assert.equal(circle._x, 54);
+        assert.equal(circle._y, 44);
+    });
+
+    it('bounces off the edges', () => {
+        const circle = makeCircle({ x: 96 });
+        circle.update({ width: 100, height: 100 });
+        assert.equal(circle._dx, -2);
+        assert.equal(circle._x, 94);
+    });
+
+    it('throws for an unknown behavior', () => {
+        assert.throws(() => makeCircle({ behavior: 'FLYING' }), /Invalid behavior/);
+    });
+
+    it('travels to its destination, then announces that it orbits', () => {
+        const circle = makeCircle({ behavior: CircleBehavior.TRAVELING });
+        circle.setDestination({ x: 80, y: 20 });
+        const events = [];
+        const listener = (event) => events.push(event.detail);
+        circleEvents.addEventListener('changedbehavior', listener);
+
+        const { frames } = behaviorEasings[CircleBehavior.TRAVELING];
+        circle.update({}, FRAME_DURATION * frames);
+        circleEvents.removeEventListener('changedbehavior', listener);
+
+        assert.deepEqual(events, [{ circle, from: CircleBehavior.TRAVELING, to: CircleBehavior.ORBITING }]);
+        assert.equal(circle._behavior, CircleBehavior.ORBITING);
+        assert.equal(circle._orbit._x, 80);
+        assert.equal(circle._orbit._y, 20);
+    });
+
+    it('only jumps to its destination while motion is reduced', () => {
+        motion.reduced = true;
+        const ambient = makeCircle();
+        ambient.update({ width: 100, height: 100 });
+        const traveling = makeCircle({ behavior: CircleBehavior.TRAVELING });
+        traveling.setDestination({ x: 80, y: 20 });
+        traveling.update({}, 0);
+        const { currentAngleIndex } = traveling._orbit;
+        traveling.update({}, FRAME_DURATION);
+        motion.reduced = false;
+
+        assert.deepEqual([ambient._x, ambient._y], [50, 50]);
+        assert.deepEqual([traveling._x, traveling._y], [80, 20]);
+        assert.equal(traveling._behavior, CircleBehavior.ORBITING);
+        assert.equal(traveling._orbit.currentAngleIndex, currentAngleIndex);
+    });
+
+    it('shrinks away while it leaves', () => {
+        const circle = makeCircle();
+        circle.leave({ x: 60, y: 50 });
+        const { frames } = behaviorEasings[CircleBehavior.LEAVING];
+        circle.update({}, FRAME_DURATION * frames / 2);
+        assert.ok(circle._radius > 0 && circle._radius < 5);
+
+        circle.update({}, FRAME_DURATION * frames);
+        assert.ok(circle.hasReacedDestination());
+        assert.equal(circle._radius, 0);
+        assert.equal(circle._x, 60);
+    });
+
+    it('throws when traveling without a destination', () => {
+        assert.throws(() => makeCircle({ behavior: CircleBehavior.TRAVELING }).update(), /destination/);
+    });
+});
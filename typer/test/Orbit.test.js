@@ -0,0 +1,21 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Orbit } from '../models/Orbit.js';
+import { ORBIT_TRAVEL_FACTOR } from '../src/constants.js';
+
+describe('Orbit', () => {
+    it('follows points on its circle and comes back around', () => {
+        const orbit = new Orbit({ x: 10, y: 20, radius: 5, samples: 4 });
+        const start = orbit.currentAngleIndex;
+        const points = Array.from({ length: 5 }, () => orbit.followOrbit());
+        points.forEach(({ x, y }) => assert.ok(Math.abs(Math.hypot(x - 10, y - 20) - 5) < 1e-9));
+        assert.deepEqual(points[4], points[0]);
+        assert.equal(orbit.currentAngleIndex, (start + 5) % 4);
+    });
+
+    it('picks a travel factor within bounds', () => {
+        const { travelFactor } = new Orbit({ x: 0, y: 0, radius: 1 });
+        assert.ok(Number.isInteger(travelFactor));
+        assert.ok(travelFactor >= ORBIT_TRAVEL_FACTOR.min && travelFactor <= ORBIT_TRAVEL_FACTOR.max);
+    });
+});
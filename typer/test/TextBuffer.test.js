@@ -0,0 +1,74 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { TextBuffer } from '../models/TextBuffer.js';
+
+const entries = (text) => Array.from(text, (character) => ({ character }));
+
+const makeBuffer = (text) => {
+    const buffer = new TextBuffer();
+    buffer.insert(entries(text));
+    return buffer;
+};
+
+describe('TextBuffer', () => {
+    it('inserts at the cursor and moves it after the insertion', () => {
+        const buffer = makeBuffer('ace');
+        buffer.moveTo(1);
+        buffer.insert(entries('b'));
+        buffer.moveBy(1);
+        buffer.insert(entries('d'));
+        assert.equal(buffer.text, 'abcde');
+        assert.equal(buffer.cursor, 4);
+    });
+
+    it('deletes either side of the cursor and returns what it removed', () => {
+        const buffer = makeBuffer('abcd');
+        buffer.moveTo(2);
+        assert.deepEqual(buffer.deleteBackward(), [{ character: 'b' }]);
+        assert.deepEqual(buffer.deleteForward(), [{ character: 'c' }]);
+        assert.equal(buffer.text, 'ad');
+        assert.equal(buffer.cursor, 1);
+    });
+
+    it('does nothing when deleting past either end', () => {
+        const buffer = makeBuffer('a');
+        assert.deepEqual(buffer.deleteForward(), []);
+        buffer.moveTo(0);
+        assert.deepEqual(buffer.deleteBackward(), []);
+        assert.equal(buffer.text, 'a');
+    });
+
+    it('replaces or deletes the selection, whichever way it was made', () => {
+        const buffer = makeBuffer('hello');
+        buffer.moveTo(4);
+        buffer.moveBy(-3, true);
+        assert.deepEqual(buffer.selection(), { start: 1, end: 4 });
+        assert.equal(buffer.selectedText(), 'ell');
+
+        const removed = buffer.insert(entries('ipp'));
+        assert.equal(removed.length, 3);
+        assert.equal(buffer.text, 'hippo');
+        assert.ok(!buffer.hasSelection());
+
+        buffer.selectAll();
+        buffer.deleteForward();
+        assert.equal(buffer.text, '');
+    });
+
+    it('collapses the selection toward the direction moved', () => {
+        const buffer = makeBuffer('abcd');
+        buffer.moveTo(1);
+        buffer.moveTo(3, true);
+        buffer.moveBy(-1);
+        assert.deepEqual([buffer.cursor, buffer.anchor], [1, 1]);
+    });
+
+    it('moves to the edges of the line', () => {
+        const buffer = makeBuffer('ab\ncd\nef');
+        buffer.moveTo(4);
+        buffer.moveToLineEdge(false);
+        assert.equal(buffer.cursor, 3);
+        buffer.moveToLineEdge(true, true);
+        assert.equal(buffer.selectedText(), 'cd');
+    });
+});
@@ -0,0 +1,85 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { fontString, fileFamily, loadFontFile, isFontAvailable } from '../src/fonts.js';
+
+describe('fontString', () => {
+    it('quotes every family but generic and quoted ones', () => {
+        assert.equal(fontString({ family: 'Open Sans, sans-serif', size: 50 }), '50px "Open Sans", sans-serif');
+        assert.equal(fontString({ family: '\'Gotu\'', size: 12 }), '12px \'Gotu\'');
+    });
+
+    it('falls back on sans-serif without a family', () => {
+        assert.equal(fontString({ family: ' , ', size: 50 }), '50px sans-serif');
+    });
+});
+
+describe('fileFamily', () => {
+    it('names a font after its file', () => {
+        assert.equal(fileFamily('Open Sans.ttf'), 'Open Sans');
+    });
+
+    it('keeps the name one family that fontString can quote', () => {
+        assert.equal(fileFamily('Foo, Bar.ttf'), 'Foo Bar');
+        assert.equal(fileFamily('My"Font.woff'), 'MyFont');
+        assert.equal(fileFamily('\'Quoted\'.otf'), 'Quoted');
+        assert.equal(fontString({ family: fileFamily('Foo, Bar.ttf'), size: 50 }), '50px "Foo Bar"');
+    });
+
+    it('does not name a font after a generic family', () => {
+        assert.equal(fileFamily('serif.ttf'), 'Font serif');
+        assert.equal(fileFamily('Monospace.woff2'), 'Font Monospace');
+        assert.equal(fontString({ family: fileFamily('serif.ttf'), size: 50 }), '50px "Font serif"');
+        assert.equal(fileFamily('.ttf'), 'Font');
+    });
+});
+
+describe('loadFontFile', () => {
+    const file = { name: 'My Font.woff2', arrayBuffer: async () => new ArrayBuffer(4) };
+
+    it('adds the loaded font to the page, named after the file', async () => {
+        const added = [];
+        class FontFace {
+            constructor(family, source) {
+                Object.assign(this, { family, source });
+            }
+
+            async load() {
+                return this;
+            }
+        }
+        const family = await loadFontFile(file, { fontSet: { add: (face) => added.push(face) }, FontFace });
+        assert.equal(family, 'My Font');
+        assert.equal(added.length, 1);
+        assert.equal(added[0].family, 'My Font');
+        assert.ok(added[0].source instanceof ArrayBuffer);
+    });
+
+    it('rejects a file that is not a font', async () => {
+        const added = [];
+        class FontFace {
+            async load() {
+                throw new Error('not a font');
+            }
+        }
+        await assert.rejects(loadFontFile(file, { fontSet: { add: (face) => added.push(face) }, FontFace }), /not a font/);
+        assert.equal(added.length, 0);
+    });
+});
+
+describe('isFontAvailable', () => {
+    // Only Gotu and the generic families are installed, and Gotu is wider
+    const measure = (text, font) => text.length * (/"Gotu"/.test(font) ? 2 : 1);
+
+    it('finds fonts that loaded or are installed', () => {
+        assert.equal(isFontAvailable({ family: 'Web Font', size: 50 }, [{}], measure), true);
+        assert.equal(isFontAvailable({ family: 'Gotu', size: 50 }, [], measure), true);
+    });
+
+    it('does not find fonts that the browser falls back from', () => {
+        assert.equal(isFontAvailable({ family: 'Missing', size: 50 }, [], measure), false);
+    });
+
+    it('takes a list ending in a generic family as chosen', () => {
+        assert.equal(isFontAvailable({ family: 'Missing, serif', size: 50 }, [], measure), true);
+    });
+});
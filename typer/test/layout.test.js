@@ -0,0 +1,81 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { breakLines, layoutText, cursorPosition } from '../src/layout.js';
+
+const characters = (text, advance=10) => Array.from(text, (character) => ({ character, advance }));
+
+describe('breakLines', () => {
+    it('breaks lines between words', () => {
+        assert.deepEqual(breakLines(characters('ab cd ef'), 50), [[0, 1, 2, 3, 4, 5], [6, 7]]);
+    });
+
+    it('lets spaces hang past the end of a line', () => {
+        assert.deepEqual(breakLines(characters('abcd  e'), 40), [[0, 1, 2, 3, 4, 5], [6]]);
+    });
+
+    it('ends a line after a newline', () => {
+        assert.deepEqual(breakLines(characters('a\nb\n'), 100), [[0, 1], [2, 3], []]);
+    });
+
+    it('breaks a word wider than a line between its characters', () => {
+        assert.deepEqual(breakLines(characters('ab cdefg'), 30), [[0, 1, 2], [3, 4, 5], [6, 7]]);
+    });
+});
+
+describe('layoutText', () => {
+    it('places characters one after another inside the margin', () => {
+        const { positions, end } = layoutText(characters('abc'), { width: 100, lineHeight: 20, margin: 5 });
+        assert.deepEqual(positions, [{ x: 5, y: 5, cursor: 5 }, { x: 15, y: 5, cursor: 15 }, { x: 25, y: 5, cursor: 25 }]);
+        assert.deepEqual(end, { x: 35, y: 5 });
+    });
+
+    it('starts a new line after a newline', () => {
+        const { positions, end } = layoutText(characters('a\nb\n'), { width: 100, lineHeight: 20 });
+        assert.deepEqual(positions[2], { x: 0, y: 20, cursor: 0 });
+        assert.deepEqual(end, { x: 0, y: 40 });
+    });
+
+    it('aligns each line without its hanging spaces', () => {
+        const options = { width: 40, lineHeight: 20 };
+        const centered = layoutText(characters('ab cd'), { ...options, align: 'center' });
+        assert.deepEqual(centered.positions.map(({ x }) => x), [10, 20, 30, 10, 20]);
+
+        const right = layoutText(characters('ab cd'), { ...options, align: 'right' });
+        assert.deepEqual(right.positions.map(({ x, y }) => [x, y]), [[20, 0], [30, 0], [40, 0], [20, 20], [30, 20]]);
+    });
+
+    it('kerns pairs of characters on the same line', () => {
+        const kerning = (left, right) => (left.character === 'A' && right.character === 'V' ? -3 : 0);
+        const { positions, end } = layoutText(characters('AVA\nV'), { width: 100, lineHeight: 20, kerning });
+        assert.deepEqual(positions.map(({ x }) => x), [0, 7, 17, 27, 0]);
+        assert.deepEqual(end, { x: 10, y: 20 });
+    });
+
+    it('lays out right-to-left text from the right', () => {
+        const { positions, end } = layoutText(characters('אב גד'), { width: 100, lineHeight: 20 });
+        assert.deepEqual(positions.map(({ x }) => x), [40, 30, 20, 10, 0]);
+        assert.deepEqual(positions.map(({ cursor }) => cursor), [50, 40, 30, 20, 10]);
+        assert.deepEqual(end, { x: 0, y: 0 });
+    });
+
+    it('keeps runs in the other direction in their own order', () => {
+        const hebrewInEnglish = layoutText(characters('a אב b'), { width: 100, lineHeight: 20 });
+        assert.deepEqual(hebrewInEnglish.positions.map(({ x }) => x), [0, 10, 30, 20, 40, 50]);
+
+        const englishInHebrew = layoutText(characters('א ab 12 ב'), { width: 100, lineHeight: 20 });
+        assert.deepEqual(englishInHebrew.positions.map(({ x }) => x), [80, 70, 20, 30, 40, 50, 60, 10, 0]);
+    });
+
+    it('hangs trailing spaces on the left of right-to-left lines', () => {
+        const { positions } = layoutText(characters('אב גד'), { width: 30, lineHeight: 20, align: 'right' });
+        assert.deepEqual(positions.map(({ x, y }) => [x, y]), [[20, 0], [10, 0], [0, 0], [20, 20], [10, 20]]);
+    });
+});
+
+describe('cursorPosition', () => {
+    it('is before the character at the index, or after the last one', () => {
+        const layout = layoutText(characters('ab'), { width: 100, lineHeight: 20 });
+        assert.deepEqual(cursorPosition(layout, 1), { x: 10, y: 0 });
+        assert.deepEqual(cursorPosition(layout, 2), { x: 20, y: 0 });
+    });
+});
@@ -0,0 +1,44 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { samplePoints } from '../src/sampling.js';
+
+// A solid 6 by 6 square with edges a quarter covered
+const glyph = {
+    coverage: Array.from({ length: 6 }, (row, r) => Array.from({ length: 6 }, (cell, c) => (
+        r === 0 || c === 0 || r === 5 || c === 5 ? 0.25 : 1
+    )))
+};
+const cells = (points) => points.map(({ r, c }) => [r, c]);
+
+describe('samplePoints', () => {
+    it('picks every pixel covered at least as much as the threshold', () => {
+        assert.equal(samplePoints(glyph).length, 16);
+        assert.equal(samplePoints(glyph, { threshold: 0.25 }).length, 36);
+        assert.deepEqual(samplePoints(glyph)[0], { r: 1, c: 1, brightness: 1 });
+    });
+
+    it('picks every stride-th pixel of every stride-th row in a grid', () => {
+        assert.deepEqual(cells(samplePoints(glyph, { stride: 2 })), [[2, 2], [2, 4], [4, 2], [4, 4]]);
+    });
+
+    it('spreads points out to stay near a target', () => {
+        assert.equal(samplePoints(glyph, { threshold: 0.25, target: 9 }).length, 9);
+        assert.ok(samplePoints(glyph, { mode: 'poisson', threshold: 0.25, target: 5 }).length <= 5);
+    });
+
+    it('keeps random points at least stride apart', () => {
+        let seed = 1;
+        const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+        const points = samplePoints(glyph, { mode: 'poisson', stride: 2, threshold: 0.25, random });
+        assert.ok(points.length > 4);
+        points.forEach((a, i) => points.slice(i + 1).forEach((b) => {
+            assert.ok(Math.hypot(a.r - b.r, a.c - b.c) >= 2);
+        }));
+    });
+
+    it('picks only pixels on the outline', () => {
+        assert.deepEqual(cells(samplePoints(glyph, { mode: 'outline' })),
+            [[1, 1], [1, 2], [1, 3], [1, 4], [2, 1], [2, 4], [3, 1], [3, 4], [4, 1], [4, 2], [4, 3], [4, 4]]);
+        assert.ok(samplePoints(glyph, { mode: 'outline', stride: 3 }).length < 12);
+    });
+});
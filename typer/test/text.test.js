@@ -0,0 +1,40 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { splitGraphemes, isPrintable, directionOf } from '../src/text.js';
+
+describe('splitGraphemes', () => {
+    it('keeps emoji and combining accents whole', () => {
+        assert.deepEqual(splitGraphemes('é\u{1F44B}\u{1F3FD}\u{1F1EF}\u{1F1F5}a'),
+            ['é', '\u{1F44B}\u{1F3FD}', '\u{1F1EF}\u{1F1F5}', 'a']);
+    });
+
+    it('splits into code points without Intl.Segmenter', () => {
+        assert.deepEqual(splitGraphemes('a\u{1F600}', null), ['a', '\u{1F600}']);
+    });
+});
+
+describe('isPrintable', () => {
+    it('is true for keys that type a single character', () => {
+        assert.equal(isPrintable('a'), true);
+        assert.equal(isPrintable('\u{1F44B}\u{1F3FD}'), true);
+        assert.equal(isPrintable('א'), true);
+    });
+
+    it('is false for named keys and control characters', () => {
+        assert.equal(isPrintable('Shift'), false);
+        assert.equal(isPrintable('Dead'), false);
+        assert.equal(isPrintable('\t'), false);
+        assert.equal(isPrintable('\u200F'), false);
+    });
+});
+
+describe('directionOf', () => {
+    it('tells right-to-left letters from the rest', () => {
+        assert.equal(directionOf('א'), 'rtl');
+        assert.equal(directionOf('ا'), 'rtl');
+        assert.equal(directionOf('a'), 'ltr');
+        assert.equal(directionOf('7'), 'ltr');
+        assert.equal(directionOf(' '), 'neutral');
+        assert.equal(directionOf('!'), 'neutral');
+    });
+});